@@ -0,0 +1,35 @@
+/**
+ * @fileoverview IndexedDB cache (Dexie) for the phonebook list, keyed by audience (admin/user/public).
+ * Stores the last response body with its ETag so fetchPhonebook can revalidate instead of re-downloading.
+ */
+import Dexie from 'dexie';
+
+const db = new Dexie('phonebook');
+db.version(1).stores({ phonebook: 'key' });
+
+/**
+ * Returns the cached phonebook for an audience, or null when missing or IndexedDB is unavailable.
+ * @param {string} key - Audience key (e.g. "admin", "user", "public").
+ * @returns {Promise<{ key: string, etag: string, data: Object[] }|null>}
+ */
+export const getCachedPhonebook = async (key) => {
+	try {
+		return (await db.phonebook.get(key)) || null;
+	} catch (err) {
+		return null;
+	}
+};
+
+/**
+ * Stores a phonebook response with its ETag. Failures (quota, private mode) are ignored.
+ * @param {string} key - Audience key.
+ * @param {string} etag - ETag response header.
+ * @param {Object[]} data - Response body.
+ */
+export const saveCachedPhonebook = async (key, etag, data) => {
+	try {
+		await db.phonebook.put({ key, etag, data });
+	} catch (err) {
+		// cache is best effort
+	}
+};
@@ -3,6 +3,7 @@
  */
 import { redraw, request } from 'mithril';
 import { app } from '../..';
+import { getCachedPhonebook, saveCachedPhonebook } from './cache';
 
 const tokenKey = 'phonebook';
 const refreshTokenKey = 'phonebook-refresh';
@@ -45,8 +46,9 @@ const doLogout = () => {
 
 /**
  * Performs an authenticated API request. Adds Bearer token; on 401 tries refresh once and retries; on refresh failure logs out.
- * @param {Object} options - Fetch-style options (url, method, body, timeout, headers).
- * @returns {Promise<Object|string>} Parsed JSON or text response body.
+ * @param {Object} options - Fetch-style options (url, method, body, timeout, headers), plus optional
+ *   onHeaders(headers) called with the response headers of a successful request.
+ * @returns {Promise<Object|string>} Parsed JSON or text response body; { _notModified: true } on 304.
  * @throws {Error} On non-2xx (after refresh attempt) or when refresh fails.
  */
 const requestWithAuth = async (options) => {
@@ -65,14 +67,17 @@ const requestWithAuth = async (options) => {
 				method,
 				headers: { ...headers, Authorization: 'Bearer ' + accessToken },
 				body: method !== 'GET' && body !== undefined ? body : undefined,
+				cache: options.cache,
 				signal: ctrl.signal,
 			});
 			clearTimeout(id);
 			if (res.status === 401) return { _401: true };
+			if (res.status === 304) return { _notModified: true };
 			if (!res.ok) {
 				const text = await res.text();
 				throw new Error(text || res.statusText || 'Request failed');
 			}
+			if (options.onHeaders) options.onHeaders(res.headers);
 			const contentType = res.headers.get('Content-Type') || '';
 			if (contentType.includes('application/json')) return res.json();
 			return res.text();
@@ -121,6 +126,50 @@ const requestWithAuth = async (options) => {
 	return result;
 };
 
+/**
+ * Reads a Server-Sent Events stream with the Bearer token (EventSource cannot send headers).
+ * Call requestWithAuth first when the access token may have expired; this does not refresh it.
+ * @param {string} url
+ * @param {(event: string, data: *) => void} onEvent - Called per event with its name and parsed JSON data.
+ * @param {AbortSignal} signal - Abort to close the stream.
+ * @returns {Promise<void>} Resolves when the server ends the stream.
+ * @throws {Error} On a non-2xx response, network failure or abort.
+ */
+const streamEvents = async (url, onEvent, signal) => {
+	const res = await fetch(url, {
+		headers: { Authorization: 'Bearer ' + (getToken() || ''), Accept: 'text/event-stream' },
+		cache: 'no-store',
+		signal,
+	});
+	if (!res.ok || !res.body) throw new Error(res.statusText || 'Stream failed');
+	const reader = res.body.getReader();
+	const decoder = new TextDecoder();
+	let buffer = '';
+	for (;;) {
+		const { done, value } = await reader.read();
+		if (done) return;
+		buffer += decoder.decode(value, { stream: true });
+		let end;
+		while ((end = buffer.indexOf('\n\n')) !== -1) {
+			const block = buffer.slice(0, end);
+			buffer = buffer.slice(end + 2);
+			let event = 'message';
+			const data = [];
+			for (const line of block.split('\n')) {
+				if (line.startsWith('event:')) event = line.slice(6).trim();
+				else if (line.startsWith('data:')) data.push(line.slice(5).trimStart());
+			}
+			// Comment-only blocks (heartbeats) carry no data
+			if (data.length === 0) continue;
+			try {
+				onEvent(event, JSON.parse(data.join('\n')));
+			} catch (err) {
+				log('Ignoring malformed event', event, err);
+			}
+		}
+	}
+};
+
 /** Placeholder for state init; login/restore is handled in app.init. */
 const init = async () => {};
 
@@ -188,16 +237,47 @@ const removeFavorite = async (contact) => {
 	}
 };
 
-/** Fetches the full phonebook from the API. When logged in, sends Bearer token so admin gets full user objects. */
+/**
+ * Fetches the full phonebook from the API. When logged in, sends Bearer token so admin gets full user objects.
+ * The last response is kept in IndexedDB with its ETag; the request sends If-None-Match and a 304 reuses the cache.
+ */
 const fetchPhonebook = async () => {
+	const cacheKey = app.isAdmin ? 'admin' : (app.auth ? 'user' : 'public');
+	const cached = await getCachedPhonebook(cacheKey);
 	try {
 		const url = app.root + '/users';
 		const timeout = 3000;
+		const headers = cached && cached.etag ? { 'If-None-Match': cached.etag } : {};
+		let etag = null;
 		let result;
 		if (getToken()) {
-			result = await requestWithAuth({ url, timeout });
+			result = await requestWithAuth({
+				url,
+				timeout,
+				headers,
+				// Revalidate ourselves; the browser cache would turn our 304 into a second copy of the body
+				cache: 'no-store',
+				onHeaders: (h) => { etag = h.get('ETag'); },
+			});
 		} else {
-			result = await request({ url, timeout });
+			const ctrl = new AbortController();
+			const id = setTimeout(() => ctrl.abort(), timeout);
+			try {
+				const res = await fetch(url, { headers, cache: 'no-store', signal: ctrl.signal });
+				if (res.status === 304) {
+					result = { _notModified: true };
+				} else if (res.ok) {
+					etag = res.headers.get('ETag');
+					result = await res.json();
+				}
+			} finally {
+				clearTimeout(id);
+			}
+		}
+
+		if (result && result._notModified && cached) {
+			state.log('PHONEBOOK NOT MODIFIED');
+			return cached.data;
 		}
 
 		const phonebook =
@@ -207,14 +287,78 @@ const fetchPhonebook = async () => {
 
 		if (phonebook) {
 			state.log('LOADING PHONEBOOK');
+			if (etag) saveCachedPhonebook(cacheKey, etag, phonebook);
 			return phonebook;
 		}
 		return [];
+	} catch (err) {
+		// Offline or server error: fall back to the last copy we have
+		return cached ? cached.data : [];
+	}
+};
+
+/**
+ * Fetches typeahead suggestions (people, departments, offices) for a partial query.
+ * @param {string} prefix - What the user has typed so far.
+ * @returns {Promise<{ people: Object[], departments: Object[], offices: Object[] }>} Empty lists on error.
+ */
+const fetchSuggestions = async (prefix) => {
+	const empty = { people: [], departments: [], offices: [] };
+	if (!prefix || !prefix.trim()) return empty;
+	try {
+		const url = app.root + '/suggest?prefix=' + encodeURIComponent(prefix.trim());
+		const timeout = 3000;
+		const result = getToken()
+			? await requestWithAuth({ url, timeout })
+			: await request({ url, timeout });
+		return {
+			people: (result && result.people) || [],
+			departments: (result && result.departments) || [],
+			offices: (result && result.offices) || [],
+		};
+	} catch (err) {
+		return empty;
+	}
+};
+
+/**
+ * Asks the server search for "did you mean" alternatives (typo/phonetic corrections) for a query without hits.
+ * @param {string} q - Search query.
+ * @returns {Promise<{ query: string, total: number }[]>} Empty on error or when the query has hits.
+ */
+const fetchDidYouMean = async (q) => {
+	if (!q || !q.trim()) return [];
+	try {
+		const url = app.root + '/search?limit=1&q=' + encodeURIComponent(q.trim());
+		const timeout = 3000;
+		const result = getToken()
+			? await requestWithAuth({ url, timeout })
+			: await request({ url, timeout });
+		return (result && Array.isArray(result.didYouMean)) ? result.didYouMean : [];
 	} catch (err) {
 		return [];
 	}
 };
 
+/**
+ * Fetches facet counts (department, office, location; company and city for admins) for filter chips.
+ * @param {string} [q] - Optional search query to scope the counts.
+ * @returns {Promise<Object<string, { value: string, count: number }[]>>} Empty object on error.
+ */
+const fetchFacets = async (q) => {
+	try {
+		const query = q && q.trim() ? '?q=' + encodeURIComponent(q.trim()) : '';
+		const url = app.root + '/facets' + query;
+		const timeout = 3000;
+		const result = getToken()
+			? await requestWithAuth({ url, timeout })
+			: await request({ url, timeout });
+		return (result && result.facets) || {};
+	} catch (err) {
+		return {};
+	}
+};
+
 /** Loads phonebook from API, merges favorites, and updates state; calls processPhonelistData. */
 const loadPhonelist = async () => {
 	try {
@@ -275,6 +419,9 @@ const state = {
 	activeMenu: false,
 	loadPhonelist,
 	loadFavorites,
+	fetchSuggestions,
+	fetchDidYouMean,
+	fetchFacets,
 	filterList,
 	addFavorite,
 	removeFavorite,
@@ -284,6 +431,7 @@ const state = {
 	saveTokens,
 	clearToken,
 	requestWithAuth,
+	streamEvents,
 	log,
 	tokenKey,
 	refreshTokenKey,
@@ -1,5 +1,5 @@
 /**
- * @fileoverview Shared utilities for display strings, LDAP/DN parsing, and encoding.
+ * @fileoverview Shared utilities for display strings, search text folding, LDAP/DN parsing, and encoding.
  */
 
 /**
@@ -17,6 +17,38 @@ export function toDisplayString(v) {
 	return String(v).trim();
 }
 
+/** Letters NFKD does not decompose into base letter + combining mark (same table as server/lib/tokenize.js). */
+const SPECIAL_FOLDS = {
+	"ß": "ss",
+	"æ": "ae",
+	"œ": "oe",
+	"ø": "o",
+	"ł": "l",
+	"đ": "d",
+	"ð": "d",
+	"þ": "th",
+	"ı": "i",
+};
+
+/**
+ * Normalizes text for search matching the same way the server tokenizer does: NFKD, diacritics removed,
+ * lowercased, special letters folded, apostrophes dropped.
+ * @param {*} value - Raw value.
+ * @returns {string} Folded string; null/undefined returns "".
+ * @example
+ * foldText("Müller") // "muller"
+ * foldText("O'Brien") // "obrien"
+ */
+export function foldText(value) {
+	if (value == null) return "";
+	return String(value)
+		.normalize("NFKD")
+		.replace(/\p{M}+/gu, "")
+		.toLowerCase()
+		.replace(/[ßæœøłđðþı]/g, (c) => SPECIAL_FOLDS[c])
+		.replace(/['’‘ʼ`´]/g, "");
+}
+
 /**
  * Extracts the location OU from an LDAP Distinguished Name (DN).
  * Expects format like CN=Name,OU=Dept,OU=Location,OU=Company,DC=example,DC=local
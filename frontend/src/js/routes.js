@@ -3,6 +3,7 @@ import state from "./lib/state";
 import { vwHome } from "./views/vwHome";
 import { vwLogin } from "./views/vwLogin";
 import { vwAdmin } from "./views/vwAdmin";
+import { vwOrgChart } from "./views/vwOrgChart";
 import { app } from "..";
 
 /**
@@ -28,6 +29,10 @@ const setup = async () => {
 		"/home": {
 			render: () => m(vwHome),
 		},
+		"/org/:id": {
+			// Keyed by id so that navigating between contacts loads the new chart
+			render: (vnode) => m(vwOrgChart, { key: vnode.attrs.id, id: vnode.attrs.id }),
+		},
 		"/admin": {
 			onmatch: () => {
 				if (!app.isAdmin) {
@@ -0,0 +1,80 @@
+import m from "mithril";
+import { app } from "../../..";
+
+// Photo URLs that failed to load (removed since the list was fetched, or hidden); shown as initials instead
+const failedPhotos = new Set();
+
+/**
+ * Up to two initials: first and last word of the name.
+ * @param {string} name
+ * @returns {string}
+ */
+const initialsOf = (name) => {
+	const words = String(name || "").trim().split(/\s+/).filter(Boolean);
+	if (words.length === 0) return "?";
+	const first = words[0][0];
+	const last = words.length > 1 ? words[words.length - 1][0] : "";
+	return (first + last).toUpperCase();
+};
+
+/**
+ * Background colour for the initials, stable per contact.
+ * @param {string} key - Contact id (or name).
+ * @returns {string} CSS colour.
+ */
+const colorOf = (key) => {
+	let hash = 0;
+	for (const c of String(key || "")) hash = (hash * 31 + c.charCodeAt(0)) | 0;
+	return `hsl(${Math.abs(hash) % 360}, 45%, 50%)`;
+};
+
+/**
+ * Contact photo (GET /photos/:id), or an initials avatar when the contact has none.
+ * Attrs: user (list row: id, photoHash, fullName or displayName), size in px (default 32).
+ */
+const avatar = {
+	view: ({ attrs }) => {
+		const { user = {}, size = 32 } = attrs;
+		const name = user.fullName || user.displayName || [user.firstName, user.lastName].filter(Boolean).join(" ");
+		const style = {
+			display: "inline-flex",
+			alignItems: "center",
+			justifyContent: "center",
+			flexShrink: 0,
+			width: size + "px",
+			height: size + "px",
+			borderRadius: "50%",
+			overflow: "hidden",
+			verticalAlign: "middle",
+		};
+		const url = user.id && user.photoHash
+			? `${app.root}/photos/${encodeURIComponent(user.id)}?v=${encodeURIComponent(user.photoHash)}`
+			: null;
+		if (url && !failedPhotos.has(url)) {
+			return m("img.avatar", {
+				src: url,
+				alt: name,
+				loading: "lazy",
+				width: size,
+				height: size,
+				style: { ...style, objectFit: "cover" },
+				onerror: () => {
+					failedPhotos.add(url);
+					m.redraw();
+				},
+			});
+		}
+		return m("span.avatar", {
+			"aria-hidden": "true",
+			style: {
+				...style,
+				background: colorOf(user.id || name),
+				color: "#fff",
+				fontSize: Math.round(size * 0.4) + "px",
+				fontWeight: 600,
+			},
+		}, initialsOf(name));
+	},
+};
+
+export default avatar;
@@ -4,6 +4,8 @@ import { app } from "../../..";
 import { openUserDetails } from "./userDetailsModal";
 import { openLoginModal } from "./loginModal";
 import logoBar from "./logoBar";
+import avatar from "./avatar";
+import { foldText, toDisplayString } from "../../lib/utils";
 
 /**
  * Adds only favorites state to API list rows. Display fields come from the API. Favorites matched by opaque id.
@@ -26,6 +28,31 @@ let searchQuery = "";
 let debounceTimer = null;
 const DEBOUNCE_DELAY = 300; // milliseconds
 
+// Typeahead state: flat list of { type, label, detail, value } for keyboard navigation
+let suggestions = [];
+let suggestIndex = -1;
+let suggestOpen = false;
+let suggestTimer = null;
+let suggestSeq = 0;
+const SUGGEST_DELAY = 150; // milliseconds
+
+// "Did you mean" alternatives from the server search, for the query in didYouMeanFor
+let didYouMeanFor = "";
+let didYouMeanOptions = [];
+
+// Facet chips: counts from the server (scoped by the query in facetsFor) and the selected value per field
+let facets = {};
+let facetsFor = null;
+let selectedFacets = {};
+const FACET_LABELS = {
+	department: "Department",
+	office: "Office",
+	location: "Location",
+	company: "Company",
+	city: "City",
+};
+const MAX_CHIPS_PER_FACET = 8;
+
 // Favorites filter state
 let showFavoritesOnly = false;
 
@@ -35,11 +62,14 @@ let selectedGroupFilter = "";
 // UAC (userAccountControl) filter state (empty = all UAC)
 let selectedUacFilter = "";
 
+// Group names of a user: direct and nested (groups.allNames, set by sync), or direct only for older data
+const groupNamesOf = (user) => user.groups?.allNames || user.groups?.names;
+
 // Build unique sorted list of group names from user list
 const getUniqueGroups = (users) => {
 	const set = new Set();
 	for (const user of users) {
-		const names = user.groups?.names;
+		const names = groupNamesOf(user);
 		if (Array.isArray(names)) {
 			for (const name of names) {
 				if (name != null && String(name).trim() !== "") set.add(String(name).trim());
@@ -110,12 +140,17 @@ const filterData = (data) => {
 	// Apply group filter
 	if (app.isAdmin && selectedGroupFilter) {
 		filtered = filtered.filter((user) => {
-			const names = user.groups?.names;
+			const names = groupNamesOf(user);
 			if (!Array.isArray(names)) return false;
 			return names.some((n) => n != null && String(n).trim() === selectedGroupFilter);
 		});
 	}
 
+	// Apply facet chip filters (row fields from the API: department, office, location, company, city)
+	for (const [field, value] of Object.entries(selectedFacets)) {
+		filtered = filtered.filter((user) => toDisplayString(user[field]) === value);
+	}
+
 	// Apply UAC (userAccountControl) filter
 	if (app.isAdmin && selectedUacFilter) {
 		filtered = filtered.filter((user) => {
@@ -124,9 +159,9 @@ const filterData = (data) => {
 		});
 	}
 	
-	// Apply search filter (uses API display fields: fullName, location, phone, mobile, email)
+	// Apply search filter (uses API display fields: fullName, location, phone, mobile, email); diacritics folded like the server index
 	if (searchQuery && searchQuery.trim() !== "") {
-		const searchTerms = searchQuery.trim().toLowerCase().split(/\s+/).filter((term) => term.length > 0);
+		const searchTerms = foldText(searchQuery.trim()).split(/\s+/).filter((term) => term.length > 0);
 		if (searchTerms.length > 0) {
 			filtered = filtered.filter((user) => {
 				const searchableText = [
@@ -139,7 +174,7 @@ const filterData = (data) => {
 					user.mobile || "",
 					user.email || "",
 				]
-					.map((val) => String(val).toLowerCase())
+					.map((val) => foldText(val))
 					.join(" ");
 				return searchTerms.every((term) => searchableText.includes(term));
 			});
@@ -149,9 +184,130 @@ const filterData = (data) => {
 	return filtered;
 };
 
+// Load facet counts for the current query (skipped when already loaded for it)
+const loadFacets = async () => {
+	const query = searchQuery.trim();
+	if (facetsFor === query) return;
+	facetsFor = query;
+	const result = await state.fetchFacets(query);
+	if (facetsFor !== query) return;
+	facets = result;
+	m.redraw();
+};
+
+const toggleFacet = (field, value) => {
+	if (selectedFacets[field] === value) {
+		const { [field]: _removed, ...rest } = selectedFacets;
+		selectedFacets = rest;
+	} else {
+		selectedFacets = { ...selectedFacets, [field]: value };
+	}
+	m.redraw();
+};
+
+// Render filter chips per facet; a selected value stays visible even when it drops out of the top counts
+const renderFacetChips = () => {
+	const groups = Object.keys(FACET_LABELS)
+		.filter((field) => (facets[field] && facets[field].length > 0) || selectedFacets[field])
+		.map((field) => {
+			const values = (facets[field] || []).slice(0, MAX_CHIPS_PER_FACET);
+			const selected = selectedFacets[field];
+			if (selected && !values.some((v) => v.value === selected)) values.unshift({ value: selected, count: null });
+			return m("div.facet-group", { key: field }, [
+				m("span.facet-label", FACET_LABELS[field]),
+				values.map((v) =>
+					m("button.facet-chip", {
+						key: v.value,
+						type: "button",
+						class: selected === v.value ? "active" : "",
+						onclick: () => toggleFacet(field, v.value),
+					}, v.count != null ? `${v.value} (${v.count})` : v.value)
+				),
+			]);
+		});
+	if (groups.length === 0) return null;
+	return m("div.facet-chips", groups);
+};
+
+/**
+ * "No longer with the company" note for a departed contact (tombstone), with the contact to ask instead.
+ * @param {{ departedAt: string, successor: { id: string, fullName: string, phone: string }|null }} user - List row or favorite.
+ */
+const renderDeparture = (user) =>
+	m("div.departed-note", { style: { fontSize: "12px", color: "#a60", marginTop: "0.25rem" } }, [
+		`No longer with the company (since ${new Date(user.departedAt).toLocaleDateString()})`,
+		user.successor && [
+			" – contact ",
+			m(m.route.Link, {
+				href: "/org/" + user.successor.id,
+				style: { color: "#0066cc", textDecoration: "none" },
+			}, user.successor.fullName),
+			user.successor.phone && [
+				" (",
+				m("a", { href: `tel:${user.successor.phone}`, style: { color: "#0066cc", textDecoration: "none" } }, user.successor.phone),
+				")",
+			],
+			" instead",
+		],
+	]);
+
+// Favorites of colleagues who left and are not in the list (tombstones are only listed for admins by default)
+const renderDepartedFavorites = () => {
+	if (!showFavoritesOnly) return null;
+	const missing = state.favorites.filter((f) => f && f.departedAt && !state.phoneList.some((p) => p.id === f.id));
+	if (missing.length === 0) return null;
+	return m("div.departed-favorites", { style: { padding: "0.5rem 1rem", background: "#fff8e5", borderBottom: "1px solid #eed" } },
+		missing.map((f) =>
+			m("div", { key: f.id, style: { padding: "0.25rem 0" } }, [
+				m("strong", f.displayName || "A favorite contact"),
+				renderDeparture(f),
+			])
+		)
+	);
+};
+
+// When the local filter finds nothing, ask the server for typo-tolerant alternatives
+const loadDidYouMean = async () => {
+	const query = searchQuery.trim();
+	if (!query || query === didYouMeanFor) return;
+	if (filterData(addFavoritesToUserData(state.phoneList)).length > 0) return;
+	didYouMeanFor = query;
+	didYouMeanOptions = [];
+	const options = await state.fetchDidYouMean(query);
+	if (didYouMeanFor !== query) return;
+	didYouMeanOptions = options;
+	m.redraw();
+};
+
+// Render the empty-result message with "did you mean" links
+const renderNoResults = () => {
+	const query = searchQuery.trim();
+	const options = didYouMeanFor === query ? didYouMeanOptions : [];
+	return m("div.no-results", { style: { padding: "1rem", color: "#666" } }, [
+		`No contacts match "${query}".`,
+		options.length > 0 && [
+			" Did you mean: ",
+			options.map((o, i) => [
+				i > 0 && ", ",
+				m("a", {
+					href: "#",
+					style: { color: "#0066cc" },
+					onclick: (e) => {
+						e.preventDefault();
+						handleSearchInput(o.query);
+					},
+				}, o.query),
+				` (${o.total})`,
+			]),
+			"?",
+		],
+	]);
+};
+
 // Handle search input with debounce
 const handleSearchInput = (value) => {
 	searchQuery = value;
+	scheduleSuggestions(value);
 	
 	// Clear existing timer
 	if (debounceTimer) {
@@ -160,6 +316,8 @@ const handleSearchInput = (value) => {
 	
 	// Set new timer for debounce
 	debounceTimer = setTimeout(() => {
+		loadDidYouMean();
+		loadFacets();
 		m.redraw();
 	}, DEBOUNCE_DELAY);
 	
@@ -167,9 +325,119 @@ const handleSearchInput = (value) => {
 	m.redraw();
 };
 
-// Clear search, group filter, and UAC filter
+const SUGGEST_SECTION_LABELS = {
+	person: "People",
+	department: "Departments",
+	office: "Offices",
+};
+
+const closeSuggestions = () => {
+	suggestOpen = false;
+	suggestIndex = -1;
+	if (suggestTimer) {
+		clearTimeout(suggestTimer);
+		suggestTimer = null;
+	}
+};
+
+// Fetch typeahead suggestions (debounced); stale responses are dropped via suggestSeq
+const scheduleSuggestions = (value) => {
+	if (suggestTimer) clearTimeout(suggestTimer);
+	if (!value || value.trim().length < 2) {
+		suggestions = [];
+		closeSuggestions();
+		return;
+	}
+	suggestTimer = setTimeout(async () => {
+		suggestTimer = null;
+		const seq = ++suggestSeq;
+		const result = await state.fetchSuggestions(value);
+		if (seq !== suggestSeq || value !== searchQuery) return;
+		suggestions = [
+			...result.people.map((p) => ({
+				type: "person",
+				label: p.fullName || "",
+				detail: [p.title, p.department].filter(Boolean).join(" – "),
+				value: p.fullName || "",
+			})),
+			...result.departments.map((d) => ({ type: "department", label: d.value, detail: String(d.count), value: d.value })),
+			...result.offices.map((o) => ({ type: "office", label: o.value, detail: String(o.count), value: o.value })),
+		].filter((item) => item.value);
+		suggestIndex = -1;
+		suggestOpen = suggestions.length > 0;
+		m.redraw();
+	}, SUGGEST_DELAY);
+};
+
+// Use a suggestion as the search query
+const applySuggestion = (item) => {
+	if (!item) return;
+	searchQuery = item.value;
+	suggestions = [];
+	closeSuggestions();
+	m.redraw();
+};
+
+/**
+ * Keyboard navigation for the suggestion dropdown.
+ * @param {KeyboardEvent} e
+ * @returns {boolean} True when the key was handled by the dropdown.
+ */
+const handleSuggestKeydown = (e) => {
+	if (!suggestOpen || suggestions.length === 0) return false;
+	if (e.key === "ArrowDown") {
+		suggestIndex = (suggestIndex + 1) % suggestions.length;
+	} else if (e.key === "ArrowUp") {
+		suggestIndex = suggestIndex <= 0 ? suggestions.length - 1 : suggestIndex - 1;
+	} else if (e.key === "Enter" && suggestIndex >= 0) {
+		applySuggestion(suggestions[suggestIndex]);
+	} else if (e.key === "Escape") {
+		closeSuggestions();
+	} else {
+		return false;
+	}
+	e.preventDefault();
+	return true;
+};
+
+// Render the typeahead dropdown under the search input, grouped by suggestion type
+const renderSuggestions = () => {
+	if (!suggestOpen || suggestions.length === 0) return null;
+	const items = [];
+	let prevType = null;
+	suggestions.forEach((item, i) => {
+		if (item.type !== prevType) {
+			prevType = item.type;
+			items.push(m("li.suggest-section", { key: "section-" + item.type, role: "presentation" }, SUGGEST_SECTION_LABELS[item.type]));
+		}
+		items.push(m("li.suggest-item", {
+			key: item.type + "-" + i,
+			id: "suggest-item-" + i,
+			role: "option",
+			"aria-selected": i === suggestIndex ? "true" : "false",
+			class: i === suggestIndex ? "active" : "",
+			// mousedown instead of click so the input does not lose focus (and close the list) first
+			onmousedown: (e) => {
+				e.preventDefault();
+				applySuggestion(item);
+			},
+			onmouseenter: () => {
+				suggestIndex = i;
+			},
+		}, [
+			m("span.suggest-label", item.label),
+			item.detail && m("span.suggest-detail", item.detail),
+		]));
+	});
+	return m("ul.suggest-dropdown", { id: "search-suggestions", role: "listbox" }, items);
+};
+
+// Clear search, facet chips, group filter, and UAC filter
 const clearSearch = () => {
 	searchQuery = "";
+	selectedFacets = {};
+	suggestions = [];
+	closeSuggestions();
 	if (app.isAdmin) {
 		selectedGroupFilter = "";
 		selectedUacFilter = "";
@@ -212,6 +480,8 @@ const contactList = {
 	oninit: async () => {
 		await state.loadFavorites();
 		await state.loadPhonelist();
+		facetsFor = null;
+		loadFacets();
 		m.redraw();
 	},
 	
@@ -250,36 +520,52 @@ const contactList = {
 				m("div", { style: { display: "flex", alignItems: "center", gap: "0.5rem" } }, [
 					// Inline logo
 					m(".logo"),
-					m("input.search-input", {
-						type: "text",
-						placeholder: "Search contacts...",
-						value: searchQuery,
-						oncreate: (vnode) => { vnode.dom.focus(); },
-						oninput: (e) => handleSearchInput(e.target.value),
-						onkeydown: (e) => {
-							// Clear search on Escape key; keep focus in the input
-							if (e.key === "Escape") {
-								e.preventDefault();
-								clearSearch();
-							}
-						},
+					m("div.search-input-wrapper", {
 						style: {
+							position: "relative",
 							flex: 1,
 							minWidth: "200px",
 							maxWidth: "500px",
-							padding: "0.5rem 1rem",
-							fontSize: "14px",
-							border: "1px solid #ddd",
-							borderRadius: "4px",
-							outline: "none",
-						},
-						onfocus: (e) => {
-							e.target.style.borderColor = "#0066cc";
 						},
-						onblur: (e) => {
-							e.target.style.borderColor = "#ddd";
-						},
-					}),
+					}, [
+						m("input.search-input", {
+							type: "text",
+							placeholder: "Search contacts...",
+							value: searchQuery,
+							autocomplete: "off",
+							role: "combobox",
+							"aria-expanded": suggestOpen ? "true" : "false",
+							"aria-controls": "search-suggestions",
+							"aria-activedescendant": suggestIndex >= 0 ? "suggest-item-" + suggestIndex : undefined,
+							oncreate: (vnode) => { vnode.dom.focus(); },
+							oninput: (e) => handleSearchInput(e.target.value),
+							onkeydown: (e) => {
+								if (handleSuggestKeydown(e)) return;
+								// Clear search on Escape key; keep focus in the input
+								if (e.key === "Escape") {
+									e.preventDefault();
+									clearSearch();
+								}
+							},
+							style: {
+								width: "100%",
+								boxSizing: "border-box",
+								padding: "0.5rem 1rem",
+								fontSize: "14px",
+								border: "1px solid #ddd",
+								borderRadius: "4px",
+								outline: "none",
+							},
+							onfocus: (e) => {
+								e.target.style.borderColor = "#0066cc";
+							},
+							onblur: (e) => {
+								e.target.style.borderColor = "#ddd";
+								closeSuggestions();
+							},
+						}),
+						renderSuggestions(),
+					]),
 				]),
 				app.isAdmin && m("select.group-filter-select", {
 					style: {
@@ -319,7 +605,7 @@ const contactList = {
 					m("option", { value: "" }, "All UAC"),
 					...uniqueUacOptions.map((label) => m("option", { value: label, id: label }, label)),
 				]),
-				(searchQuery || selectedGroupFilter || selectedUacFilter) && m("button.clear-search-btn", {
+				(searchQuery || selectedGroupFilter || selectedUacFilter || Object.keys(selectedFacets).length > 0) && m("button.clear-search-btn", {
 					style: {
 						padding: "0.5rem 1rem",
 						fontSize: "14px",
@@ -411,7 +697,7 @@ const contactList = {
 						title: "Login",
 						onclick: openLoginModal,
 					}, "🔑"),
-				(searchQuery || showFavoritesOnly || selectedGroupFilter || selectedUacFilter) && m("span.search-results", {
+				(searchQuery || showFavoritesOnly || selectedGroupFilter || selectedUacFilter || Object.keys(selectedFacets).length > 0) && m("span.search-results", {
 					style: {
 						color: "#666",
 						fontSize: "14px",
@@ -419,6 +705,8 @@ const contactList = {
 					},
 				}, `${sortedData.length} of ${transformedData.length} contacts`),
 			]),
+			renderFacetChips(),
+			renderDepartedFavorites(),
 			// Table container with scroll
 			m("div.table-scroll-container", {
 				style: {
@@ -476,6 +764,8 @@ const contactList = {
 					sortedData.map((user) => {
 						return m("tr", {
 							key: user.id || user.fullName,
+							class: user.departedAt ? "departed" : "",
+							style: user.departedAt ? { color: "#888" } : undefined,
 						}, [
 							...(app.auth ? [
 								m("td.col-favorite", {
@@ -491,7 +781,17 @@ const contactList = {
 									}),
 								]),
 							] : []),
-							m("td.col-name", user.fullName || ""),
+							m("td.col-name", [
+								m(avatar, { user, size: 28 }),
+								user.id
+									? m(m.route.Link, {
+										href: "/org/" + user.id,
+										title: "Org chart",
+										style: { marginLeft: "0.5rem", color: "inherit", textDecoration: "none" },
+									}, user.fullName || "")
+									: m("span", { style: { marginLeft: "0.5rem" } }, user.fullName || ""),
+								user.departedAt && renderDeparture(user),
+							]),
 							m("td", user.title || ""),
 							m("td", user.department || ""),
 							m("td", user.office || ""),
@@ -545,6 +845,7 @@ const contactList = {
 					})
 				),
 			]),
+			sortedData.length === 0 && searchQuery.trim() !== "" && renderNoResults(),
 			]),
 		]);
 	},
@@ -0,0 +1,149 @@
+import m from "mithril";
+import state from "../../lib/state";
+import { app } from "../../..";
+
+// Group list (GET /admin/groups) and the selected group's members (GET /admin/groups/:id/members)
+let groups = [];
+let total = 0;
+let query = "";
+let queryTimer = null;
+let loadingGroups = false;
+let selected = null;
+let loadingMembers = false;
+let error = null;
+const QUERY_DELAY = 250; // milliseconds
+
+const cellStyle = { padding: "0.4rem 0.5rem", borderBottom: "1px solid #eee", textAlign: "left", verticalAlign: "top" };
+const headStyle = { ...cellStyle, borderBottom: "2px solid #ddd" };
+const linkStyle = { color: "#0066cc", cursor: "pointer", textDecoration: "none" };
+
+const loadGroups = async () => {
+	loadingGroups = true;
+	error = null;
+	m.redraw();
+	try {
+		const result = await state.requestWithAuth({
+			url: app.root + "/admin/groups" + (query.trim() ? "?q=" + encodeURIComponent(query.trim()) : ""),
+			timeout: 10000,
+		});
+		groups = (result && result.groups) || [];
+		total = result ? result.total : 0;
+	} catch (err) {
+		error = err.message || "Failed to load groups";
+	} finally {
+		loadingGroups = false;
+		m.redraw();
+	}
+};
+
+/**
+ * Opens a group: its parents, child groups and members.
+ * @param {string} id - Group id.
+ */
+const openGroup = async (id) => {
+	loadingMembers = true;
+	error = null;
+	m.redraw();
+	try {
+		selected = await state.requestWithAuth({
+			url: app.root + "/admin/groups/" + encodeURIComponent(id) + "/members",
+			timeout: 10000,
+		});
+	} catch (err) {
+		error = err.message || "Failed to load group members";
+	} finally {
+		loadingMembers = false;
+		m.redraw();
+	}
+};
+
+const renderGroupLinks = (label, refs) =>
+	refs.length > 0 && m("p", { style: { margin: "0.25rem 0", fontSize: "14px" } }, [
+		m("strong", label + ": "),
+		refs.map((g, i) => [
+			i > 0 && ", ",
+			m("a", { key: g.id, style: linkStyle, onclick: () => openGroup(g.id) }, g.name),
+		]),
+	]);
+
+const renderSelectedGroup = () => {
+	const { group, parents, children, members, notInPhonebook } = selected;
+	return m("div.group-details", { style: { marginTop: "1rem", padding: "0.75rem 1rem", border: "1px solid #ddd", borderRadius: "4px" } }, [
+		m("div", { style: { display: "flex", alignItems: "baseline", gap: "1rem" } }, [
+			m("h3", { style: { margin: 0 } }, group.name),
+			m("a", { style: { ...linkStyle, marginLeft: "auto", fontSize: "13px" }, onclick: () => { selected = null; } }, "Close"),
+		]),
+		group.description && m("p", { style: { margin: "0.25rem 0", color: "#555" } }, group.description),
+		m("p", { style: { margin: "0.25rem 0", fontSize: "13px", color: "#666" } }, [
+			group.mail && [group.mail, " · "],
+			`source ${group.source} · ${group.dn}`,
+		]),
+		renderGroupLinks("Member of", parents),
+		renderGroupLinks("Contains groups", children),
+		m("p", { style: { margin: "0.5rem 0", fontSize: "14px" } },
+			`${members.length} members in the phonebook` +
+			(notInPhonebook > 0 ? ` (${notInPhonebook} more not in the phonebook)` : "")),
+		members.length > 0 && m("table", { style: { width: "100%", borderCollapse: "collapse", fontSize: "14px" } }, [
+			m("thead", m("tr", [
+				m("th", { style: headStyle }, "Name"),
+				m("th", { style: headStyle }, "Title"),
+				m("th", { style: headStyle }, "Department"),
+				m("th", { style: headStyle }, "Membership"),
+			])),
+			m("tbody", members.map((u) =>
+				m("tr", { key: u.id }, [
+					m("td", { style: cellStyle }, u.fullName || ""),
+					m("td", { style: cellStyle }, u.title || ""),
+					m("td", { style: cellStyle }, u.department || ""),
+					m("td", { style: { ...cellStyle, color: u.direct ? "#222" : "#777" } }, u.direct ? "Direct" : "Nested"),
+				])
+			)),
+		]),
+	]);
+};
+
+/** Admin group directory: searchable group list; a selected group shows its nesting and members. */
+const groupExplorer = {
+	oninit: () => {
+		if (groups.length === 0 && !loadingGroups) loadGroups();
+	},
+	view: () =>
+		m("div.group-explorer", [
+			m("input[type=search]", {
+				placeholder: "Search groups by name, description or mail",
+				value: query,
+				style: { width: "100%", padding: "0.5rem", fontSize: "14px", border: "1px solid #ddd", borderRadius: "4px", boxSizing: "border-box" },
+				oninput: (e) => {
+					query = e.target.value;
+					clearTimeout(queryTimer);
+					queryTimer = setTimeout(loadGroups, QUERY_DELAY);
+				},
+			}),
+			error && m("p", { style: { color: "#c00" } }, error),
+			loadingMembers && m("p", "Loading members..."),
+			selected && !loadingMembers && renderSelectedGroup(),
+			loadingGroups && m("p", "Loading groups..."),
+			!loadingGroups && groups.length === 0 && !error &&
+				m("p", query.trim() ? "No groups match." : "No groups yet. They are read by the next sync."),
+			groups.length > 0 && m("p", { style: { fontSize: "13px", color: "#666" } },
+				total > groups.length ? `Showing ${groups.length} of ${total} groups` : `${total} groups`),
+			groups.length > 0 && m("table", { style: { width: "100%", borderCollapse: "collapse", fontSize: "14px" } }, [
+				m("thead", m("tr", [
+					m("th", { style: headStyle }, "Group"),
+					m("th", { style: headStyle }, "Description"),
+					m("th", { style: { ...headStyle, textAlign: "right" } }, "Members"),
+					m("th", { style: { ...headStyle, textAlign: "right" } }, "Nested groups"),
+				])),
+				m("tbody", groups.map((g) =>
+					m("tr", { key: g.id }, [
+						m("td", { style: cellStyle }, m("a", { style: linkStyle, onclick: () => openGroup(g.id) }, g.name)),
+						m("td", { style: cellStyle }, g.description || ""),
+						m("td", { style: { ...cellStyle, textAlign: "right" } }, g.memberCount),
+						m("td", { style: { ...cellStyle, textAlign: "right" } }, g.childGroupCount || ""),
+					])
+				)),
+			]),
+		]),
+};
+
+export default groupExplorer;
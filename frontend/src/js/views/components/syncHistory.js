@@ -0,0 +1,208 @@
+import m from "mithril";
+import state from "../../lib/state";
+import { app } from "../../..";
+
+// Past sync runs (GET /admin/sync-runs), newest first
+let runs = [];
+let retentionDays = null;
+let loading = false;
+let loaded = false;
+let error = null;
+const MAX_RUNS = 200;
+// A run is flagged when the headcount fell by more than this from the run before it …
+const HEADCOUNT_DROP_PERCENT = 2;
+// … or when it took this many times the median duration of runs of the same mode (full / incremental)
+const SLOW_FACTOR = 2;
+
+const cellStyle = { padding: "0.4rem 0.5rem", borderBottom: "1px solid #eee", textAlign: "left", verticalAlign: "top" };
+const headStyle = { ...cellStyle, borderBottom: "2px solid #ddd" };
+const numStyle = { ...cellStyle, textAlign: "right" };
+
+const loadRuns = async () => {
+	loading = true;
+	error = null;
+	m.redraw();
+	try {
+		const result = await state.requestWithAuth({ url: app.root + "/admin/sync-runs?limit=" + MAX_RUNS, timeout: 10000 });
+		runs = (result && result.runs) || [];
+		retentionDays = result ? result.retentionDays : null;
+		loaded = true;
+	} catch (err) {
+		error = err.message || "Failed to load the sync history";
+	} finally {
+		loading = false;
+		m.redraw();
+	}
+};
+
+const formatTime = (iso) => (iso ? new Date(iso).toLocaleString() : "");
+
+/** Formats milliseconds as "850 ms", "12.3 s" or "4 min 05 s". */
+const formatDuration = (ms) => {
+	if (ms == null) return "";
+	if (ms < 1000) return `${ms} ms`;
+	if (ms < 60000) return `${(ms / 1000).toFixed(1)} s`;
+	const s = Math.round(ms / 1000);
+	return `${Math.floor(s / 60)} min ${String(s % 60).padStart(2, "0")} s`;
+};
+
+const median = (values) => {
+	if (values.length === 0) return null;
+	const sorted = [...values].sort((a, b) => a - b);
+	const mid = Math.floor(sorted.length / 2);
+	return sorted.length % 2 ? sorted[mid] : (sorted[mid - 1] + sorted[mid]) / 2;
+};
+
+/**
+ * Marks runs that stand out: a headcount drop against the previous run, or a duration far above the median.
+ * @param {Object[]} list - Runs, oldest first.
+ * @returns {Map<Object, { drop: number|null, slow: boolean }>}
+ */
+const flagRuns = (list) => {
+	const medians = {};
+	for (const mode of new Set(list.map((r) => r.mode))) {
+		medians[mode] = median(list.filter((r) => r.mode === mode && r.timings).map((r) => r.timings.totalMs));
+	}
+	const flags = new Map();
+	list.forEach((run, i) => {
+		const prev = list[i - 1];
+		const drop = prev && prev.headcount > 0 && run.headcount < prev.headcount ? prev.headcount - run.headcount : null;
+		const typical = medians[run.mode];
+		flags.set(run, {
+			drop: drop && (drop * 100) / prev.headcount > HEADCOUNT_DROP_PERCENT ? drop : null,
+			slow: !!(run.timings && typical && run.timings.totalMs > typical * SLOW_FACTOR),
+		});
+	});
+	return flags;
+};
+
+/**
+ * Line chart (inline SVG) of one value over the runs, with flagged runs marked in red.
+ * @param {Object} options
+ * @param {string} options.title
+ * @param {Object[]} options.list - Runs, oldest first.
+ * @param {(run: Object) => number|null} options.value
+ * @param {(value: number) => string} options.format
+ * @param {(run: Object) => boolean} options.flagged
+ */
+const renderTrendChart = ({ title, list, value, format, flagged }) => {
+	const points = list.map((run) => ({ run, v: value(run) })).filter((p) => p.v != null);
+	const width = 600;
+	const height = 140;
+	const pad = { top: 10, right: 10, bottom: 20, left: 60 };
+	let lo = Math.min(...points.map((p) => p.v));
+	let hi = Math.max(...points.map((p) => p.v));
+	if (hi === lo) {
+		lo -= 1;
+		hi += 1;
+	}
+	const x = (i) => pad.left + (points.length > 1 ? (i * (width - pad.left - pad.right)) / (points.length - 1) : (width - pad.left - pad.right) / 2);
+	const y = (v) => pad.top + ((hi - v) * (height - pad.top - pad.bottom)) / (hi - lo);
+	return m("div.trend-chart", { style: { flex: "1 1 300px", minWidth: "300px" } }, [
+		m("div", { style: { fontSize: "13px", fontWeight: "bold", marginBottom: "0.25rem" } }, title),
+		points.length === 0
+			? m("p", { style: { fontSize: "13px", color: "#999" } }, "No data yet.")
+			: m("svg", { viewBox: `0 0 ${width} ${height}`, style: { width: "100%", height: "auto", border: "1px solid #eee", borderRadius: "4px" } }, [
+					m("text", { x: pad.left - 6, y: pad.top + 4, "text-anchor": "end", "font-size": 11, fill: "#666" }, format(hi)),
+					m("text", { x: pad.left - 6, y: height - pad.bottom, "text-anchor": "end", "font-size": 11, fill: "#666" }, format(lo)),
+					m("text", { x: pad.left, y: height - 5, "font-size": 11, fill: "#666" }, formatTime(points[0].run.startedAt)),
+					m("text", { x: width - pad.right, y: height - 5, "text-anchor": "end", "font-size": 11, fill: "#666" },
+						formatTime(points[points.length - 1].run.startedAt)),
+					m("line", { x1: pad.left, y1: height - pad.bottom, x2: width - pad.right, y2: height - pad.bottom, stroke: "#ddd" }),
+					m("polyline", {
+						points: points.map((p, i) => `${x(i)},${y(p.v)}`).join(" "),
+						fill: "none",
+						stroke: "#0066cc",
+						"stroke-width": 1.5,
+					}),
+					points.map((p, i) =>
+						m("circle", { cx: x(i), cy: y(p.v), r: flagged(p.run) ? 4 : 2, fill: flagged(p.run) ? "#c00" : "#0066cc" },
+							m("title", `${formatTime(p.run.startedAt)}: ${format(p.v)}`))
+					),
+				]),
+	]);
+};
+
+const STATUS_COLORS = { succeeded: "#080", "needs-approval": "#a60", failed: "#c00" };
+
+const skipped = (run) => (run.skips ? Object.values(run.skips).reduce((sum, n) => sum + (n || 0), 0) : 0);
+
+/** Admin sync history: duration and headcount trends, and a table of the recorded runs. */
+const syncHistory = {
+	// Reloaded whenever the tab opens: each sync adds a run
+	oninit: () => {
+		if (!loading) loadRuns();
+	},
+	view: () => {
+		const oldestFirst = [...runs].reverse();
+		const flags = flagRuns(oldestFirst);
+		return m("div.sync-history", [
+			m("p", { style: { fontSize: "13px", color: "#666", marginTop: 0 } }, [
+				"Every sync (not dry runs) is recorded and kept for ",
+				retentionDays != null ? `${retentionDays} days (SYNC_RUN_HISTORY_DAYS)` : "SYNC_RUN_HISTORY_DAYS",
+				`. Red points: the headcount fell by more than ${HEADCOUNT_DROP_PERCENT}%, or the run took over ${SLOW_FACTOR}× the usual time.`,
+			]),
+			error && m("p", { style: { color: "#c00" } }, error),
+			loading && m("p", "Loading sync history..."),
+			!loading && loaded && runs.length === 0 && m("p", "No syncs recorded yet."),
+			runs.length > 0 && m("div", { style: { display: "flex", gap: "1rem", flexWrap: "wrap", marginBottom: "1rem" } }, [
+				renderTrendChart({
+					title: "Duration",
+					list: oldestFirst,
+					value: (run) => (run.timings ? run.timings.totalMs : null),
+					format: formatDuration,
+					flagged: (run) => flags.get(run).slow,
+				}),
+				renderTrendChart({
+					title: "Headcount",
+					list: oldestFirst,
+					value: (run) => (run.headcount != null ? run.headcount : null),
+					format: (v) => String(Math.round(v)),
+					flagged: (run) => flags.get(run).drop != null,
+				}),
+			]),
+			runs.length > 0 && m("table", { style: { width: "100%", borderCollapse: "collapse", fontSize: "14px" } }, [
+				m("thead", m("tr", [
+					m("th", { style: headStyle }, "Started"),
+					m("th", { style: headStyle }, "Status"),
+					m("th", { style: headStyle }, "Mode"),
+					m("th", { style: { ...headStyle, textAlign: "right" } }, "Duration"),
+					m("th", { style: { ...headStyle, textAlign: "right" } }, "LDAP results"),
+					m("th", { style: { ...headStyle, textAlign: "right" } }, "Updated"),
+					m("th", { style: { ...headStyle, textAlign: "right" } }, "Deleted"),
+					m("th", { style: { ...headStyle, textAlign: "right" } }, "Skipped"),
+					m("th", { style: { ...headStyle, textAlign: "right" } }, "Headcount"),
+					m("th", { style: headStyle }, "Errors"),
+				])),
+				m("tbody", runs.map((run) => {
+					const flag = flags.get(run);
+					return m("tr", { key: run.id || run.startedAt }, [
+						m("td", { style: cellStyle }, formatTime(run.startedAt)),
+						m("td", { style: { ...cellStyle, color: STATUS_COLORS[run.status] || "inherit" } }, run.status),
+						m("td", { style: cellStyle }, run.mode || ""),
+						m("td", {
+							style: { ...numStyle, color: flag.slow ? "#c00" : "inherit" },
+							title: run.timings
+								? `Load ${formatDuration(run.timings.loadMs)}, search ${formatDuration(run.timings.searchMs)}, groups ${formatDuration(run.timings.groupMs)}, ` +
+									`processing ${formatDuration(run.timings.processingMs)}, deletes ${formatDuration(run.timings.deleteMs)}`
+								: "",
+						}, run.timings ? formatDuration(run.timings.totalMs) : ""),
+						m("td", { style: numStyle }, run.ldapResults),
+						m("td", { style: numStyle }, run.upserts),
+						m("td", { style: numStyle }, [run.deletes, run.pendingDeletes ? ` (+${run.pendingDeletes} held)` : ""]),
+						m("td", {
+							style: numStyle,
+							title: run.skips ? Object.entries(run.skips).map(([k, n]) => `${k}: ${n}`).join(", ") : "",
+						}, skipped(run)),
+						m("td", { style: { ...numStyle, color: flag.drop ? "#c00" : "inherit" } },
+							[run.headcount, flag.drop ? ` (−${flag.drop})` : ""]),
+						m("td", { style: { ...cellStyle, color: "#c00", fontSize: "13px" } },
+							(run.errors && run.errors.length ? run.errors.map((e) => `${e.source}: ${e.error}`) : [run.error]).filter(Boolean).join("; ")),
+					]);
+				})),
+			]),
+		]);
+	},
+};
+
+export default syncHistory;
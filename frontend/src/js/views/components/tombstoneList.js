@@ -0,0 +1,191 @@
+import m from "mithril";
+import state from "../../lib/state";
+import { app } from "../../..";
+
+// Departed users (GET /admin/tombstones) and the successor picker of one of them
+let tombstones = [];
+let retentionDays = null;
+let isPublic = false;
+let loading = false;
+let loaded = false;
+let error = null;
+let editingId = null;
+let successorQuery = "";
+let successorOptions = [];
+let successorTimer = null;
+const SUCCESSOR_DELAY = 250; // milliseconds
+const MAX_SUCCESSOR_OPTIONS = 8;
+
+const cellStyle = { padding: "0.4rem 0.5rem", borderBottom: "1px solid #eee", textAlign: "left", verticalAlign: "top" };
+const headStyle = { ...cellStyle, borderBottom: "2px solid #ddd" };
+const linkStyle = { color: "#0066cc", cursor: "pointer", textDecoration: "none" };
+
+const loadTombstones = async () => {
+	loading = true;
+	error = null;
+	m.redraw();
+	try {
+		const result = await state.requestWithAuth({ url: app.root + "/admin/tombstones", timeout: 10000 });
+		tombstones = (result && result.tombstones) || [];
+		retentionDays = result ? result.retentionDays : null;
+		isPublic = !!(result && result.public);
+		loaded = true;
+	} catch (err) {
+		error = err.message || "Failed to load departed users";
+	} finally {
+		loading = false;
+		m.redraw();
+	}
+};
+
+// Current contacts matching the picker input (GET /search), without departed users and the tombstone itself
+const searchSuccessors = async () => {
+	const q = successorQuery.trim();
+	if (!q) {
+		successorOptions = [];
+		m.redraw();
+		return;
+	}
+	try {
+		const result = await state.requestWithAuth({
+			url: app.root + "/search?limit=" + MAX_SUCCESSOR_OPTIONS * 2 + "&q=" + encodeURIComponent(q),
+			timeout: 5000,
+		});
+		if (successorQuery.trim() !== q) return;
+		successorOptions = ((result && result.results) || [])
+			.filter((row) => row && !row.departedAt && row.id !== editingId)
+			.slice(0, MAX_SUCCESSOR_OPTIONS);
+	} catch (err) {
+		successorOptions = [];
+	}
+	m.redraw();
+};
+
+/**
+ * Sets the contact callers of a departed user are referred to.
+ * @param {string} id - Tombstone id.
+ * @param {string|null} successorId - Contact id, or null for the departed user's manager.
+ */
+const setSuccessor = async (id, successorId) => {
+	error = null;
+	try {
+		const result = await state.requestWithAuth({
+			url: app.root + "/admin/tombstones/" + encodeURIComponent(id) + "/successor",
+			method: "PUT",
+			body: { successorId },
+			timeout: 10000,
+		});
+		if (result && result.tombstone) tombstones = tombstones.map((t) => (t.id === id ? result.tombstone : t));
+		editingId = null;
+	} catch (err) {
+		error = err.message || "Failed to set the successor";
+	}
+	m.redraw();
+};
+
+/**
+ * Removes a tombstone before its retention has passed.
+ * @param {Object} tombstone
+ */
+const purgeTombstone = async (tombstone) => {
+	if (!window.confirm(`Remove ${tombstone.fullName || "this departed user"} from the phonebook now?`)) return;
+	error = null;
+	try {
+		await state.requestWithAuth({
+			url: app.root + "/admin/tombstones/" + encodeURIComponent(tombstone.id),
+			method: "DELETE",
+			timeout: 10000,
+		});
+		tombstones = tombstones.filter((t) => t.id !== tombstone.id);
+	} catch (err) {
+		error = err.message || "Failed to purge the departed user";
+	}
+	m.redraw();
+};
+
+const openPicker = (id) => {
+	editingId = id;
+	successorQuery = "";
+	successorOptions = [];
+};
+
+const renderSuccessorPicker = (t) =>
+	m("div.successor-picker", { style: { marginTop: "0.25rem" } }, [
+		m("input[type=search]", {
+			placeholder: "Search a contact",
+			value: successorQuery,
+			style: { width: "100%", padding: "0.3rem", fontSize: "13px", border: "1px solid #ddd", borderRadius: "3px", boxSizing: "border-box" },
+			oncreate: ({ dom }) => dom.focus(),
+			oninput: (e) => {
+				successorQuery = e.target.value;
+				clearTimeout(successorTimer);
+				successorTimer = setTimeout(searchSuccessors, SUCCESSOR_DELAY);
+			},
+		}),
+		successorOptions.map((row) =>
+			m("div", { key: row.id },
+				m("a", { style: linkStyle, onclick: () => setSuccessor(t.id, row.id) },
+					[row.fullName, row.department && ` · ${row.department}`])
+			)
+		),
+		m("div", { style: { marginTop: "0.25rem", fontSize: "12px" } }, [
+			t.successorId && [m("a", { style: linkStyle, onclick: () => setSuccessor(t.id, null) }, "Use the manager"), " · "],
+			m("a", { style: linkStyle, onclick: () => { editingId = null; } }, "Cancel"),
+		]),
+	]);
+
+const renderSuccessor = (t) => [
+	t.successor
+		? m("span", [t.successor.fullName, m("span", { style: { color: "#777" } }, t.successorId ? "" : " (manager)")])
+		: m("span", { style: { color: "#999" } }, "none"),
+	editingId === t.id
+		? renderSuccessorPicker(t)
+		: m("a", { style: { ...linkStyle, marginLeft: "0.5rem", fontSize: "12px" }, onclick: () => openPicker(t.id) }, "Change"),
+];
+
+const formatDate = (iso) => (iso ? new Date(iso).toLocaleDateString() : "");
+
+/** Admin list of departed users: when they left, when they are purged and whom callers are referred to. */
+const tombstoneList = {
+	// Reloaded whenever the tab opens: each sync may add or purge tombstones
+	oninit: () => {
+		if (!loading) loadTombstones();
+	},
+	view: () =>
+		m("div.tombstone-list", [
+			m("p", { style: { fontSize: "13px", color: "#666", marginTop: 0 } }, [
+				"Users that left the directory stay in the phonebook as departed for ",
+				retentionDays != null ? `${retentionDays} days (TOMBSTONE_RETENTION_DAYS)` : "TOMBSTONE_RETENTION_DAYS",
+				isPublic
+					? ". Everyone sees them, with the contact to ask instead."
+					: ". Only admins see them; favorites still show whom to contact instead (TOMBSTONE_PUBLIC=1 lists them for everyone).",
+			]),
+			error && m("p", { style: { color: "#c00" } }, error),
+			loading && m("p", "Loading departed users..."),
+			!loading && loaded && tombstones.length === 0 && m("p", "No departed users."),
+			tombstones.length > 0 && m("table", { style: { width: "100%", borderCollapse: "collapse", fontSize: "14px" } }, [
+				m("thead", m("tr", [
+					m("th", { style: headStyle }, "Name"),
+					m("th", { style: headStyle }, "Title / Department"),
+					m("th", { style: headStyle }, "Left"),
+					m("th", { style: headStyle }, "Purged on"),
+					m("th", { style: headStyle }, "Contact instead"),
+					m("th", { style: headStyle }, ""),
+				])),
+				m("tbody", tombstones.map((t) =>
+					m("tr", { key: t.id }, [
+						m("td", { style: cellStyle }, t.fullName || ""),
+						m("td", { style: cellStyle }, [t.title, t.department].filter(Boolean).join(" · ")),
+						m("td", { style: cellStyle }, formatDate(t.departedAt)),
+						m("td", { style: cellStyle }, formatDate(t.purgeAt)),
+						m("td", { style: cellStyle }, renderSuccessor(t)),
+						m("td", { style: { ...cellStyle, textAlign: "right" } },
+							m("a", { style: { ...linkStyle, color: "#c00", fontSize: "13px" }, onclick: () => purgeTombstone(t) }, "Purge now")
+						),
+					])
+				)),
+			]),
+		]),
+};
+
+export default tombstoneList;
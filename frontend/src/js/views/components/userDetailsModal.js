@@ -1,8 +1,62 @@
-import { Button, Dialog, Icon, Icons } from "construct-ui";
+import { Button, Dialog, Icon, Icons, Tabs, TabItem } from "construct-ui";
 import m from "mithril";
+import state from "../../lib/state";
+import { app } from "../../..";
+import avatar from "./avatar";
 
 let selectedUser = null;
 let isOpen = false;
+let activeTab = "details";
+
+// Change history (GET /admin/users/:id/history), loaded when the History tab is first opened
+let history = null;
+let loadingHistory = false;
+let historyError = null;
+
+/** Labels for history field paths; other fields show their path. */
+const FIELD_LABELS = {
+	displayName: "Display Name",
+	firstName: "First Name",
+	lastName: "Last Name",
+	title: "Title",
+	department: "Department",
+	company: "Company",
+	office: "Office",
+	email: "Email",
+	accountName: "Account Name",
+	upn: "UPN",
+	"phones.business": "Business Phone",
+	"phones.mobile": "Mobile",
+	"phones.ipPhone": "IP Phone",
+	"location.city": "City",
+	"location.state": "State",
+	"location.country": "Country",
+	"location.street": "Street",
+	"location.postalCode": "Postal Code",
+	"groups.names": "Groups",
+	"groups.allNames": "Groups (incl. nested)",
+	managerDN: "Manager DN",
+	passwordLastSet: "Password Last Set",
+	uac: "UAC",
+	uacDescription: "UAC Description",
+	dn: "DN",
+	guid: "GUID",
+	source: "Source",
+	photoHash: "Photo",
+	departedAt: "Departed",
+	successorId: "Successor",
+	employeeId: "Employee ID",
+	"hr.costCenter": "Cost Center",
+	"hr.employeeNumber": "Employee Number",
+	"hr.startDate": "Start Date",
+	"hr.deskLocation": "Desk Location",
+};
+
+/** Line shown above the changed fields of history entries for a user leaving or returning. */
+const EVENT_NOTES = {
+	departed: "No longer in the directory; kept as a departed contact",
+	returned: "Back in the directory",
+};
 
 /**
  * Opens the user details modal for the given user.
@@ -11,6 +65,9 @@ let isOpen = false;
 export const openUserDetails = (user) => {
 	selectedUser = user;
 	isOpen = true;
+	activeTab = "details";
+	history = null;
+	historyError = null;
 	m.redraw();
 };
 
@@ -18,6 +75,28 @@ export const openUserDetails = (user) => {
 export const closeUserDetails = () => {
 	isOpen = false;
 	selectedUser = null;
+	history = null;
+};
+
+/** Loads the change history of the selected user. */
+const loadHistory = async () => {
+	if (!selectedUser || !selectedUser.id) return;
+	const user = selectedUser;
+	loadingHistory = true;
+	historyError = null;
+	m.redraw();
+	try {
+		const result = await state.requestWithAuth({
+			url: app.root + "/admin/users/" + encodeURIComponent(user.id) + "/history",
+			timeout: 5000,
+		});
+		if (selectedUser === user) history = (result && result.entries) || [];
+	} catch (err) {
+		historyError = err.message || "Failed to load history";
+	} finally {
+		loadingHistory = false;
+		m.redraw();
+	}
 };
 
 /**
@@ -77,6 +156,56 @@ const renderGroups = (groups) => {
 	]);
 };
 
+// Groups the user is in only through other groups (allNames minus the direct names)
+const nestedGroupNames = (groups) => {
+	if (!groups || !Array.isArray(groups.allNames)) return null;
+	const direct = new Set(Array.isArray(groups.names) ? groups.names : []);
+	return groups.allNames.filter((name) => !direct.has(name));
+};
+
+const renderChangeValue = (value) => {
+	const formatted = formatValue(value);
+	return formatted
+		? m("span", formatted)
+		: m("span", { style: { color: "#999", fontStyle: "italic" } }, "empty");
+};
+
+const renderHistoryEntry = (entry) => {
+	const by = entry.source === "manual"
+		? "Manual edit" + (entry.actor ? ` by ${entry.actor}` : "")
+		: entry.source === "hr" ? "HR import" : "Sync";
+	return m("li", { key: entry.at + by, style: { marginBottom: "1rem" } }, [
+		m("div", [
+			m("strong", new Date(entry.at).toLocaleString()),
+			m("span", { style: { color: "#666", marginLeft: "0.5rem" } }, `· ${by}`),
+		]),
+		EVENT_NOTES[entry.event] && m("div", { style: { color: "#666" } }, EVENT_NOTES[entry.event]),
+		entry.event === "created"
+			? m("div", { style: { color: "#666" } }, "Contact added to the phonebook")
+			: m("table.user-details-table", { style: { marginTop: "0.25rem" } },
+				entry.changes.map((c) =>
+					m("tr", [
+						m("td.field-label", FIELD_LABELS[c.field] || c.field),
+						m("td.field-value", [
+							renderChangeValue(c.old),
+							m("span", { style: { margin: "0 0.5rem", color: "#666" } }, "→"),
+							renderChangeValue(c.new),
+						]),
+					])
+				)
+			),
+	]);
+};
+
+const renderHistory = () => {
+	if (loadingHistory) return m("p", "Loading history...");
+	if (historyError) return m("p", { style: { color: "#c00" } }, historyError);
+	if (!history || history.length === 0) return m("p", "No changes recorded yet.");
+	return m("ul.history-timeline", { style: { listStyle: "none", padding: 0, marginTop: "1rem" } },
+		history.map(renderHistoryEntry)
+	);
+};
+
 const userDetailsModal = {
 	view: () => {
 		if (!isOpen || !selectedUser) return null;
@@ -87,8 +216,34 @@ const userDetailsModal = {
 			onClose: closeUserDetails,
 			content: [
 				m("div.user-details-modal-content", [
-				m("h2", "User Details"),
-				m(
+				m("div", { style: { display: "flex", alignItems: "center", gap: "1rem" } }, [
+					m(avatar, { user: selectedUser, size: 72 }),
+					m("h2", "User Details"),
+					selectedUser.id && m(m.route.Link, {
+						href: "/org/" + selectedUser.id,
+						onclick: closeUserDetails,
+						style: { marginLeft: "auto", color: "#0066cc", textDecoration: "none" },
+					}, "Org chart →"),
+				]),
+				m(Tabs, { bordered: true }, [
+					m(TabItem, {
+						label: "Details",
+						active: activeTab === "details",
+						onclick: () => {
+							activeTab = "details";
+						},
+					}),
+					m(TabItem, {
+						label: "History",
+						active: activeTab === "history",
+						onclick: () => {
+							activeTab = "history";
+							if (history === null && !loadingHistory) loadHistory();
+						},
+					}),
+				]),
+				activeTab === "history" && renderHistory(),
+				activeTab === "details" && m(
 					"table.user-details-table",
 					{
 						style: {
@@ -108,6 +263,7 @@ const userDetailsModal = {
 						renderField("Email", selectedUser.email),
 						renderField("Account Name", selectedUser.accountName),
 						renderField("UPN", selectedUser.upn),
+						renderField("Employee ID", selectedUser.employeeId),
 						renderField("Business Phone", selectedUser.phones?.business),
 						renderField("Mobile", selectedUser.phones?.mobile),
 						renderField("IP Phone", selectedUser.phones?.ipPhone),
@@ -116,7 +272,11 @@ const userDetailsModal = {
 						renderField("Country", selectedUser.location?.country),
 						renderField("Street", selectedUser.location?.street),
 						renderField("Postal Code", selectedUser.location?.postalCode),
+						// Columns of the HR file (HR_CSV_FILE); their keys depend on HR_MAPPING_FILE
+						selectedUser.hr && Object.entries(selectedUser.hr).map(([key, value]) =>
+							renderField(FIELD_LABELS["hr." + key] || key, value)),
 						renderGroups(selectedUser.groups),
+						renderField("Nested Groups", nestedGroupNames(selectedUser.groups)),
 						renderField("Manager DN", selectedUser.managerDN),
 						renderField("Last Modified", formatTimestamp(selectedUser.whenChanged) || null),
 						renderField("Created", formatTimestamp(selectedUser.whenCreated) || null),
@@ -128,10 +288,13 @@ const userDetailsModal = {
 						renderField("DN", selectedUser.dn),
 						renderField("GUID", selectedUser.guid),
 						renderField("Synced At", selectedUser.syncedAt),
+						renderField("Departed", selectedUser.departedAt && new Date(selectedUser.departedAt).toLocaleString()),
+						renderField("Purged On", selectedUser.purgeAt && new Date(selectedUser.purgeAt).toLocaleDateString()),
+						renderField("Contact Instead", selectedUser.successor?.fullName),
 						renderField("Manual Contact", selectedUser.isManual ? "Yes" : "No"),
 					]
 				),
-				m("pre.json-view", {
+				activeTab === "details" && m("pre.json-view", {
 					style: {
 						marginTop: "1rem",
 						padding: "1rem",
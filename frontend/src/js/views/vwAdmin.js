@@ -2,6 +2,9 @@ import m, { route } from "mithril";
 import { Tabs, TabItem } from "construct-ui";
 import { app } from "../..";
 import state from "../lib/state";
+import groupExplorer from "./components/groupExplorer";
+import tombstoneList from "./components/tombstoneList";
+import syncHistory from "./components/syncHistory";
 
 let activeTab = "sync-log";
 let syncLogFiles = [];
@@ -13,6 +16,33 @@ let loadingSettings = false;
 let loadingLogContent = false;
 let error = null;
 
+// Sync runner: status from GET /admin/sync, then live updates from the SSE stream
+let syncStatus = null;
+let syncEvents = [];
+let syncFull = false;
+let syncDryRun = false;
+let syncStarting = false;
+let syncError = null;
+let syncStream = null;
+let syncReconnectTimer = null;
+const MAX_SYNC_EVENTS = 50;
+const SYNC_RECONNECT_MS = 5000;
+
+// Deletes held back by SYNC_DELETE_THRESHOLD, per source, waiting for approval
+let pendingDeletes = {};
+let pendingThreshold = null;
+let pendingBusy = null;
+let pendingError = null;
+const MAX_PENDING_NAMES = 50;
+
+// Dry-run change reports (sync.js --dry-run) shown below the sync logs
+let dryRunReports = [];
+let selectedReportName = null;
+let selectedReport = null;
+let loadingReport = false;
+let reportError = null;
+const MAX_REPORT_ROWS = 100;
+
 const loadSyncLogs = async () => {
 	loadingSyncLogs = true;
 	error = null;
@@ -34,6 +64,97 @@ const loadSyncLogs = async () => {
 	}
 };
 
+const loadPendingDeletes = async () => {
+	try {
+		const result = await state.requestWithAuth({
+			url: app.root + "/admin/pending-deletes",
+			timeout: 5000,
+		});
+		pendingDeletes = (result && result.sources) || {};
+		pendingThreshold = result ? result.threshold : null;
+	} catch (err) {
+		pendingError = err.message || "Failed to load pending deletes";
+	} finally {
+		m.redraw();
+	}
+};
+
+/**
+ * Approves or rejects the held-back deletes of a source.
+ * @param {string} source - Source id.
+ * @param {"approve"|"reject"} action
+ */
+const decidePendingDeletes = async (source, action) => {
+	const count = pendingDeletes[source] ? pendingDeletes[source].users.length : 0;
+	if (action === "approve" && !window.confirm(`Delete ${count} users of "${source}" from the phonebook?`)) return;
+	pendingBusy = source;
+	pendingError = null;
+	m.redraw();
+	try {
+		await state.requestWithAuth({
+			method: "POST",
+			url: app.root + "/admin/pending-deletes/" + encodeURIComponent(source) + "/" + action,
+			timeout: 30000,
+		});
+		await loadPendingDeletes();
+	} catch (err) {
+		pendingError = err.message || "Failed to " + action + " deletes";
+	} finally {
+		pendingBusy = null;
+		m.redraw();
+	}
+};
+
+const loadDryRunReports = async () => {
+	try {
+		const result = await state.requestWithAuth({
+			url: app.root + "/admin/sync-reports",
+			timeout: 5000,
+		});
+		dryRunReports = (result && result.reports) || [];
+	} catch (err) {
+		dryRunReports = [];
+		reportError = err.message || "Failed to load dry-run reports";
+	} finally {
+		m.redraw();
+	}
+};
+
+const loadReport = async (name) => {
+	selectedReportName = name;
+	selectedReport = null;
+	loadingReport = true;
+	reportError = null;
+	m.redraw();
+	try {
+		selectedReport = await state.requestWithAuth({
+			url: app.root + "/admin/sync-reports/" + encodeURIComponent(name),
+			timeout: 10000,
+		});
+	} catch (err) {
+		reportError = err.message || "Failed to load report";
+	} finally {
+		loadingReport = false;
+		m.redraw();
+	}
+};
+
+/** Opens the standalone HTML report in a new tab (fetched with the Bearer token, shown from a blob URL). */
+const openReportHtml = async (name) => {
+	try {
+		const html = await state.requestWithAuth({
+			url: app.root + "/admin/sync-reports/" + encodeURIComponent(name),
+			timeout: 10000,
+		});
+		const url = URL.createObjectURL(new Blob([html], { type: "text/html" }));
+		window.open(url, "_blank");
+		setTimeout(() => URL.revokeObjectURL(url), 60000);
+	} catch (err) {
+		reportError = err.message || "Failed to open report";
+		m.redraw();
+	}
+};
+
 /**
  * Parses pino JSON log lines into table rows for the admin sync log view.
  * @param {string} [content] - Raw log file content (one JSON object per line).
@@ -106,10 +227,347 @@ const loadSettings = async () => {
 	}
 };
 
+/**
+ * Applies one event from /admin/sync/events to the sync panel state.
+ * @param {string} event - "status", "start", "log" or "end".
+ * @param {Object} data
+ */
+const handleSyncEvent = (event, data) => {
+	if (event === "status") {
+		syncStatus = data;
+		syncEvents = (data.current && data.current.recent) || [];
+	} else if (event === "start") {
+		// The new run holds the lock now and supersedes an aborted one
+		syncStatus = { ...syncStatus, running: true, current: data.run, runState: null };
+		syncEvents = [];
+	} else if (event === "log") {
+		syncStatus = { ...syncStatus, running: true, current: data.run };
+		syncEvents = [...syncEvents, data].slice(-MAX_SYNC_EVENTS);
+	} else if (event === "end") {
+		syncStatus = { ...syncStatus, running: false, current: null, lastRun: data.run, runState: null };
+		// The finished run wrote a new log file (and, for a dry run, a report; otherwise maybe held-back deletes)
+		loadSyncLogs();
+		loadDryRunReports();
+		loadPendingDeletes();
+	}
+	m.redraw();
+};
+
+/** Opens the sync progress stream; reconnects after a dropped connection until closeSyncStream(). */
+const connectSyncStream = async () => {
+	closeSyncStream();
+	const ctrl = new AbortController();
+	syncStream = ctrl;
+	try {
+		// Also refreshes an expired access token before the stream request
+		const status = await state.requestWithAuth({ url: app.root + "/admin/sync", timeout: 5000 });
+		if (ctrl.signal.aborted) return;
+		handleSyncEvent("status", status);
+		await state.streamEvents(app.root + "/admin/sync/events", handleSyncEvent, ctrl.signal);
+	} catch (err) {
+		if (ctrl.signal.aborted) return;
+		state.log("Sync progress stream failed", err);
+	}
+	if (!ctrl.signal.aborted) syncReconnectTimer = setTimeout(connectSyncStream, SYNC_RECONNECT_MS);
+};
+
+const closeSyncStream = () => {
+	clearTimeout(syncReconnectTimer);
+	if (syncStream) syncStream.abort();
+	syncStream = null;
+};
+
+const startSyncNow = async () => {
+	syncStarting = true;
+	syncError = null;
+	m.redraw();
+	try {
+		await state.requestWithAuth({
+			method: "POST",
+			url: app.root + "/admin/sync",
+			body: { full: syncFull, dryRun: syncDryRun },
+			timeout: 5000,
+		});
+	} catch (err) {
+		syncError = err.message || "Failed to start sync";
+	} finally {
+		syncStarting = false;
+		m.redraw();
+	}
+};
+
+/** Formats an ISO timestamp for the sync panel. */
+const formatTime = (iso) => (iso ? new Date(iso).toLocaleString() : "");
+
+const PHASE_LABELS = {
+	1: "Loading known users",
+	2: "Searching LDAP",
+	3: "Processing entries",
+	4: "Removing deleted users",
+};
+
+/**
+ * Overall progress bar width for a running sync. Phases 1, 2 and 4 are short; phase 3 (processing entries,
+ * which logs 10% milestones) fills most of the bar.
+ * @param {Object} run - Run snapshot with phase and progress.
+ * @returns {number} 0–100.
+ */
+const syncBarPercent = (run) => {
+	if (run.phase === 3) return 20 + (run.progress || 0) * 0.7;
+	return { 1: 5, 2: 15, 4: 95 }[run.phase] || 0;
+};
+
+/** Sync panel: "Sync now" button, schedule, live phase/progress of a running sync, and the last result. */
+const renderSyncPanel = () => {
+	const running = !!(syncStatus && syncStatus.running);
+	const run = syncStatus && syncStatus.current;
+	const last = syncStatus && syncStatus.lastRun;
+	const runState = (syncStatus && syncStatus.runState) || {};
+	const lock = runState.lock;
+	// Only while the aborted run is the latest one; a later run that finished supersedes the warning
+	const aborted = runState.latest && runState.latest.status === "aborted" ? runState.latest : null;
+	return m("div.sync-panel", {
+		style: { border: "1px solid #ddd", borderRadius: "4px", padding: "0.75rem 1rem", marginBottom: "1rem" },
+	}, [
+		m("div", { style: { display: "flex", alignItems: "center", gap: "1rem", flexWrap: "wrap" } }, [
+			m("button", {
+				type: "button",
+				disabled: running || syncStarting || !syncStatus,
+				style: {
+					padding: "0.5rem 1rem",
+					fontSize: "14px",
+					border: "1px solid #0066cc",
+					borderRadius: "4px",
+					background: running || syncStarting ? "#eee" : "#0066cc",
+					color: running || syncStarting ? "#666" : "#fff",
+					cursor: running || syncStarting ? "default" : "pointer",
+				},
+				onclick: startSyncNow,
+			}, running ? "Sync running…" : "Sync now"),
+			m("label", { style: { fontSize: "14px", display: "flex", alignItems: "center", gap: "0.25rem" } }, [
+				m("input[type=checkbox]", {
+					checked: syncFull,
+					disabled: running,
+					onchange: (e) => {
+						syncFull = e.target.checked;
+					},
+				}),
+				"Full sync",
+			]),
+			m("label", { style: { fontSize: "14px", display: "flex", alignItems: "center", gap: "0.25rem" } }, [
+				m("input[type=checkbox]", {
+					checked: syncDryRun,
+					disabled: running,
+					onchange: (e) => {
+						syncDryRun = e.target.checked;
+					},
+				}),
+				"Dry run (report only)",
+			]),
+			m("span", { style: { color: "#666", fontSize: "13px" } },
+				syncStatus && syncStatus.schedule
+					? `Schedule: ${syncStatus.schedule}` + (syncStatus.nextRunAt ? ` · next run ${formatTime(syncStatus.nextRunAt)}` : "")
+					: "No schedule configured (SYNC_SCHEDULE)"),
+		]),
+		syncError && m("p", { style: { color: "#c00", margin: "0.5rem 0 0" } }, syncError),
+		running && run && m("div", { style: { marginTop: "0.75rem" } }, [
+			m("div", { style: { fontSize: "14px", marginBottom: "0.25rem" } }, [
+				m("strong", run.phase ? `Phase ${run.phase}: ${PHASE_LABELS[run.phase] || ""}` : "Starting…"),
+				run.phase === 3 && run.progress != null ? ` (${run.progress}%)` : "",
+				m("span", { style: { color: "#666", marginLeft: "0.5rem" } }, `${run.trigger}, started ${formatTime(run.startedAt)}`),
+			]),
+			m("div", { style: { height: "8px", background: "#eee", borderRadius: "4px", overflow: "hidden" } },
+				m("div", {
+					style: {
+						height: "100%",
+						background: "#0066cc",
+						transition: "width 0.3s",
+						width: `${syncBarPercent(run)}%`,
+					},
+				})),
+			m("ul", {
+				style: { listStyle: "none", padding: 0, margin: "0.5rem 0 0", fontSize: "12px", color: "#444", maxHeight: "10rem", overflow: "auto" },
+			}, syncEvents.slice(-8).map((e, i) =>
+				m("li", { key: i, style: { color: e.level === "error" ? "#c00" : e.level === "warn" ? "#a60" : "inherit" } },
+					`${new Date(e.time).toLocaleTimeString()} ${e.msg}`))),
+		]),
+		running && !run && lock && m("p", { style: { margin: "0.5rem 0 0", fontSize: "14px", color: "#666" } },
+			`Sync running in another process (pid ${lock.pid} on ${lock.hostname}, started ${formatTime(lock.startedAt)}` +
+				(lock.args && lock.args.length ? `, ${lock.args.join(" ")}` : "") + ")"),
+		aborted && m("p", { style: { margin: "0.5rem 0 0", fontSize: "14px", color: "#a60" } },
+			`Sync started ${formatTime(aborted.startedAt)} (pid ${aborted.pid} on ${aborted.hostname}) did not finish: ` +
+				(aborted.finishedAt ? "it was stopped" : "it crashed or was killed") +
+				(aborted.lastHeartbeatAt ? `, last heartbeat ${formatTime(aborted.lastHeartbeatAt)}` : "")),
+		!running && last && m("p", { style: { margin: "0.5rem 0 0", fontSize: "14px" } }, [
+			m("span", { style: { color: { succeeded: "#080", "needs-approval": "#a60" }[last.status] || "#c00" } },
+				{ succeeded: "Last sync succeeded", "needs-approval": "Last sync needs approval" }[last.status] || "Last sync failed"),
+			` ${formatTime(last.finishedAt)} (${last.trigger}${last.full ? ", full" : ""}${last.dryRun ? ", dry run" : ""})`,
+			last.summary && !last.dryRun && ` · ${last.summary.upserts ?? 0} updated, ${last.summary.deletes ?? 0} deleted`,
+			last.summary && last.summary.entriesPerSecond != null && ` · ${last.summary.entriesPerSecond} entries/s`,
+			last.summary && last.dryRun && last.summary.report && m("a", {
+				href: "#",
+				style: { color: "#0066cc", marginLeft: "0.5rem" },
+				onclick: (e) => {
+					e.preventDefault();
+					activeTab = "sync-log";
+					loadReport(last.summary.report);
+				},
+			}, "View report"),
+			last.error && m("span", { style: { color: "#c00" } }, ` · ${last.error}`),
+		]),
+	]);
+};
+
+/** Held-back deletes per source with Approve / Reject, shown only while there are any. */
+const renderPendingDeletes = () => {
+	const sources = Object.keys(pendingDeletes);
+	if (sources.length === 0 && !pendingError) return null;
+	return m("div.pending-deletes", {
+		style: { border: "1px solid #e0a000", background: "#fff8e5", borderRadius: "4px", padding: "0.75rem 1rem", marginBottom: "1rem" },
+	}, [
+		pendingError && m("p", { style: { color: "#c00", margin: "0 0 0.5rem" } }, pendingError),
+		sources.map((source) => {
+			const p = pendingDeletes[source];
+			const busy = pendingBusy === source;
+			return m("div", { key: source, style: { marginBottom: "0.5rem" } }, [
+				m("p", { style: { margin: "0 0 0.5rem", fontSize: "14px" } }, [
+					m("strong", `Sync held back ${p.users.length} deletes for source "${source}"`),
+					` (${formatTime(p.heldAt)}): more than the threshold of ${p.limit} `,
+					`(SYNC_DELETE_THRESHOLD=${p.threshold || pendingThreshold}, ${p.knownCount} users before the sync). `,
+					"Check the base DN and filter before approving.",
+				]),
+				m("details", { style: { fontSize: "13px", marginBottom: "0.5rem" } }, [
+					m("summary", { style: { cursor: "pointer" } }, "Users that would be deleted"),
+					m("ul", { style: { margin: "0.25rem 0", maxHeight: "12rem", overflow: "auto" } }, [
+						...p.users.slice(0, MAX_PENDING_NAMES).map((u) => m("li", { key: u.dn, title: u.dn }, u.displayName || u.dn)),
+						p.users.length > MAX_PENDING_NAMES && m("li", { key: "more", style: { color: "#666" } }, `… and ${p.users.length - MAX_PENDING_NAMES} more`),
+					]),
+				]),
+				m("button", {
+					type: "button",
+					disabled: busy,
+					style: { padding: "0.4rem 0.9rem", marginRight: "0.5rem", border: "1px solid #c00", borderRadius: "4px", background: "#c00", color: "#fff", cursor: "pointer" },
+					onclick: () => decidePendingDeletes(source, "approve"),
+				}, "Approve deletes"),
+				m("button", {
+					type: "button",
+					disabled: busy,
+					style: { padding: "0.4rem 0.9rem", border: "1px solid #999", borderRadius: "4px", background: "#fff", cursor: "pointer" },
+					onclick: () => decidePendingDeletes(source, "reject"),
+				}, "Reject (keep users)"),
+			]);
+		}),
+	]);
+};
+
+const reportRowStyle = { padding: "0.25rem 0.5rem", borderBottom: "1px solid #eee", verticalAlign: "top" };
+
+/** Rows of one change list, capped at MAX_REPORT_ROWS (the HTML report has more). */
+const renderReportRows = (items, renderRow) => [
+	...items.slice(0, MAX_REPORT_ROWS).map(renderRow),
+	items.length > MAX_REPORT_ROWS &&
+		m("tr", m("td", { colspan: 3, style: { ...reportRowStyle, color: "#666" } }, `… and ${items.length - MAX_REPORT_ROWS} more (open the HTML report)`)),
+];
+
+const formatReportValue = (value) => {
+	if (value === null || value === undefined || value === "") return m("em", { style: { color: "#999" } }, "empty");
+	return Array.isArray(value) ? value.join(", ") : String(value);
+};
+
+const renderReportSource = (src) => {
+	if (src.status === "failed") {
+		return m("div", { key: src.source, style: { marginTop: "1rem" } }, [
+			m("h4", { style: { margin: "0 0 0.25rem" } }, src.source),
+			m("p", { style: { color: "#c00", margin: 0 } }, `Failed: ${src.error}`),
+		]);
+	}
+	const { inserts, updates, deletes } = src.changes;
+	return m("div", { key: src.source, style: { marginTop: "1rem" } }, [
+		m("h4", { style: { margin: "0 0 0.25rem" } }, [
+			src.source,
+			m("span", { style: { color: "#666", fontWeight: "normal", marginLeft: "0.5rem" } }, `${src.mode} (${src.reason})`),
+		]),
+		m("p", { style: { fontSize: "13px", color: "#444", margin: "0 0 0.5rem" } },
+			`${src.ldapCount} LDAP results · ${inserts.length} inserts · ${updates.length} updates · ${deletes.length} deletes · ${src.unchanged} unchanged`),
+		m("table", { style: { width: "100%", borderCollapse: "collapse", fontSize: "13px" } }, m("tbody", [
+			...renderReportRows(inserts, (u) =>
+				m("tr", [
+					m("td", { style: { ...reportRowStyle, color: "#080", whiteSpace: "nowrap" } }, "Insert"),
+					m("td", { style: reportRowStyle }, u.displayName || ""),
+					m("td", { style: { ...reportRowStyle, wordBreak: "break-word" } }, u.dn),
+				])),
+			...renderReportRows(updates, (u) =>
+				m("tr", [
+					m("td", { style: { ...reportRowStyle, color: "#a60", whiteSpace: "nowrap" } }, "Update"),
+					m("td", { style: reportRowStyle }, u.displayName || u.dn),
+					m("td", { style: reportRowStyle }, u.changes.map((c) =>
+						m("div", [m("strong", c.field), ": ", formatReportValue(c.old), " → ", formatReportValue(c.new)]))),
+				])),
+			...renderReportRows(deletes, (u) =>
+				m("tr", [
+					m("td", { style: { ...reportRowStyle, color: "#c00", whiteSpace: "nowrap" } }, "Delete"),
+					m("td", { style: reportRowStyle }, u.displayName || ""),
+					m("td", { style: { ...reportRowStyle, wordBreak: "break-word" } }, [u.dn, m("span", { style: { color: "#666" } }, ` (${u.reason})`)]),
+				])),
+		])),
+	]);
+};
+
+/** Dry-run reports: list with totals, and the selected report's changes per source. */
+const renderDryRunReports = () =>
+	m("div.dry-run-reports", { style: { marginTop: "1.5rem" } }, [
+		m("h3", { style: { margin: "0 0 0.5rem" } }, "Dry-run reports"),
+		reportError && m("p", { style: { color: "#c00" } }, reportError),
+		dryRunReports.length === 0
+			? m("p", { style: { color: "#666" } }, "No dry-run reports yet. Run `npm run sync:dry-run` or tick Dry run above.")
+			: m("ul", { style: { listStyle: "none", padding: 0, margin: 0, border: "1px solid #ddd", borderRadius: "4px" } },
+				dryRunReports.map((r) =>
+					m("li", {
+						key: r.name,
+						style: {
+							padding: "0.5rem 0.75rem",
+							cursor: "pointer",
+							background: selectedReportName === r.name ? "#e0e0e0" : "#fff",
+							borderBottom: "1px solid #eee",
+							display: "flex",
+							gap: "1rem",
+						},
+						onclick: () => loadReport(r.name),
+					}, [
+						m("span", { style: { flex: 1 } }, formatTime(r.generatedAt) || r.name),
+						r.totals && m("span", { style: { color: "#444" } },
+							`${r.totals.inserts} inserts · ${r.totals.updates} updates · ${r.totals.deletes} deletes`),
+						m("a", {
+							href: "#",
+							style: { color: "#0066cc" },
+							onclick: (e) => {
+								e.preventDefault();
+								e.stopPropagation();
+								openReportHtml(r.html);
+							},
+						}, "HTML"),
+					]))),
+		loadingReport && m("p", "Loading report..."),
+		selectedReport && !loadingReport && m("div", [
+			m("p", { style: { fontSize: "14px", margin: "0.75rem 0 0" } }, [
+				m("strong", `Dry run ${formatTime(selectedReport.generatedAt)}`),
+				" · nothing was written to the phonebook",
+			]),
+			(selectedReport.sources || []).map(renderReportSource),
+		]),
+	]);
+
 export const vwAdmin = {
 	oninit: () => {
 		activeTab = "sync-log";
 		loadSyncLogs();
+		loadDryRunReports();
+		loadPendingDeletes();
+		connectSyncStream();
+	},
+
+	onremove: () => {
+		closeSyncStream();
 	},
 
 	view: () => {
@@ -129,6 +587,8 @@ export const vwAdmin = {
 				}, "← Back to phonebook"),
 			]),
 			m("h1", "Admin"),
+			renderSyncPanel(),
+			renderPendingDeletes(),
 			m(
 				Tabs,
 				{ bordered: true, fluid: true },
@@ -142,6 +602,30 @@ export const vwAdmin = {
 							m.redraw();
 						},
 					}),
+					m(TabItem, {
+						label: "Sync history",
+						active: activeTab === "sync-history",
+						onclick: () => {
+							activeTab = "sync-history";
+							m.redraw();
+						},
+					}),
+					m(TabItem, {
+						label: "Groups",
+						active: activeTab === "groups",
+						onclick: () => {
+							activeTab = "groups";
+							m.redraw();
+						},
+					}),
+					m(TabItem, {
+						label: "Departed",
+						active: activeTab === "departed",
+						onclick: () => {
+							activeTab = "departed";
+							m.redraw();
+						},
+					}),
 					m(TabItem, {
 						label: "Settings",
 						active: activeTab === "settings",
@@ -243,8 +727,12 @@ export const vwAdmin = {
 									]),
 								]
 							),
+						renderDryRunReports(),
 					]
 				),
+			activeTab === "sync-history" && m("div.sync-history-tab", { style: { marginTop: "1rem" } }, m(syncHistory)),
+			activeTab === "groups" && m("div.groups-tab", { style: { marginTop: "1rem" } }, m(groupExplorer)),
+			activeTab === "departed" && m("div.departed-tab", { style: { marginTop: "1rem" } }, m(tombstoneList)),
 			activeTab === "settings" &&
 				m(
 					"div.settings-tab",
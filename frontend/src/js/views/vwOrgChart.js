@@ -0,0 +1,114 @@
+import m, { route } from "mithril";
+import state from "../lib/state";
+import { app } from "../..";
+import avatar from "./components/avatar";
+
+let chain = [];
+let person = null;
+let reports = [];
+let loading = false;
+let error = null;
+
+/**
+ * Loads the management chain and direct reports of a contact (GET /users/:id/chain and /reports).
+ * @param {string} id - Contact id as in list rows.
+ */
+const loadOrgChart = async (id) => {
+	loading = true;
+	error = null;
+	chain = [];
+	person = null;
+	reports = [];
+	m.redraw();
+	try {
+		const [chainResult, reportsResult] = await Promise.all([
+			state.requestWithAuth({ url: app.root + "/users/" + encodeURIComponent(id) + "/chain", timeout: 5000 }),
+			state.requestWithAuth({ url: app.root + "/users/" + encodeURIComponent(id) + "/reports", timeout: 5000 }),
+		]);
+		person = chainResult.user;
+		// Top of the hierarchy first
+		chain = [...chainResult.chain].reverse();
+		reports = reportsResult.reports || [];
+	} catch (err) {
+		error = /not found/i.test(err.message || "") ? "This contact is not in the phonebook." : err.message || "Failed to load the org chart";
+	} finally {
+		loading = false;
+		m.redraw();
+	}
+};
+
+const cardStyle = (highlight) => ({
+	display: "flex",
+	alignItems: "center",
+	gap: "0.75rem",
+	padding: "0.6rem 0.9rem",
+	minWidth: "220px",
+	maxWidth: "320px",
+	border: highlight ? "2px solid #0066cc" : "1px solid #ddd",
+	borderRadius: "6px",
+	background: highlight ? "#f0f6ff" : "#fff",
+	cursor: highlight ? "default" : "pointer",
+	textAlign: "left",
+	font: "inherit",
+});
+
+/**
+ * One contact in the chart; other contacts than the selected one navigate to their own chart.
+ * @param {Object} row - Org row (list row plus managerId and reportCount).
+ * @param {boolean} [highlight] - The selected contact.
+ */
+const renderCard = (row, highlight = false) =>
+	m("button.org-card", {
+		key: row.id,
+		type: "button",
+		style: cardStyle(highlight),
+		onclick: highlight ? undefined : () => route.set("/org/:id", { id: row.id }),
+	}, [
+		m(avatar, { user: row, size: highlight ? 48 : 36 }),
+		m("div", { style: { overflow: "hidden" } }, [
+			m("div", { style: { fontWeight: 600 } }, row.fullName || ""),
+			row.title && m("div", { style: { fontSize: "13px", color: "#444" } }, row.title),
+			row.department && m("div", { style: { fontSize: "12px", color: "#777" } }, row.department),
+			row.reportCount > 0 && m("div", { style: { fontSize: "12px", color: "#0066cc" } },
+				row.reportCount === 1 ? "1 direct report" : `${row.reportCount} direct reports`),
+		]),
+	]);
+
+const connector = () => m("div", { style: { width: "2px", height: "1rem", background: "#ccc", margin: "0 auto" } });
+
+/** Org chart of one contact: managers above, direct reports below. Route: /org/:id */
+export const vwOrgChart = {
+	oninit: ({ attrs }) => {
+		loadOrgChart(attrs.id);
+	},
+	view: () => {
+		return m(".org-chart", { style: { padding: "1rem", maxWidth: "1000px", margin: "0 auto" } }, [
+			m("div", { style: { marginBottom: "1rem" } },
+				m(m.route.Link, { href: "/home", style: { color: "#0066cc", textDecoration: "none" } }, "← Phonebook")
+			),
+			m("h2", { style: { marginTop: 0 } }, "Org chart"),
+			loading && m("p", "Loading..."),
+			error && m("p", { style: { color: "#c00" } }, error),
+			person && m("div", { style: { display: "flex", flexDirection: "column", alignItems: "center" } }, [
+				chain.map((row) => m("div", { key: row.id, style: { display: "flex", flexDirection: "column" } }, [
+					renderCard(row),
+					connector(),
+				])),
+				renderCard(person, true),
+				reports.length > 0 && connector(),
+				reports.length > 0 && m("div", {
+					style: {
+						display: "flex",
+						flexWrap: "wrap",
+						justifyContent: "center",
+						gap: "0.75rem",
+						paddingTop: "1rem",
+						borderTop: "2px solid #ccc",
+					},
+				}, reports.map((row) => renderCard(row))),
+				reports.length === 0 && chain.length === 0 && m("p", { style: { color: "#666" } },
+					"No manager or direct reports are recorded for this contact."),
+			]),
+		]);
+	},
+};
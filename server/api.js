@@ -7,15 +7,24 @@ import { registerCors } from "./lib/cors.js";
 import { registerStatic } from "./lib/static.js";
 import { authRoutes } from "./routes/auth.js";
 import { usersRoutes } from "./routes/users.js";
+import { searchRoutes } from "./routes/search.js";
+import { lookupRoutes } from "./routes/lookup.js";
+import { facetsRoutes } from "./routes/facets.js";
 import { favoritesRoutes } from "./routes/favorites.js";
+import { photosRoutes } from "./routes/photos.js";
 import { adminRoutes } from "./routes/admin.js";
+import { startSyncScheduler } from "./lib/syncRunner.js";
 
 const fastify = Fastify({ logger: true });
 
 await fastify.register(registerCors);
 await fastify.register(authRoutes, { prefix: "/api" });
 await fastify.register(usersRoutes, { prefix: "/api" });
+await fastify.register(searchRoutes, { prefix: "/api" });
+await fastify.register(lookupRoutes, { prefix: "/api" });
+await fastify.register(facetsRoutes, { prefix: "/api" });
 await fastify.register(favoritesRoutes, { prefix: "/api" });
+await fastify.register(photosRoutes, { prefix: "/api" });
 await fastify.register(adminRoutes, { prefix: "/api" });
 await fastify.register(registerStatic);
 
@@ -24,6 +33,7 @@ const host = process.env.HOST || "0.0.0.0";
 try {
   await fastify.listen({ port, host });
   fastify.log.info(`API listening on http://${host}:${port}`);
+  startSyncScheduler(fastify.log);
 } catch (err) {
   fastify.log.error(err);
   process.exit(1);
@@ -4,7 +4,9 @@
 import { createSecretKey } from "crypto";
 import { SignJWT, jwtVerify } from "jose";
 import { Client } from "ldapts";
-import { LDAP, HAS_LDAP_CONFIG, TEST_MODE, validateLdapConfig, validateJwtSecret, JWT_SECRET, ADMIN_USERS } from "./config.js";
+import { HAS_LDAP_CONFIG, TEST_MODE, validateLdapConfig, validateJwtSecret, JWT_SECRET, ADMIN_USERS } from "./config.js";
+import { loginFilter, mappingAttributes, entryDN, entryToDocument } from "./ldapMapping.js";
+import { LDAP_SOURCES, isExcluded, withSourceFilter } from "./ldapSources.js";
 
 validateLdapConfig();
 validateJwtSecret();
@@ -38,40 +40,55 @@ function claimsToUser(claims) {
   };
 }
 
-function ldapEscape(value) {
-  return value.replace(/[*()\\]/g, (c) => `\\${c}`);
-}
-
+/**
+ * Looks a login up in each directory source in turn (LDAP_SOURCES order); the first match wins.
+ * A source that cannot be reached is skipped, so one directory being down does not block the others.
+ * @param {string} login
+ * @returns {Promise<Object|null>} User with the source to verify the password against, or null.
+ */
 async function findUserByLogin(login) {
   if (!HAS_LDAP_CONFIG) return null;
+  let lastError = null;
+  for (const source of LDAP_SOURCES) {
+    try {
+      const user = await findUserInSource(source, login);
+      if (user) return user;
+    } catch (err) {
+      lastError = err;
+    }
+  }
+  // Not found anywhere, but a directory could not be asked: report the outage rather than bad credentials
+  if (lastError) throw lastError;
+  return null;
+}
+
+async function findUserInSource(source, login) {
   const client = new Client({
-    url: LDAP.url,
+    url: source.url,
     timeout: 10_000,
     connectTimeout: 10_000,
   });
   try {
-    await client.bind(LDAP.bindDN, LDAP.bindPW);
-    const safeLogin = ldapEscape(login);
-    const filter =
-      "(&" +
-      "(objectCategory=person)" +
-      "(objectClass=user)" +
-      `(|(sAMAccountName=${safeLogin})(userPrincipalName=${safeLogin}))` +
-      ")";
-    const { searchEntries } = await client.search(LDAP.baseDN, {
-      scope: "sub",
-      filter,
-      attributes: ["distinguishedName", "sAMAccountName", "userPrincipalName", "memberOf"],
-      paged: { pageSize: 1, pagePause: false },
-    });
-    if (!searchEntries || searchEntries.length === 0) return null;
-    const entry = searchEntries[0];
-    return {
-      dn: entry.distinguishedName || entry.dn,
-      sAMAccountName: entry.sAMAccountName,
-      userPrincipalName: entry.userPrincipalName,
-      memberOf: entry.memberOf,
-    };
+    await client.bind(source.bindDN, source.bindPW);
+    for (const baseDN of source.baseDNs) {
+      const { searchEntries } = await client.search(baseDN, {
+        scope: "sub",
+        filter: withSourceFilter(source, loginFilter(login, source.mapping)),
+        attributes: mappingAttributes(source.mapping),
+        paged: { pageSize: 1, pagePause: false },
+      });
+      const entry = (searchEntries || []).find((e) => !isExcluded(source, entryDN(e) || ""));
+      if (!entry) continue;
+      const doc = entryToDocument(entry, source.mapping);
+      return {
+        dn: doc.dn,
+        source,
+        sAMAccountName: doc.accountName,
+        userPrincipalName: doc.upn,
+        memberOf: doc.groups.dns,
+      };
+    }
+    return null;
   } finally {
     try {
       await client.unbind();
@@ -81,10 +98,10 @@ async function findUserByLogin(login) {
   }
 }
 
-async function verifyUserPassword(userDn, password) {
+async function verifyUserPassword(source, userDn, password) {
   if (!HAS_LDAP_CONFIG) return false;
   const client = new Client({
-    url: LDAP.url,
+    url: source.url,
     timeout: 10_000,
     connectTimeout: 10_000,
   });
@@ -121,7 +138,7 @@ export async function authenticateUser(login, password) {
   }
   const user = await findUserByLogin(login);
   if (!user) throw new Error("Invalid credentials");
-  const ok = await verifyUserPassword(user.dn, password);
+  const ok = await verifyUserPassword(user.source, user.dn, password);
   if (!ok) throw new Error("Invalid credentials");
   return {
     dn: user.dn,
@@ -180,17 +197,19 @@ export async function createSessionFromRefresh(user, _oldRefreshToken) {
   return createSession(user);
 }
 
+/**
+ * Requires a valid access token. Like requireAdmin, it sends the 401 itself: Fastify ignores the return value of an
+ * async preHandler and would run the route handler anyway.
+ */
 export async function requireAuth(request, reply) {
   const auth = request.headers.authorization || "";
   const [scheme, token] = auth.split(" ");
   if (scheme !== "Bearer" || !token) {
-    reply.code(401);
-    return { error: "Missing or invalid Authorization header" };
+    return reply.code(401).send({ error: "Missing or invalid Authorization header" });
   }
   const user = await verifySession(token);
   if (!user) {
-    reply.code(401);
-    return { error: "Invalid or expired token" };
+    return reply.code(401).send({ error: "Invalid or expired token" });
   }
   request.user = user;
 }
@@ -213,17 +232,14 @@ export async function requireAdmin(request, reply) {
   const auth = request.headers.authorization || "";
   const [scheme, token] = auth.split(" ");
   if (scheme !== "Bearer" || !token) {
-    reply.code(401);
-    return { error: "Missing or invalid Authorization header" };
+    return reply.code(401).send({ error: "Missing or invalid Authorization header" });
   }
   const user = await verifySession(token);
   if (!user) {
-    reply.code(401);
-    return { error: "Invalid or expired token" };
+    return reply.code(401).send({ error: "Invalid or expired token" });
   }
   if (!user.isAdmin) {
-    reply.code(403);
-    return { error: "Admin required" };
+    return reply.code(403).send({ error: "Admin required" });
   }
   request.user = user;
 }
@@ -1,5 +1,5 @@
 /**
- * @fileoverview Server configuration: LDAP env, feature flags, and path constants.
+ * @fileoverview Server configuration: LDAP env, feature flags, phone normalization, and path constants.
  */
 import { fileURLToPath } from "url";
 import { dirname, join, resolve } from "path";
@@ -7,16 +7,27 @@ import { dirname, join, resolve } from "path";
 const __filename = fileURLToPath(import.meta.url);
 const __dirname = dirname(__filename);
 
-/** LDAP connection settings from env. */
+/**
+ * LDAP connection settings from env.
+ * LDAP_SCHEMA: attribute mapping preset, "ad" (default), "openldap" or "freeipa" (see lib/ldapMapping.js).
+ * LDAP_MAPPING_FILE: optional JSON file (relative to the project root) with mapping overrides.
+ * LDAP_SOURCES_FILE: optional JSON file (relative to the project root) listing several directories to merge;
+ * replaces LDAP_URL / LDAP_BIND_* / LDAP_BASE_DN (see lib/ldapSources.js).
+ * LDAP_GROUP_BASE_DN: where sync looks for groups (";"-separated; defaults to LDAP_BASE_DN).
+ */
 export const LDAP = {
   url: process.env.LDAP_URL,
   bindDN: process.env.LDAP_BIND_DN,
   bindPW: process.env.LDAP_BIND_PW,
   baseDN: process.env.LDAP_BASE_DN,
+  groupBaseDN: (process.env.LDAP_GROUP_BASE_DN || "").trim(),
+  schema: (process.env.LDAP_SCHEMA || "ad").trim().toLowerCase(),
+  mappingFile: (process.env.LDAP_MAPPING_FILE || "").trim(),
+  sourcesFile: (process.env.LDAP_SOURCES_FILE || "").trim(),
 };
 
 export const HAS_LDAP_CONFIG = Boolean(
-  LDAP.url && LDAP.bindDN && LDAP.bindPW && LDAP.baseDN
+  LDAP.sourcesFile || (LDAP.url && LDAP.bindDN && LDAP.bindPW && LDAP.baseDN)
 );
 export const TEST_MODE = process.env.PHONEBOOK_TEST_MODE === "1";
 
@@ -27,6 +38,93 @@ export const ADMIN_USERS = ADMIN_USERS_RAW
   .map((s) => s.trim().toLowerCase())
   .filter(Boolean);
 
+/**
+ * Phone number normalization for caller-ID lookup (GET /api/lookup/phone/:number).
+ * PHONE_DEFAULT_COUNTRY: calling code ("31", "+31") used for national numbers without one.
+ * PHONE_TRUNK_PREFIX: national dialing prefix stripped before adding the country code (default "0").
+ * PHONE_INTERNATIONAL_PREFIX: dialing prefix that means "country code follows" (default "00").
+ * PHONE_EXTENSION_LENGTHS: comma-separated digit counts treated as internal extensions (default "4").
+ */
+export const PHONE = {
+  defaultCountryCode: (process.env.PHONE_DEFAULT_COUNTRY || "31").replace(/\D/g, ""),
+  trunkPrefix: process.env.PHONE_TRUNK_PREFIX ?? "0",
+  internationalPrefix: process.env.PHONE_INTERNATIONAL_PREFIX || "00",
+  extensionLengths: (process.env.PHONE_EXTENSION_LENGTHS || "4")
+    .split(",")
+    .map((s) => Number.parseInt(s.trim(), 10))
+    .filter((n) => Number.isFinite(n) && n > 0),
+};
+
+/**
+ * Sync scheduling.
+ * SYNC_SCHEDULE: cron expression (five fields, server local time) for syncs run by the API server, e.g.
+ * "0 * * * *" for hourly; empty disables the in-process schedule (cron/deploy scripts still work).
+ * SYNC_FULL_RECONCILE_HOURS: an incremental sync only fetches changed users, so deleted users are found by a
+ * DN-only search of the whole directory at most this often (default 24; 0 = on every run).
+ * SYNC_DELETE_THRESHOLD: most delta deletes per source a sync applies on its own, as a count ("50") or a
+ * percentage of the users it stored before ("10%", the default). Above it the deletes wait for an admin to
+ * approve them (lib/syncDeletes.js). "off" disables the guard.
+ * SYNC_PAGE_SIZE: entries per LDAP result page, processed and written in one transaction (default 1000, the
+ * MaxPageSize of Active Directory; larger pages are cut to that by the server).
+ * SYNC_LOCK_STALE_MINUTES: a sync holds a lock in LMDB (lib/syncLock.js) and refreshes its heartbeat while it
+ * runs; another run takes the lock over when the heartbeat is older than this (default 10), or at once when the
+ * holder's process on this host is gone.
+ * SYNC_RUN_HISTORY_DAYS: how long the summaries of past runs are kept for the Admin page's sync history
+ * (lib/syncRuns.js; default 180).
+ */
+export const SYNC = {
+  schedule: (process.env.SYNC_SCHEDULE || "").trim(),
+  fullReconcileHours: (() => {
+    const n = Number.parseFloat(process.env.SYNC_FULL_RECONCILE_HOURS ?? "24");
+    return Number.isFinite(n) && n >= 0 ? n : 24;
+  })(),
+  deleteThreshold: (() => {
+    const raw = (process.env.SYNC_DELETE_THRESHOLD ?? "10%").trim();
+    if (!raw || raw.toLowerCase() === "off") return null;
+    const m = /^(\d+(?:\.\d+)?)\s*(%?)$/.exec(raw);
+    if (!m) return { raw: "10%", percent: 10 };
+    return m[2] ? { raw, percent: Number(m[1]) } : { raw, count: Math.floor(Number(m[1])) };
+  })(),
+  pageSize: (() => {
+    const n = Number.parseInt(process.env.SYNC_PAGE_SIZE ?? "1000", 10);
+    return Number.isFinite(n) && n > 0 ? n : 1000;
+  })(),
+  lockStaleMinutes: (() => {
+    const n = Number.parseFloat(process.env.SYNC_LOCK_STALE_MINUTES ?? "10");
+    return Number.isFinite(n) && n > 0 ? n : 10;
+  })(),
+  runHistoryDays: (() => {
+    const n = Number.parseFloat(process.env.SYNC_RUN_HISTORY_DAYS ?? "180");
+    return Number.isFinite(n) && n > 0 ? n : 180;
+  })(),
+};
+
+/**
+ * Departed users (lib/tombstones.js).
+ * TOMBSTONE_RETENTION_DAYS: a user that sync no longer finds in LDAP is kept as a tombstone for this many days
+ * before sync purges it (default 90; 0 = delete right away).
+ * TOMBSTONE_PUBLIC: "1" also lists tombstones for non-admins ("no longer with the company – contact X instead");
+ * otherwise only admins see them.
+ */
+export const TOMBSTONES = {
+  retentionDays: (() => {
+    const n = Number.parseFloat(process.env.TOMBSTONE_RETENTION_DAYS ?? "90");
+    return Number.isFinite(n) && n >= 0 ? n : 90;
+  })(),
+  public: process.env.TOMBSTONE_PUBLIC === "1",
+};
+
+/**
+ * HR file import (lib/hrImport.js).
+ * HR_CSV_FILE: CSV export from HR (path relative to the project root). Each sync joins its rows to the synced users
+ * by employee ID or email and stores the mapped columns in doc.hr; empty turns the import off.
+ * HR_MAPPING_FILE: JSON file with the column mapping and join columns (path relative to the project root).
+ */
+export const HR = {
+  file: (process.env.HR_CSV_FILE || "").trim(),
+  mappingFile: (process.env.HR_MAPPING_FILE || "").trim(),
+};
+
 /** Project root (one level up from server/). */
 export const PROJECT_ROOT = join(__dirname, "..", "..");
 /** LMDB database directory. */
@@ -45,7 +143,7 @@ export const JWT_SECRET = process.env.JWT_SECRET || process.env.PHONEBOOK_JWT_SE
 export function validateLdapConfig() {
   if (!HAS_LDAP_CONFIG && !TEST_MODE) {
     console.error(
-      "Missing env vars for LDAP (LDAP_URL, LDAP_BIND_DN, LDAP_BIND_PW, LDAP_BASE_DN)"
+      "Missing env vars for LDAP (LDAP_URL, LDAP_BIND_DN, LDAP_BIND_PW, LDAP_BASE_DN, or LDAP_SOURCES_FILE)"
     );
     process.exit(1);
   }
@@ -0,0 +1,35 @@
+/**
+ * @fileoverview Moves what is keyed by a contact id when a document gets a new one. Contact ids are derived from
+ * the directory GUID (stableContactId in lib/publicUserFilter.js), so OU moves keep them; they change once when a
+ * user stored with the older DN-based id (or an older GUID format, see GUID_FORMAT) is saved again. saveUsers()
+ * then calls migrateContactIds(): history and photo follow the contact, and favorites and successor choices that
+ * name the old id are rewritten.
+ */
+import { usersByDN, usersById, tombstones } from "./db.js";
+import { moveHistory } from "./history.js";
+import { movePhoto } from "./photos.js";
+import { remapFavoriteIds } from "./favorites.js";
+
+/**
+ * Files the data of contacts whose id changed under their new id. Joins the caller's transaction.
+ * @param {Map<string, string>} moves - Old id → new id.
+ * @returns {{ historyEntries: number, favoriteLists: number, successors: number }}
+ */
+export function migrateContactIds(moves) {
+  let historyEntries = 0;
+  for (const [oldId, newId] of moves) {
+    historyEntries += moveHistory(oldId, newId);
+    movePhoto(oldId, newId);
+    usersById.removeSync(oldId);
+  }
+  const favoriteLists = remapFavoriteIds(moves);
+  // Admins choose successors for departed users only (PUT /admin/tombstones/:id/successor)
+  let successors = 0;
+  for (const { key: dn } of tombstones.getRange({})) {
+    const doc = usersByDN.get(dn);
+    if (!doc?.successorId || !moves.has(doc.successorId)) continue;
+    usersByDN.putSync(dn, { ...doc, successorId: moves.get(doc.successorId) });
+    successors++;
+  }
+  return { historyEntries, favoriteLists, successors };
+}
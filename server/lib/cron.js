@@ -0,0 +1,108 @@
+/**
+ * @fileoverview Minimal five-field cron expressions (minute hour day-of-month month day-of-week) for the sync
+ * schedule. Supports "*", numbers, ranges ("1-5"), lists ("0,30") and steps ("*\/15", "8-18/2"); day-of-week
+ * 0 and 7 are both Sunday. As in cron, when both day fields are restricted a day matches either of them; a day
+ * field that allows every day ("*", "*\/1", "1-31", "0-6" …) counts as unrestricted.
+ * Times are evaluated in the server's local time zone.
+ */
+
+const FIELDS = [
+  { name: "minute", min: 0, max: 59 },
+  { name: "hour", min: 0, max: 23 },
+  { name: "dayOfMonth", min: 1, max: 31 },
+  { name: "month", min: 1, max: 12 },
+  { name: "dayOfWeek", min: 0, max: 7 },
+];
+
+/** Upper bound for nextCronRun(): a valid expression matches at least once in this many minutes (4 years). */
+const MAX_SCAN_MINUTES = 4 * 366 * 24 * 60;
+
+/**
+ * Parses one field into the set of values it allows.
+ * @param {string} text
+ * @param {{ name: string, min: number, max: number }} field
+ * @returns {Set<number>}
+ */
+function parseField(text, field) {
+  const values = new Set();
+  for (const part of text.split(",")) {
+    const m = /^(\*|(\d+)(?:-(\d+))?)(?:\/(\d+))?$/.exec(part);
+    if (!m) throw new Error(`Invalid cron ${field.name}: "${part}"`);
+    const step = m[4] ? Number(m[4]) : 1;
+    let from = field.min;
+    let to = field.max;
+    if (m[2] !== undefined) {
+      from = Number(m[2]);
+      // "5/15" means "from 5 to the end, every 15"
+      to = m[3] !== undefined ? Number(m[3]) : m[4] ? field.max : from;
+    }
+    if (step < 1 || from < field.min || to > field.max || from > to) {
+      throw new Error(`Invalid cron ${field.name}: "${part}"`);
+    }
+    for (let v = from; v <= to; v += step) values.add(v);
+  }
+  return values;
+}
+
+/**
+ * Parses a cron expression.
+ * @param {string} expr - e.g. "0 2 * * *" (02:00 every day) or "*\/30 7-19 * * 1-5".
+ * @returns {{ expr: string, minute: Set<number>, hour: Set<number>, dayOfMonth: Set<number>, month: Set<number>,
+ *   dayOfWeek: Set<number>, anyDayOfMonth: boolean, anyDayOfWeek: boolean }}
+ * @throws {Error} When the expression is malformed.
+ */
+export function parseCron(expr) {
+  const parts = String(expr || "").trim().split(/\s+/);
+  if (parts.length !== FIELDS.length) {
+    throw new Error(`Cron expression needs ${FIELDS.length} fields: "${expr}"`);
+  }
+  const schedule = { expr: parts.join(" ") };
+  FIELDS.forEach((field, i) => {
+    schedule[field.name] = parseField(parts[i], field);
+  });
+  if (schedule.dayOfWeek.has(7)) schedule.dayOfWeek.add(0);
+  // Decided by the values, not the text, so "*\/1" and full ranges behave like "*"
+  schedule.anyDayOfMonth = schedule.dayOfMonth.size === 31;
+  schedule.anyDayOfWeek = [0, 1, 2, 3, 4, 5, 6].every((d) => schedule.dayOfWeek.has(d));
+  return schedule;
+}
+
+/**
+ * Whether a date's day matches the day-of-month / day-of-week fields.
+ * @param {ReturnType<typeof parseCron>} schedule
+ * @param {Date} date
+ * @returns {boolean}
+ */
+function dayMatches(schedule, date) {
+  const dom = schedule.dayOfMonth.has(date.getDate());
+  const dow = schedule.dayOfWeek.has(date.getDay());
+  if (schedule.anyDayOfMonth) return dow;
+  if (schedule.anyDayOfWeek) return dom;
+  return dom || dow;
+}
+
+/**
+ * Next time after `from` (exclusive, whole minutes) that matches the schedule.
+ * @param {ReturnType<typeof parseCron>} schedule
+ * @param {Date} [from]
+ * @returns {Date|null} null when nothing matches (e.g. "0 0 31 2 *").
+ */
+export function nextCronRun(schedule, from = new Date()) {
+  const d = new Date(from.getTime());
+  d.setSeconds(0, 0);
+  d.setMinutes(d.getMinutes() + 1);
+  for (let i = 0; i < MAX_SCAN_MINUTES; i++) {
+    if (!schedule.month.has(d.getMonth() + 1) || !dayMatches(schedule, d)) {
+      // Skip to the start of the next day
+      d.setHours(24, 0, 0, 0);
+      continue;
+    }
+    if (!schedule.hour.has(d.getHours())) {
+      d.setHours(d.getHours() + 1, 0, 0, 0);
+      continue;
+    }
+    if (schedule.minute.has(d.getMinutes())) return d;
+    d.setMinutes(d.getMinutes() + 1);
+  }
+  return null;
+}
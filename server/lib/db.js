@@ -9,13 +9,13 @@ mkdirSync(DATA_LMDB, { recursive: true });
 
 /** Root LMDB database (meta, e.g. meta:lastSync). Also used to open named stores. */
 export const db = open(DATA_LMDB, {
-  maxDbs: 12,
+  maxDbs: 16,
 });
 
 /** Users keyed by DN. Value: full user document. */
 export const usersByDN = db.openDB("usersByDN");
 
-/** Users keyed by GUID (for sync dedup). Value: user document. */
+/** Users keyed by GUID (sync detects a user whose DN changed by its GUID). Value: user document. */
 export const usersByGUID = db.openDB("usersByGUID");
 
 /** Favorites per logged-in user: key = user DN, value = JSON string of [{ id, displayName }]. */
@@ -27,5 +27,48 @@ export const indexDB = db.openDB("indexDB");
 /** Per-user list of search tokens (for index updates on sync). Key = DN, value = string[] of tokens. */
 export const userTokensByDN = db.openDB("userTokensByDN");
 
-/** Set of all DNs (key = DN, value = 1) for delta sync. */
+/** Set of all DNs for delta sync: key = DN, value = source id ("manual" for manual contacts; 1 if stored before sources existed). */
 export const allDNs = db.openDB("allDNs");
+
+/** Phone lookup index: key = phone key ("e164:+31201234567" or "ext:4567"), value = array of DNs. */
+export const phoneIndex = db.openDB("phoneIndex");
+
+/**
+ * Change history per contact: key = [contact id (doc.id), ISO time, sequence], value = { at, source, actor,
+ * event, changes: [{ field, old, new }] }. Written by saveUser() (see lib/history.js).
+ */
+export const userHistory = db.openDB("userHistory");
+
+/**
+ * Contact photos: key = contact id (doc.id), value = { dn, hash, type, data: Buffer, updatedAt }.
+ * Written by sync (see lib/photos.js); the document only carries photoHash.
+ */
+export const photos = db.openDB("photos");
+
+/**
+ * Contact id (doc.id, as in API rows: derived from the GUID, or the DN for contacts without one) → DN, for the
+ * endpoints that address a contact by id.
+ */
+export const usersById = db.openDB("usersById");
+
+/** Org chart: key = manager DN (doc.managerDN of the reports), value = array of the direct reports' DNs. */
+export const directReports = db.openDB("directReports");
+
+/**
+ * Groups: key = group id (hashDn of the group DN), value = { id, dn, source, name, description, mail,
+ * memberDNs (direct members), childGroupIds, parentGroupIds, userDNs (all users, through nested groups), syncedAt }.
+ * Replaced per source by each sync (see lib/groups.js).
+ */
+export const groups = db.openDB("groups");
+
+/**
+ * Departed users kept as tombstones: key = DN, value = doc.departedAt. Maintained by saveUser() and removeUser(),
+ * so sync finds expired tombstones without reading every document (see lib/tombstones.js).
+ */
+export const tombstones = db.openDB("tombstones");
+
+/**
+ * Sync run history: key = [startedAt (ISO time), run id], value = summary of the run (counts, skips, phase
+ * timings, errors, headcount). Written by sync.js, pruned after SYNC_RUN_HISTORY_DAYS (see lib/syncRuns.js).
+ */
+export const syncRuns = db.openDB("syncRuns");
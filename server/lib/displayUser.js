@@ -8,7 +8,7 @@
  * @param {string|string[]|number|object|null|undefined} v - Raw value.
  * @returns {string}
  */
-function toDisplayString(v) {
+export function toDisplayString(v) {
   if (v == null) return "";
   if (Array.isArray(v)) return v.map((x) => String(x == null ? "" : x)).join(" ").trim();
   return String(v).trim();
@@ -19,7 +19,7 @@ function toDisplayString(v) {
  * @param {string} [dn] - Full LDAP DN string.
  * @returns {string}
  */
-function extractLocationOU(dn) {
+export function extractLocationOU(dn) {
   if (!dn || typeof dn !== "string") return "";
   const parts = dn.split(",");
   const ous = [];
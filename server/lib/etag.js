@@ -0,0 +1,47 @@
+/**
+ * @fileoverview ETags for user list responses. The user data only changes when a sync finishes
+ * (meta:lastSync) or users are written otherwise: manual contacts, approved deletes, and the HR import and
+ * tombstone purge of a sync whose sources all failed (meta:manualChanges counter). Those two values, plus the
+ * response variant (admin/public and query string), identify a representation.
+ */
+import { createHash } from "crypto";
+import { db } from "./db.js";
+
+/** Root-store key of the manual-contact change counter. */
+export const MANUAL_CHANGES_KEY = "meta:manualChanges";
+
+/**
+ * Increments the change counter so cached user lists are revalidated.
+ * Call after every write to usersByDN that meta:lastSync does not cover.
+ * @returns {Promise<void>}
+ */
+export async function bumpManualChanges() {
+  const current = Number(db.get(MANUAL_CHANGES_KEY)) || 0;
+  await db.put(MANUAL_CHANGES_KEY, current + 1);
+}
+
+/**
+ * Strong ETag for the current user data and the given response variant.
+ * @param {...string} variant - Whatever else changes the response body (e.g. "admin", query string).
+ * @returns {string} Quoted ETag value.
+ */
+export function usersEtag(...variant) {
+  const lastSync = db.get("meta:lastSync");
+  const manualChanges = Number(db.get(MANUAL_CHANGES_KEY)) || 0;
+  const hash = createHash("sha1")
+    .update(JSON.stringify([lastSync?.at ?? null, manualChanges, ...variant]))
+    .digest("hex");
+  return `"${hash}"`;
+}
+
+/**
+ * Whether an If-None-Match request header matches etag.
+ * @param {string|undefined} header - Raw If-None-Match value (may list several tags or "*").
+ * @param {string} etag
+ * @returns {boolean}
+ */
+export function etagMatches(header, etag) {
+  if (!header) return false;
+  if (header.trim() === "*") return true;
+  return header.split(",").some((t) => t.trim() === etag);
+}
@@ -0,0 +1,60 @@
+/**
+ * @fileoverview Facet counts (value → count) over the user store for filter chips:
+ * department, office, location OU, company and city, optionally scoped by a search query (matched like
+ * GET /search: on public fields only for non-admins).
+ */
+import { usersByDN } from "./db.js";
+import { matchingDocuments } from "./search.js";
+import { shouldIncludeInPublicList, PUBLIC_FACET_FIELDS } from "./publicUserFilter.js";
+import { toDisplayString, extractLocationOU } from "./displayUser.js";
+
+/** Facet field → value picker on the stored document. Field names match the list row fields. */
+const FACETS = {
+  department: (doc) => doc.department,
+  office: (doc) => doc.office,
+  location: (doc) => extractLocationOU(doc.dn),
+  company: (doc) => doc.company,
+  city: (doc) => doc.location?.city,
+};
+
+/** Default number of values returned per facet (most frequent first). */
+export const DEFAULT_FACET_LIMIT = 50;
+
+/**
+ * Counts facet values over all visible documents, or only those matching q.
+ * @param {{ q?: string, isAdmin: boolean, limit?: number }} params
+ * @returns {{ total: number, facets: Object<string, { value: string, count: number }[]> }}
+ */
+export function computeFacets({ q, isAdmin, limit = DEFAULT_FACET_LIMIT }) {
+  const fields = isAdmin ? Object.keys(FACETS) : PUBLIC_FACET_FIELDS;
+  const counts = Object.fromEntries(fields.map((f) => [f, new Map()]));
+  let total = 0;
+
+  const count = (doc) => {
+    total++;
+    for (const field of fields) {
+      const value = toDisplayString(FACETS[field](doc));
+      if (!value) continue;
+      counts[field].set(value, (counts[field].get(value) || 0) + 1);
+    }
+  };
+
+  if (q) {
+    for (const doc of matchingDocuments(q, isAdmin)) count(doc);
+  } else {
+    for (const { value: doc } of usersByDN.getRange({})) {
+      if (!doc) continue;
+      if (!isAdmin && !shouldIncludeInPublicList(doc)) continue;
+      count(doc);
+    }
+  }
+
+  const facets = {};
+  for (const field of fields) {
+    facets[field] = [...counts[field].entries()]
+      .sort((a, b) => b[1] - a[1] || a[0].localeCompare(b[0]))
+      .slice(0, limit)
+      .map(([value, n]) => ({ value, count: n }));
+  }
+  return { total, facets };
+}
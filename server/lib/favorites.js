@@ -0,0 +1,82 @@
+/**
+ * @fileoverview Favorites of logged-in users: userFavorites holds, per user DN, the contact ids (contactId) a user
+ * starred. Read and written by routes/favorites.js; sync rewrites the ids when contacts get new ones
+ * (lib/contactIds.js) and moves the list when its owner's DN changes (renameUser in lib/searchIndex.js).
+ */
+import { userFavorites, usersByDN } from "./db.js";
+import { contactId } from "./publicUserFilter.js";
+
+function parseFavoritesRaw(raw) {
+  if (raw == null) return [];
+  if (Array.isArray(raw)) return raw;
+  if (typeof raw === "string") {
+    try {
+      const arr = JSON.parse(raw);
+      return Array.isArray(arr) ? arr : [];
+    } catch {
+      return [];
+    }
+  }
+  return [];
+}
+
+/**
+ * @param {string} userDn - Owner of the list.
+ * @returns {{ id: string, displayName: string }[]}
+ */
+export function getFavoritesForUser(userDn) {
+  const raw = userFavorites.get(userDn);
+  const list = parseFavoritesRaw(raw);
+  // Migrate old entries: if stored with dn, normalize to the contact's id
+  return list.map((f) => {
+    if (f.id) return f;
+    if (f.dn) return { id: contactId(usersByDN.get(f.dn) ?? { dn: f.dn }), displayName: f.displayName || "" };
+    return f;
+  });
+}
+
+/**
+ * @param {string} userDn - Owner of the list.
+ * @param {{ id: string, displayName: string }[]} list
+ */
+export function setFavoritesForUser(userDn, list) {
+  const value = JSON.stringify(list);
+  userFavorites.put(userDn, value);
+}
+
+/**
+ * Points favorites at the new ids of contacts whose id changed; a contact starred under both ids stays once.
+ * Joins the caller's transaction.
+ * @param {Map<string, string>} moves - Old id → new id.
+ * @returns {number} Lists rewritten.
+ */
+export function remapFavoriteIds(moves) {
+  let rewritten = 0;
+  for (const { key: userDn, value } of userFavorites.getRange({})) {
+    const list = parseFavoritesRaw(value);
+    if (!list.some((f) => moves.has(f.id))) continue;
+    const seen = new Set();
+    const next = [];
+    for (const f of list) {
+      const id = moves.get(f.id) ?? f.id;
+      if (seen.has(id)) continue;
+      seen.add(id);
+      next.push({ ...f, id });
+    }
+    userFavorites.putSync(userDn, JSON.stringify(next));
+    rewritten++;
+  }
+  return rewritten;
+}
+
+/**
+ * Keeps a user's favorites when their own DN changes. Joins the caller's transaction.
+ * @param {string} oldDn
+ * @param {string} newDn
+ */
+export function moveFavoritesOwner(oldDn, newDn) {
+  const raw = userFavorites.get(oldDn);
+  if (raw == null) return;
+  if (userFavorites.get(newDn) == null) userFavorites.putSync(newDn, raw);
+  userFavorites.removeSync(oldDn);
+}
@@ -0,0 +1,196 @@
+/**
+ * @fileoverview Group directory and nested (transitive) membership. Sync reads every group of a source,
+ * resolves which users each group contains through nested groups, stores the groups and sets
+ * doc.groups.allNames on the users (direct and nested group names; doc.groups.names stays direct only).
+ * Active Directory resolves nesting itself (memberOf with LDAP_MATCHING_RULE_IN_CHAIN, queried only for groups
+ * that contain other groups); other directories are expanded here from the groups' member lists.
+ */
+import { db, groups, usersByDN } from "./db.js";
+import { hashDn } from "./publicUserFilter.js";
+import { normalizeDN } from "./ldapSources.js";
+import { toListRow } from "./userRows.js";
+
+/** Most groups GET /api/admin/groups returns. */
+export const MAX_GROUPS_LISTED = 2000;
+
+/**
+ * All user DNs of each group, following nested groups (cycles are allowed and end the expansion).
+ * Member DNs that are not groups of this directory are taken to be users.
+ * @param {{ dn: string, memberDNs: string[] }[]} list - Groups with their direct members.
+ * @returns {Map<string, string[]>} Group DN → user DNs.
+ */
+export function expandNestedMembers(list) {
+  const byKey = new Map(list.map((g) => [normalizeDN(g.dn), g]));
+  const result = new Map();
+  for (const group of list) {
+    const users = new Set();
+    const visited = new Set([normalizeDN(group.dn)]);
+    const queue = [group];
+    while (queue.length > 0) {
+      for (const dn of queue.shift().memberDNs) {
+        const key = normalizeDN(dn);
+        const child = byKey.get(key);
+        if (!child) users.add(dn);
+        else if (!visited.has(key)) {
+          visited.add(key);
+          queue.push(child);
+        }
+      }
+    }
+    result.set(group.dn, [...users]);
+  }
+  return result;
+}
+
+/**
+ * Direct child groups of each group (members that are groups of this directory).
+ * @param {{ dn: string, memberDNs: string[] }[]} list
+ * @returns {Map<string, string[]>} Group DN → child group DNs.
+ */
+export function childGroups(list) {
+  const byKey = new Map(list.map((g) => [normalizeDN(g.dn), g.dn]));
+  const result = new Map();
+  for (const group of list) {
+    const children = group.memberDNs.map((dn) => byKey.get(normalizeDN(dn))).filter((dn) => dn && dn !== group.dn);
+    result.set(group.dn, [...new Set(children)]);
+  }
+  return result;
+}
+
+/**
+ * Names of all groups each user is in, directly or through nesting.
+ * @param {{ name: string, userDNs: string[] }[]} list - Resolved groups.
+ * @returns {Map<string, string[]>} Normalized user DN → sorted group names.
+ */
+export function groupNamesByUser(list) {
+  const names = new Map();
+  for (const group of list) {
+    if (!group.name) continue;
+    for (const dn of group.userDNs) {
+      const key = normalizeDN(dn);
+      if (!names.has(key)) names.set(key, new Set());
+      names.get(key).add(group.name);
+    }
+  }
+  const result = new Map();
+  for (const [key, set] of names) result.set(key, [...set].sort((a, b) => a.localeCompare(b)));
+  return result;
+}
+
+/**
+ * Replaces the stored groups of a source.
+ * @param {string} sourceId
+ * @param {{ dn: string, name: string, description: string|null, mail: string|null, memberDNs: string[],
+ *   childGroupDNs: string[], userDNs: string[] }[]} list - Resolved groups.
+ * @returns {{ saved: number, removed: number }}
+ */
+export function saveGroups(sourceId, list) {
+  const syncedAt = new Date().toISOString();
+  const parents = new Map();
+  for (const group of list) {
+    for (const child of group.childGroupDNs) {
+      if (!parents.has(child)) parents.set(child, []);
+      parents.get(child).push(hashDn(group.dn));
+    }
+  }
+  return db.transactionSync(() => {
+    const keep = new Set(list.map((g) => hashDn(g.dn)));
+    let removed = 0;
+    for (const { key, value } of groups.getRange({})) {
+      if (value?.source === sourceId && !keep.has(key)) {
+        groups.removeSync(key);
+        removed++;
+      }
+    }
+    for (const group of list) {
+      const id = hashDn(group.dn);
+      groups.putSync(id, {
+        id,
+        dn: group.dn,
+        source: sourceId,
+        name: group.name,
+        description: group.description,
+        mail: group.mail,
+        memberDNs: group.memberDNs,
+        childGroupIds: group.childGroupDNs.map(hashDn),
+        parentGroupIds: parents.get(group.dn) || [],
+        userDNs: group.userDNs,
+        syncedAt,
+      });
+    }
+    return { saved: list.length, removed };
+  });
+}
+
+/**
+ * Group summary for list responses.
+ * @param {Object} group - Stored group.
+ * @returns {Object}
+ */
+function toGroupRow(group) {
+  return {
+    id: group.id,
+    name: group.name,
+    description: group.description,
+    mail: group.mail,
+    source: group.source,
+    memberCount: group.userDNs.length,
+    directMemberCount: group.memberDNs.length,
+    childGroupCount: group.childGroupIds.length,
+  };
+}
+
+/**
+ * Groups sorted by name, optionally filtered by a case-insensitive substring of name, description or mail.
+ * @param {string} [query]
+ * @returns {{ groups: Object[], total: number }}
+ */
+export function listGroups(query = "") {
+  const q = query.trim().toLowerCase();
+  const rows = [];
+  for (const { value } of groups.getRange({})) {
+    if (!value) continue;
+    if (q && ![value.name, value.description, value.mail].some((v) => v && v.toLowerCase().includes(q))) continue;
+    rows.push(toGroupRow(value));
+  }
+  rows.sort((a, b) => String(a.name ?? "").localeCompare(String(b.name ?? ""), undefined, { sensitivity: "base" }));
+  return { groups: rows.slice(0, MAX_GROUPS_LISTED), total: rows.length };
+}
+
+/**
+ * A group with its parent and child groups and all its users (direct or through nesting), sorted by name.
+ * Members that are not in the phonebook (e.g. excluded, disabled or departed accounts) are counted but not listed.
+ * @param {string} id - Group id.
+ * @returns {Object|null} null when the group is unknown.
+ */
+export function getGroupMembers(id) {
+  const group = groups.get(id);
+  if (!group) return null;
+  const refs = (ids) =>
+    ids
+      .map((gid) => groups.get(gid))
+      .filter(Boolean)
+      .map((g) => ({ id: g.id, name: g.name }));
+  const direct = new Set(group.memberDNs.map(normalizeDN));
+  const members = [];
+  for (const dn of group.userDNs) {
+    const row = toListRow(usersByDN.get(dn), true);
+    if (!row || row.departedAt) continue;
+    members.push({
+      id: row.id,
+      fullName: row.fullName,
+      title: row.title,
+      department: row.department,
+      email: row.email,
+      direct: direct.has(normalizeDN(dn)),
+    });
+  }
+  members.sort((a, b) => String(a.fullName ?? "").localeCompare(String(b.fullName ?? ""), undefined, { sensitivity: "base" }));
+  return {
+    group: { ...toGroupRow(group), dn: group.dn, syncedAt: group.syncedAt },
+    parents: refs(group.parentGroupIds),
+    children: refs(group.childGroupIds),
+    members,
+    notInPhonebook: group.userDNs.length - members.length,
+  };
+}
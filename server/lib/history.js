@@ -0,0 +1,142 @@
+/**
+ * @fileoverview Per-contact change history. saveUser() compares each document with the stored version and
+ * appends the changed fields to userHistory, so admins can see when (and through sync or a manual edit)
+ * a value such as the mobile number changed. Entries are keyed by the contact id used in API rows
+ * (doc.id, see contactId), so the history of a removed contact stays readable and survives OU moves.
+ */
+import { userHistory } from "./db.js";
+
+/**
+ * Fields not compared: bookkeeping, values derived from other fields, and logon times that change daily.
+ * A top-level name also covers its nested fields ("phonesE164" → "phonesE164.mobile").
+ */
+const IGNORED_FIELDS = new Set([
+  "id",
+  "syncedAt",
+  "phoneKeys",
+  "phonesE164",
+  "lastLogon",
+  "lastLogonTimestamp",
+  "whenChanged",
+  "groups.dns",
+]);
+
+/**
+ * Fields added to the document after its first versions. A document stored before one of them existed lacks
+ * the key, so its first save with the field is an upgrade rather than a change and is not recorded.
+ */
+const ADDED_FIELDS = new Set(["source", "photoHash", "groups.allNames", "employeeId"]);
+
+/** Most entries GET /api/admin/users/:id/history returns. */
+export const MAX_HISTORY_ENTRIES = 500;
+
+let sequence = 0;
+
+/**
+ * Flattens nested objects into dotted paths ({ phones: { mobile } } → "phones.mobile"); arrays are values.
+ * @param {Object} obj
+ * @param {string} [prefix]
+ * @param {Object} [out]
+ * @returns {Object<string, *>}
+ */
+function flatten(obj, prefix = "", out = {}) {
+  for (const [key, value] of Object.entries(obj || {})) {
+    const path = prefix ? `${prefix}.${key}` : key;
+    if (value && typeof value === "object" && !Array.isArray(value)) flatten(value, path, out);
+    else out[path] = value ?? null;
+  }
+  return out;
+}
+
+/**
+ * Field-level differences between two versions of a user document. While a stored document gets its contact id
+ * (next.id differs from prev.id, see lib/contactIds.js), its guid is only reformatted and not compared.
+ * @param {Object} prev
+ * @param {Object} next
+ * @returns {{ field: string, old: *, new: * }[]}
+ */
+export function diffDocuments(prev, next) {
+  const a = flatten(prev);
+  const b = flatten(next);
+  const changes = [];
+  const idMigration = !!next.id && prev.id !== next.id;
+  for (const field of new Set([...Object.keys(a), ...Object.keys(b)])) {
+    if (IGNORED_FIELDS.has(field) || IGNORED_FIELDS.has(field.split(".")[0])) continue;
+    if (ADDED_FIELDS.has(field) && !(field in a)) continue;
+    if (field === "guid" && idMigration) continue;
+    const oldValue = a[field] ?? null;
+    const newValue = b[field] ?? null;
+    if (JSON.stringify(oldValue) !== JSON.stringify(newValue)) {
+      changes.push({ field, old: oldValue, new: newValue });
+    }
+  }
+  return changes;
+}
+
+/**
+ * Kind of history entry: a new contact, a user leaving (kept as a tombstone) or coming back, or an update.
+ * @param {Object|undefined} prev
+ * @param {Object} next
+ * @returns {"created"|"departed"|"returned"|"updated"}
+ */
+function changeEvent(prev, next) {
+  if (!prev) return "created";
+  if (next.departedAt && !prev.departedAt) return "departed";
+  if (prev.departedAt && !next.departedAt) return "returned";
+  return "updated";
+}
+
+/**
+ * Appends a history entry when a document is created or any compared field changed. Call inside the
+ * transaction that writes the document.
+ * @param {string} id - Contact id of the document.
+ * @param {Object|undefined} prev - Stored version, or undefined for a new contact.
+ * @param {Object} next - Version being written.
+ * @param {{ source: "sync"|"manual"|"hr", actor?: string|null }} change - Who made the change (hr: lib/hrImport.js).
+ * @returns {number} Number of changed fields (0 when nothing was recorded, also for a new contact).
+ */
+export function recordChange(id, prev, next, { source, actor = null }) {
+  const changes = prev ? diffDocuments(prev, next) : [];
+  if (prev && changes.length === 0) return 0;
+  const at = new Date().toISOString();
+  sequence = (sequence + 1) % 1_000_000;
+  userHistory.putSync([id, at, sequence], {
+    at,
+    source,
+    actor,
+    event: changeEvent(prev, next),
+    changes,
+  });
+  return changes.length;
+}
+
+/**
+ * History of one contact, newest first.
+ * @param {string} id - Contact id.
+ * @param {number} [limit]
+ * @returns {Object[]}
+ */
+export function getHistory(id, limit = 100) {
+  const entries = [];
+  for (const { value } of userHistory.getRange({ start: [id, "\uffff"], end: [id, ""], reverse: true })) {
+    entries.push(value);
+    if (entries.length >= limit) break;
+  }
+  return entries;
+}
+
+/**
+ * Files the history of a contact under its new id (see lib/contactIds.js). Joins the caller's transaction.
+ * @param {string} oldId
+ * @param {string} newId
+ * @returns {number} Entries moved.
+ */
+export function moveHistory(oldId, newId) {
+  let moved = 0;
+  for (const { key, value } of userHistory.getRange({ start: [oldId, ""], end: [oldId, "\uffff"] })) {
+    userHistory.putSync([newId, key[1], key[2]], value);
+    userHistory.removeSync(key);
+    moved++;
+  }
+  return moved;
+}
@@ -0,0 +1,229 @@
+/**
+ * @fileoverview HR file import: fields HR owns and the directory lacks (cost center, employee number, start date,
+ * desk location …) come from a CSV export (HR_CSV_FILE). Each sync reads the file after the LDAP sources, joins
+ * its rows to stored users by employee ID or email, and writes the mapped columns to doc.hr through saveUsers(),
+ * so changes are recorded in the history (source "hr"). LDAP updates keep doc.hr (see sync.js); a user whose
+ * row left the file loses it. Rows that match no user are returned for the sync log.
+ *
+ * HR_MAPPING_FILE points to a JSON file with the column mapping, merged over DEFAULT_HR_MAPPING:
+ * { "delimiter": ";", "match": { "employeeId": "Personnel no.", "email": "E-mail" },
+ *   "fields": { "costCenter": "Cost center", "deskLocation": null } }
+ * "match" maps document fields to the columns that identify a user, tried in that order; "fields" maps the keys
+ * of doc.hr to columns (null drops a field). Column names are matched case-insensitively; without "delimiter"
+ * the header line decides between comma, semicolon and tab.
+ */
+import { readFileSync } from "fs";
+import { resolve } from "path";
+import { usersByDN } from "./db.js";
+import { HR, PROJECT_ROOT, SYNC } from "./config.js";
+import { saveUsers } from "./searchIndex.js";
+import { isDeparted } from "./tombstones.js";
+
+/** Columns read when HR_MAPPING_FILE does not say otherwise. */
+export const DEFAULT_HR_MAPPING = {
+  delimiter: null,
+  match: { employeeId: "employeeID", email: "email" },
+  fields: {
+    costCenter: "costCenter",
+    employeeNumber: "employeeNumber",
+    startDate: "startDate",
+    deskLocation: "deskLocation",
+  },
+};
+
+/** Join keys are compared case-insensitively and without surrounding spaces. */
+const joinKey = (value) => String(value ?? "").trim().toLowerCase();
+
+/**
+ * Splits CSV text into rows of cells (RFC 4180: quoted cells may hold delimiters, line breaks and "" quotes).
+ * @param {string} text
+ * @param {string} delimiter
+ * @returns {{ line: number, cells: string[] }[]} Rows with the line they start on; blank lines are skipped.
+ */
+export function parseCsv(text, delimiter) {
+  const rows = [];
+  let cells = [];
+  let cell = "";
+  let quoted = false;
+  let line = 1;
+  let rowLine = 1;
+  const src = text.charCodeAt(0) === 0xfeff ? text.slice(1) : text;
+  const endRow = () => {
+    cells.push(cell);
+    if (cells.length > 1 || cells[0].trim() !== "") rows.push({ line: rowLine, cells });
+    cells = [];
+    cell = "";
+  };
+  for (let i = 0; i < src.length; i++) {
+    const c = src[i];
+    if (quoted) {
+      if (c === '"' && src[i + 1] === '"') {
+        cell += '"';
+        i++;
+      } else if (c === '"') {
+        quoted = false;
+      } else {
+        if (c === "\n") line++;
+        cell += c;
+      }
+    } else if (c === '"' && cell === "") {
+      quoted = true;
+    } else if (c === delimiter) {
+      cells.push(cell);
+      cell = "";
+    } else if (c === "\n" || c === "\r") {
+      if (c === "\r" && src[i + 1] === "\n") i++;
+      endRow();
+      line++;
+      rowLine = line;
+    } else {
+      cell += c;
+    }
+  }
+  if (cell !== "" || cells.length > 0) endRow();
+  return rows;
+}
+
+/**
+ * @param {string} text - File content.
+ * @returns {string} The delimiter occurring most often in the header line.
+ */
+function detectDelimiter(text) {
+  const header = text.split(/\r?\n/, 1)[0];
+  const counts = [",", ";", "\t"].map((d) => [d, header.split(d).length - 1]);
+  counts.sort((a, b) => b[1] - a[1]);
+  return counts[0][0];
+}
+
+/**
+ * Builds the effective mapping from HR_MAPPING_FILE contents.
+ * @param {Object} [overrides]
+ * @returns {{ delimiter: string|null, match: [string, string][], fields: [string, string][] }}
+ *   match and fields as [document field or doc.hr key, column] pairs.
+ * @throws {Error} When no join column is configured.
+ */
+export function buildHrMapping(overrides = {}) {
+  const merged = {
+    delimiter: overrides.delimiter ?? DEFAULT_HR_MAPPING.delimiter,
+    match: { ...DEFAULT_HR_MAPPING.match, ...(overrides.match || {}) },
+    fields: { ...DEFAULT_HR_MAPPING.fields, ...(overrides.fields || {}) },
+  };
+  const pairs = (obj) => Object.entries(obj).filter(([, column]) => typeof column === "string" && column.trim());
+  const match = pairs(merged.match);
+  if (match.length === 0) throw new Error("HR mapping has no join column (match.employeeId or match.email)");
+  return { delimiter: merged.delimiter, match, fields: pairs(merged.fields) };
+}
+
+/**
+ * @returns {Object} Mapping of HR_MAPPING_FILE (relative to the project root), or the default one.
+ */
+function loadHrMapping() {
+  if (!HR.mappingFile) return buildHrMapping();
+  return buildHrMapping(JSON.parse(readFileSync(resolve(PROJECT_ROOT, HR.mappingFile), "utf8")));
+}
+
+/**
+ * Join index over the stored directory users (no manual contacts, no tombstones).
+ * @param {string[]} fields - Document fields used as join keys.
+ * @returns {{ byField: Map<string, Map<string, string|null>>, withHr: Set<string> }} Per field, key → DN (null when
+ *   several users share the key); withHr holds the DNs of users that carry doc.hr.
+ */
+function buildJoinIndex(fields) {
+  const byField = new Map(fields.map((f) => [f, new Map()]));
+  const withHr = new Set();
+  for (const { key: dn, value: doc } of usersByDN.getRange({})) {
+    if (!doc || doc.isManual || isDeparted(doc)) continue;
+    if (doc.hr) withHr.add(dn);
+    for (const [field, index] of byField) {
+      const k = joinKey(doc[field]);
+      if (!k) continue;
+      index.set(k, index.has(k) && index.get(k) !== dn ? null : dn);
+    }
+  }
+  return { byField, withHr };
+}
+
+/**
+ * Reads HR_CSV_FILE and writes the mapped columns to doc.hr of the users its rows match.
+ * @param {{ dryRun?: boolean }} [options] - With dryRun, only counts what would change.
+ * @returns {{ file: string, rows: number, matched: number, updated: number, cleared: number,
+ *   unmatched: { line: number, keys: Object<string, string>, reason: string }[], duplicates: number,
+ *   missingColumns: string[] }}
+ * @throws {Error} When the file cannot be read, has no data rows or lacks every join column.
+ */
+export function importHrFile({ dryRun = false } = {}) {
+  const mapping = loadHrMapping();
+  const path = resolve(PROJECT_ROOT, HR.file);
+  const text = readFileSync(path, "utf8");
+  const [header, ...rows] = parseCsv(text, mapping.delimiter || detectDelimiter(text));
+  if (!header || rows.length === 0) throw new Error(`HR file ${path} has no data rows`);
+
+  const columns = new Map(header.cells.map((name, i) => [joinKey(name), i]));
+  const column = (name) => columns.get(joinKey(name));
+  const match = mapping.match.filter(([, name]) => column(name) != null);
+  if (match.length === 0) {
+    throw new Error(`HR file ${path} has none of the join columns ${mapping.match.map(([, name]) => name).join(", ")}`);
+  }
+  const missingColumns = [...mapping.match, ...mapping.fields].map(([, name]) => name).filter((name) => column(name) == null);
+
+  const { byField, withHr } = buildJoinIndex(match.map(([field]) => field));
+  const hrByDN = new Map();
+  const unmatched = [];
+  let duplicates = 0;
+  for (const { line, cells } of rows) {
+    const keys = {};
+    let dn;
+    let reason = "no user";
+    for (const [field, name] of match) {
+      const k = joinKey(cells[column(name)]);
+      if (!k) continue;
+      keys[field] = cells[column(name)].trim();
+      const found = byField.get(field).get(k);
+      if (found) {
+        dn = found;
+        break;
+      }
+      if (found === null) reason = "several users";
+    }
+    if (!dn) {
+      unmatched.push({ line, keys, reason: Object.keys(keys).length ? reason : "no join value" });
+      continue;
+    }
+    if (hrByDN.has(dn)) duplicates++;
+    const hr = {};
+    for (const [key, name] of mapping.fields) {
+      const value = column(name) != null ? (cells[column(name)] ?? "").trim() : "";
+      hr[key] = value || null;
+    }
+    hrByDN.set(dn, hr);
+  }
+
+  // Changed documents are written in batches of a sync page, each in one transaction
+  const changes = [];
+  for (const [dn, hr] of hrByDN) {
+    const doc = usersByDN.get(dn);
+    if (JSON.stringify(doc.hr ?? null) !== JSON.stringify(hr)) changes.push({ dn, doc: { ...doc, hr } });
+  }
+  let cleared = 0;
+  for (const dn of withHr) {
+    if (hrByDN.has(dn)) continue;
+    const { hr: _hr, ...doc } = usersByDN.get(dn);
+    changes.push({ dn, doc });
+    cleared++;
+  }
+  if (!dryRun) {
+    for (let i = 0; i < changes.length; i += SYNC.pageSize) {
+      saveUsers(changes.slice(i, i + SYNC.pageSize), { source: "hr" });
+    }
+  }
+  return {
+    file: path,
+    rows: rows.length,
+    matched: hrByDN.size,
+    updated: changes.length - cleared,
+    cleared,
+    unmatched,
+    duplicates,
+    missingColumns,
+  };
+}
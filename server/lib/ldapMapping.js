@@ -0,0 +1,550 @@
+/**
+ * @fileoverview Declarative mapping from directory entries to user documents, so sync and login work with
+ * Active Directory, OpenLDAP (inetOrgPerson) and FreeIPA.
+ *
+ * A mapping names the LDAP filters and, per document field, the source attribute(s) and a value transform:
+ *   fields: { "location.city": "l", displayName: ["displayName", "cn"], guid: { attribute: "entryUUID", transform: "guid" } }
+ * A string is one attribute, an array means "first attribute with a value", and transform names a function
+ * in TRANSFORMS (default "string"). Dotted field names write into nested objects (location, phones, groups).
+ *
+ * LDAP_SCHEMA selects a preset (ad, openldap, freeipa). LDAP_MAPPING_FILE points to a JSON file that is
+ * merged over the preset: { "preset": "openldap", "userFilter": "…", "fields": { "department": "ou", "title": null } }
+ * (a field set to null is not mapped). "photo" names the attribute(s) holding the contact photo; they are
+ * fetched as binary and stored outside the document (lib/photos.js); "photo": null turns photos off.
+ * "groups" configures the group directory and nested membership (lib/groups.js): the group filter, the member
+ * attribute(s) and whether the server supports LDAP_MATCHING_RULE_IN_CHAIN (AD); "groups": null turns it off.
+ */
+import { readFileSync } from "fs";
+import { resolve } from "path";
+import { createHash } from "crypto";
+import { LDAP, PROJECT_ROOT } from "./config.js";
+
+const UAC_DESCRIPTIONS = {
+  1: "SCRIPT",
+  2: "ACCOUNTDISABLE",
+  8: "HOMEDIR_REQUIRED",
+  16: "LOCKOUT",
+  32: "PASSWD_NOTREQD",
+  64: "PASSWD_CANT_CHANGE",
+  128: "ENCRYPTED_TEXT_PWD_ALLOWED",
+  256: "TEMP_DUPLICATE_ACCOUNT",
+  512: "NORMAL_ACCOUNT",
+  514: "Disabled Account",
+  544: "Enabled, Password Not Required",
+  546: "Disabled, Password Not Required",
+  2048: "INTERDOMAIN_TRUST_ACCOUNT",
+  4096: "WORKSTATION_TRUST_ACCOUNT",
+  8192: "SERVER_TRUST_ACCOUNT",
+  65536: "DONT_EXPIRE_PASSWORD",
+  66048: "Enabled, Password Doesn't Expire",
+  66050: "Disabled, Password Doesn't Expire",
+  66082: "Disabled, Password Doesn't Expire & Not Required",
+  131072: "MNS_LOGON_ACCOUNT",
+  262144: "SMARTCARD_REQUIRED",
+  262656: "Enabled, Smartcard Required",
+  262658: "Disabled, Smartcard Required",
+  262690: "Disabled, Smartcard Required, Password Not Required",
+  328194: "Disabled, Smartcard Required, Password Doesn't Expire",
+  328226: "Disabled, Smartcard Required, Password Doesn't Expire & Not Required",
+  524288: "TRUSTED_FOR_DELEGATION",
+  532480: "Domain controller",
+  1048576: "NOT_DELEGATED",
+  2097152: "USE_DES_KEY_ONLY",
+  4194304: "DONT_REQ_PREAUTH",
+  8388608: "PASSWORD_EXPIRED",
+  16777216: "TRUSTED_TO_AUTH_FOR_DELEGATION",
+  67108864: "PARTIAL_SECRETS_ACCOUNT",
+};
+
+/** LDAP_MATCHING_RULE_IN_CHAIN: AD evaluates memberOf through nested groups with this matching rule. */
+export const IN_CHAIN_OID = "1.2.840.113556.1.4.1941";
+
+/** userAccountControl ACCOUNTDISABLE bit. */
+const UAC_ACCOUNTDISABLE = 2;
+
+function toArray(v) {
+  if (v == null) return [];
+  return Array.isArray(v) ? v : [v];
+}
+
+function first(v) {
+  const list = toArray(v);
+  return list.length ? list[0] : null;
+}
+
+/**
+ * Bump when normalizeGUID() output changes: stored GUIDs, and the contact ids derived from them, are then
+ * refreshed by a full sync (part of the source scope in sync.js).
+ * 2: binary GUIDs (AD objectGUID) are formatted as GUID strings instead of hashed.
+ */
+export const GUID_FORMAT = 2;
+
+/**
+ * Formats a 16-byte binary GUID like Windows does ("{…}" without braces, lower case): the first three groups
+ * are stored little-endian, the last two in byte order.
+ * @param {Buffer} bytes
+ * @returns {string}
+ */
+function formatBinaryGUID(bytes) {
+  const hex = (start, end, reverse) => {
+    const part = [...bytes.subarray(start, end)];
+    if (reverse) part.reverse();
+    return part.map((b) => b.toString(16).padStart(2, "0")).join("");
+  };
+  return [hex(0, 4, true), hex(4, 6, true), hex(6, 8, true), hex(8, 10, false), hex(10, 16, false)].join("-");
+}
+
+/**
+ * Normalizes a GUID attribute value: binary GUIDs (objectGUID, requested with guidAttributes() as buffer
+ * attributes) and UUID strings (entryUUID, ipaUniqueID) become lower-case GUID strings; any other value is hashed.
+ * @param {*} guid
+ * @returns {string|null}
+ */
+function normalizeGUID(guid) {
+  if (!guid) return null;
+  if (Buffer.isBuffer(guid)) {
+    if (guid.length === 16) return formatBinaryGUID(guid);
+    guid = guid.toString("utf8");
+  }
+  if (typeof guid === "string") {
+    if (/^[0-9a-fA-F-]{36}$/.test(guid)) return guid.toLowerCase();
+    return createHash("sha1").update(guid, "utf8").digest("hex");
+  }
+  return createHash("sha1").update(JSON.stringify(guid)).digest("hex");
+}
+
+function extractCN(dn) {
+  if (!dn) return null;
+  const m = /^CN=([^,]+),/i.exec(dn);
+  return m ? m[1] : dn;
+}
+
+/** Convert Windows FILETIME (100-nanosecond intervals since 1601-01-01) to ISO string or null. */
+function filetimeToIso(value) {
+  if (value == null || value === 0 || value === "0") return null;
+  const n = Number(value);
+  if (!Number.isFinite(n) || n <= 0) return null;
+  const ms = n / 10000 - 11644473600000;
+  return new Date(ms).toISOString();
+}
+
+/** Convert LDAP generalized time ("20240131120000Z", "20240131120000.0Z") to ISO string or null. */
+function generalizedTimeToIso(value) {
+  const m = /^(\d{4})(\d{2})(\d{2})(\d{2})(\d{2})(\d{2})/.exec(String(value ?? ""));
+  if (!m) return null;
+  return new Date(Date.UTC(+m[1], +m[2] - 1, +m[3], +m[4], +m[5], +m[6])).toISOString();
+}
+
+/**
+ * Value transforms usable in mappings. Each receives the raw attribute value (string, Buffer or array).
+ * @type {Object<string, (value: *) => *>}
+ */
+const TRANSFORMS = {
+  string: (v) => {
+    const value = first(v);
+    return value != null && value !== "" ? String(value) : null;
+  },
+  list: (v) => toArray(v).map(String),
+  cnList: (v) => toArray(v).map((dn) => extractCN(String(dn))),
+  number: (v) => {
+    const value = first(v);
+    if (value == null || value === "") return null;
+    const n = Number(value);
+    return Number.isFinite(n) ? n : null;
+  },
+  guid: (v) => normalizeGUID(first(v)),
+  filetime: (v) => filetimeToIso(first(v)),
+  generalizedTime: (v) => generalizedTimeToIso(first(v)),
+  uacDescription: (v) => {
+    const uac = TRANSFORMS.number(v);
+    return uac != null && UAC_DESCRIPTIONS[uac] ? UAC_DESCRIPTIONS[uac] : null;
+  },
+  // Account-disabled checks (used by mapping.disabled)
+  uacDisabled: (v) => ((TRANSFORMS.number(v) ?? 0) & UAC_ACCOUNTDISABLE) !== 0,
+  lockTrue: (v) => String(first(v) ?? "").toUpperCase() === "TRUE",
+};
+
+/** Built-in mappings, selected with LDAP_SCHEMA. */
+export const PRESETS = {
+  ad: {
+    userFilter: "(&(objectCategory=person)(objectClass=user)(!(objectClass=computer)))",
+    enabledFilter: "(!(userAccountControl:1.2.840.113556.1.4.803:=2))",
+    disabled: { attribute: "userAccountControl", transform: "uacDisabled" },
+    loginAttributes: ["sAMAccountName", "userPrincipalName"],
+    photo: ["thumbnailPhoto", "jpegPhoto"],
+    groups: { filter: "(objectClass=group)", memberAttributes: ["member"], inChain: true },
+    fields: {
+      guid: { attribute: "objectGUID", transform: "guid" },
+      accountName: "sAMAccountName",
+      upn: "userPrincipalName",
+      email: "mail",
+      employeeId: "employeeID",
+      displayName: "displayName",
+      firstName: "givenName",
+      lastName: "sn",
+      title: "title",
+      department: "department",
+      company: "company",
+      office: "physicalDeliveryOfficeName",
+      "location.city": "l",
+      "location.state": "st",
+      "location.country": "co",
+      "location.street": "streetAddress",
+      "location.postalCode": "postalCode",
+      "phones.business": "telephoneNumber",
+      "phones.mobile": "mobile",
+      "phones.ipPhone": "ipPhone",
+      "groups.dns": { attribute: "memberOf", transform: "list" },
+      "groups.names": { attribute: "memberOf", transform: "cnList" },
+      managerDN: "manager",
+      lastLogon: { attribute: "lastLogon", transform: "filetime" },
+      lastLogonTimestamp: { attribute: "lastLogonTimestamp", transform: "filetime" },
+      passwordLastSet: { attribute: "pwdLastSet", transform: "filetime" },
+      whenChanged: "whenChanged",
+      whenCreated: "whenCreated",
+      uac: { attribute: "userAccountControl", transform: "number" },
+      uacDescription: { attribute: "userAccountControl", transform: "uacDescription" },
+    },
+  },
+  openldap: {
+    userFilter: "(objectClass=inetOrgPerson)",
+    enabledFilter: null,
+    disabled: null,
+    loginAttributes: ["uid", "mail"],
+    photo: ["jpegPhoto"],
+    groups: {
+      filter: "(|(objectClass=groupOfNames)(objectClass=groupOfUniqueNames))",
+      memberAttributes: ["member", "uniqueMember"],
+      inChain: false,
+    },
+    fields: {
+      guid: { attribute: "entryUUID", transform: "guid" },
+      accountName: "uid",
+      email: "mail",
+      employeeId: "employeeNumber",
+      displayName: ["displayName", "cn"],
+      firstName: "givenName",
+      lastName: "sn",
+      title: "title",
+      department: ["departmentNumber", "ou"],
+      company: "o",
+      office: ["physicalDeliveryOfficeName", "roomNumber"],
+      "location.city": "l",
+      "location.state": "st",
+      "location.country": ["co", "c"],
+      "location.street": "street",
+      "location.postalCode": "postalCode",
+      "phones.business": "telephoneNumber",
+      "phones.mobile": "mobile",
+      "groups.dns": { attribute: "memberOf", transform: "list" },
+      "groups.names": { attribute: "memberOf", transform: "cnList" },
+      managerDN: "manager",
+      passwordLastSet: { attribute: "pwdChangedTime", transform: "generalizedTime" },
+      whenChanged: "modifyTimestamp",
+      whenCreated: "createTimestamp",
+    },
+  },
+  freeipa: {
+    userFilter: "(&(objectClass=inetOrgPerson)(objectClass=posixAccount))",
+    enabledFilter: "(!(nsAccountLock=TRUE))",
+    disabled: { attribute: "nsAccountLock", transform: "lockTrue" },
+    loginAttributes: ["uid", "krbPrincipalName"],
+    photo: ["jpegPhoto"],
+    groups: { filter: "(objectClass=groupOfNames)", memberAttributes: ["member"], inChain: false },
+    fields: {
+      guid: { attribute: "ipaUniqueID", transform: "guid" },
+      accountName: "uid",
+      upn: "krbPrincipalName",
+      email: "mail",
+      employeeId: "employeeNumber",
+      displayName: ["displayName", "cn"],
+      firstName: "givenName",
+      lastName: "sn",
+      title: "title",
+      department: ["departmentNumber", "ou"],
+      company: "o",
+      office: ["physicalDeliveryOfficeName", "roomNumber"],
+      "location.city": "l",
+      "location.state": "st",
+      "location.street": "street",
+      "location.postalCode": "postalCode",
+      "phones.business": "telephoneNumber",
+      "phones.mobile": "mobile",
+      "groups.dns": { attribute: "memberOf", transform: "list" },
+      "groups.names": { attribute: "memberOf", transform: "cnList" },
+      managerDN: "manager",
+      lastLogon: { attribute: "krbLastSuccessfulAuth", transform: "generalizedTime" },
+      passwordLastSet: { attribute: "krbLastPwdChange", transform: "generalizedTime" },
+      whenChanged: "modifyTimestamp",
+      whenCreated: "createTimestamp",
+    },
+  },
+};
+
+/**
+ * Normalizes one field spec to { attributes: string[], transform: string }.
+ * @param {string} field
+ * @param {string|string[]|{ attribute: string|string[], transform?: string }} spec
+ */
+function compileField(field, spec) {
+  const raw = typeof spec === "string" || Array.isArray(spec) ? { attribute: spec } : spec;
+  const attributes = toArray(raw?.attribute).filter((a) => typeof a === "string" && a);
+  const transform = raw?.transform || "string";
+  if (attributes.length === 0) throw new Error(`LDAP mapping for "${field}" has no attribute`);
+  if (!TRANSFORMS[transform]) throw new Error(`LDAP mapping for "${field}" uses unknown transform "${transform}"`);
+  return { field, path: field.split("."), attributes, transform };
+}
+
+/**
+ * Builds the effective mapping from a preset name and optional overrides (LDAP_MAPPING_FILE contents).
+ * @param {string} presetName - "ad", "openldap" or "freeipa".
+ * @param {Object} [overrides]
+ * @returns {Object} Compiled mapping.
+ * @throws {Error} On an unknown preset, attribute-less field or unknown transform.
+ */
+export function buildMapping(presetName, overrides = {}) {
+  const name = String(overrides.preset || presetName || "ad").toLowerCase();
+  const preset = PRESETS[name];
+  if (!preset) throw new Error(`Unknown LDAP_SCHEMA "${name}" (expected ${Object.keys(PRESETS).join(", ")})`);
+  const merged = { ...preset, ...overrides, fields: { ...preset.fields, ...(overrides.fields || {}) } };
+  const fields = Object.entries(merged.fields)
+    .filter(([, spec]) => spec != null)
+    .map(([field, spec]) => compileField(field, spec));
+  const disabled = merged.disabled ? compileField("disabled", merged.disabled) : null;
+  const groups = overrides.groups === null || !preset.groups ? null : { ...preset.groups, ...(overrides.groups || {}) };
+  return {
+    name,
+    userFilter: merged.userFilter,
+    enabledFilter: merged.enabledFilter || null,
+    loginAttributes: toArray(merged.loginAttributes),
+    fields,
+    disabled,
+    photoAttributes: toArray(merged.photo).filter((a) => typeof a === "string" && a),
+    groups: groups && {
+      filter: groups.filter,
+      memberAttributes: toArray(groups.memberAttributes),
+      inChain: !!groups.inChain,
+    },
+  };
+}
+
+/**
+ * Builds a mapping from a preset and an optional overrides file.
+ * @param {string} schema - Preset name.
+ * @param {string} [mappingFile] - JSON file relative to the project root; empty for none.
+ * @returns {Object} Compiled mapping.
+ */
+export function loadMapping(schema, mappingFile) {
+  if (!mappingFile) return buildMapping(schema);
+  const path = resolve(PROJECT_ROOT, mappingFile);
+  const overrides = JSON.parse(readFileSync(path, "utf8"));
+  return buildMapping(schema, overrides);
+}
+
+/** Mapping of the env-configured directory (LDAP_SCHEMA preset plus LDAP_MAPPING_FILE overrides). */
+export const LDAP_MAPPING = loadMapping(LDAP.schema, LDAP.mappingFile);
+
+/**
+ * Escapes a value for use inside an LDAP filter (RFC 4515).
+ * @param {string} value
+ * @returns {string}
+ */
+export function ldapEscape(value) {
+  return String(value).replace(/[*()\\\0]/g, (c) => `\\${c.charCodeAt(0).toString(16).padStart(2, "0")}`);
+}
+
+/**
+ * Attributes to request when reading users with this mapping.
+ * @param {Object} [mapping]
+ * @returns {string[]}
+ */
+export function mappingAttributes(mapping = LDAP_MAPPING) {
+  const attrs = new Set(["distinguishedName"]);
+  for (const f of mapping.fields) for (const a of f.attributes) attrs.add(a);
+  if (mapping.disabled) for (const a of mapping.disabled.attributes) attrs.add(a);
+  return [...attrs];
+}
+
+/**
+ * Photo attributes, requested by sync only (not by logins). Pass them to ldapts as explicitBufferAttributes
+ * too, so the images arrive as Buffers instead of being decoded as UTF-8.
+ * @param {Object} [mapping]
+ * @returns {string[]}
+ */
+export function photoAttributes(mapping = LDAP_MAPPING) {
+  return [...mapping.photoAttributes];
+}
+
+/**
+ * Attributes of fields with the guid transform. Pass them to ldapts as explicitBufferAttributes, so a binary
+ * objectGUID arrives intact (normalizeGUID() reads UUID strings from buffers as well).
+ * @param {Object} [mapping]
+ * @returns {string[]}
+ */
+export function guidAttributes(mapping = LDAP_MAPPING) {
+  return mapping.fields.filter((f) => f.transform === "guid").flatMap((f) => f.attributes);
+}
+
+/** Filter for all users the directory holds, enabled or not (incremental searches). */
+export function allUsersFilter(mapping = LDAP_MAPPING) {
+  return mapping.userFilter;
+}
+
+/** Filter for the enabled users a full sync stores. */
+export function enabledUsersFilter(mapping = LDAP_MAPPING) {
+  return mapping.enabledFilter ? `(&${mapping.userFilter}${mapping.enabledFilter})` : mapping.userFilter;
+}
+
+/**
+ * Filter that finds a user by any of the login attributes.
+ * @param {string} login - Unescaped login name.
+ * @param {Object} [mapping]
+ * @returns {string}
+ */
+export function loginFilter(login, mapping = LDAP_MAPPING) {
+  const safe = ldapEscape(login);
+  const alternatives = mapping.loginAttributes.map((a) => `(${a}=${safe})`).join("");
+  return `(&${mapping.userFilter}(|${alternatives}))`;
+}
+
+/**
+ * Case-insensitive attribute lookup (servers may return names in a different case than requested).
+ * @param {Object} entry - ldapts search entry.
+ * @returns {(attributes: string[]) => *} First non-empty value of the given attributes.
+ */
+function attributeReader(entry) {
+  const byLower = {};
+  for (const [k, v] of Object.entries(entry)) byLower[k.toLowerCase()] = v;
+  return (attributes) => {
+    for (const a of attributes) {
+      const v = byLower[a.toLowerCase()];
+      if (v != null && v !== "" && !(Array.isArray(v) && v.length === 0)) return v;
+    }
+    return null;
+  };
+}
+
+/**
+ * Reads a ranged attribute description: AD returns at most MaxValRange (1500) values of a multi-valued attribute
+ * such as member or memberOf per response, under "member;range=0-1499"; the last range ends in "*".
+ * @param {string} key - Attribute name of a search entry.
+ * @returns {{ attribute: string, start: number, end: number|null }|null} end is null for the last range;
+ *   null when the key is not ranged.
+ */
+export function parseRangedAttribute(key) {
+  const m = /^(.+);range=(\d+)-(\d+|\*)$/i.exec(key);
+  if (!m) return null;
+  return { attribute: m[1], start: Number(m[2]), end: m[3] === "*" ? null : Number(m[3]) };
+}
+
+/**
+ * DN of a search entry.
+ * @param {Object} entry
+ * @returns {string|null}
+ */
+export function entryDN(entry) {
+  return entry.distinguishedName || entry.dn || null;
+}
+
+/**
+ * Whether the entry is a disabled account (mapping.disabled); false when the mapping has no such check.
+ * @param {Object} entry
+ * @param {Object} [mapping]
+ * @returns {boolean}
+ */
+export function isEntryDisabled(entry, mapping = LDAP_MAPPING) {
+  if (!mapping.disabled) return false;
+  const read = attributeReader(entry);
+  return !!TRANSFORMS[mapping.disabled.transform](read(mapping.disabled.attributes));
+}
+
+/**
+ * Maps a group entry to its name, description, mail and direct member DNs (users and groups alike).
+ * groupOfUniqueNames values may carry an "#'…'B" unique identifier suffix, which is dropped.
+ * @param {Object} entry - ldapts search entry, searched with groupAttributes().
+ * @param {Object} [mapping]
+ * @returns {{ dn: string|null, name: string|null, description: string|null, mail: string|null, memberDNs: string[] }}
+ */
+export function entryToGroup(entry, mapping = LDAP_MAPPING) {
+  const read = attributeReader(entry);
+  const dn = entryDN(entry);
+  const memberDNs = [];
+  for (const a of mapping.groups.memberAttributes) {
+    for (const v of toArray(read([a]))) memberDNs.push(String(v).replace(/#'[01]*'B$/, ""));
+  }
+  return {
+    dn,
+    name: TRANSFORMS.string(read(["cn"])) ?? extractCN(dn),
+    description: TRANSFORMS.string(read(["description"])),
+    mail: TRANSFORMS.string(read(["mail"])),
+    memberDNs: [...new Set(memberDNs)],
+  };
+}
+
+/**
+ * Attributes to request when reading groups.
+ * @param {Object} [mapping]
+ * @returns {string[]}
+ */
+export function groupAttributes(mapping = LDAP_MAPPING) {
+  return ["distinguishedName", "cn", "description", "mail", ...mapping.groups.memberAttributes];
+}
+
+/**
+ * Raw photo of an entry: the first photo attribute with a value (a multi-valued jpegPhoto yields its first image).
+ * @param {Object} entry - ldapts search entry, searched with photoAttributes() as buffer attributes.
+ * @param {Object} [mapping]
+ * @returns {Buffer|null}
+ */
+export function entryPhoto(entry, mapping = LDAP_MAPPING) {
+  if (mapping.photoAttributes.length === 0) return null;
+  const value = first(attributeReader(entry)(mapping.photoAttributes));
+  return Buffer.isBuffer(value) ? value : null;
+}
+
+/**
+ * Maps a directory entry to a user document. Unmapped fields are null, so documents have the same
+ * shape whatever the directory.
+ * @param {Object} entry - ldapts search entry.
+ * @param {Object} [mapping]
+ * @returns {Object} Document without syncedAt.
+ */
+export function entryToDocument(entry, mapping = LDAP_MAPPING) {
+  const doc = {
+    dn: entryDN(entry),
+    guid: null,
+    accountName: null,
+    upn: null,
+    email: null,
+    employeeId: null,
+    displayName: null,
+    firstName: null,
+    lastName: null,
+    title: null,
+    department: null,
+    company: null,
+    office: null,
+    location: { city: null, state: null, country: null, street: null, postalCode: null },
+    phones: { business: null, mobile: null, ipPhone: null },
+    groups: { dns: [], names: [] },
+    managerDN: null,
+    lastLogon: null,
+    lastLogonTimestamp: null,
+    passwordLastSet: null,
+    whenChanged: null,
+    whenCreated: null,
+    uac: null,
+    uacDescription: null,
+  };
+  const read = attributeReader(entry);
+  for (const f of mapping.fields) {
+    const value = TRANSFORMS[f.transform](read(f.attributes));
+    let target = doc;
+    for (const key of f.path.slice(0, -1)) {
+      if (target[key] == null || typeof target[key] !== "object") target[key] = {};
+      target = target[key];
+    }
+    target[f.path[f.path.length - 1]] = value;
+  }
+  return doc;
+}
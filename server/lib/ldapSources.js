@@ -0,0 +1,164 @@
+/**
+ * @fileoverview Directory sources merged by sync into one phonebook. Without LDAP_SOURCES_FILE there is a single
+ * source "default" built from LDAP_URL, LDAP_BIND_DN, LDAP_BIND_PW, LDAP_BASE_DN, LDAP_SCHEMA and LDAP_MAPPING_FILE.
+ * LDAP_SOURCES_FILE points to a JSON array (relative to the project root), one object per directory:
+ *   [{ "id": "corp", "url": "ldaps://dc1.corp.local", "bindDN": "CN=svc,…", "bindPWEnv": "CORP_LDAP_PW",
+ *      "baseDNs": ["OU=Staff,DC=corp,DC=local"], "excludeSubtrees": ["OU=Service,OU=Staff,DC=corp,DC=local"],
+ *      "groupBaseDNs": ["OU=Groups,DC=corp,DC=local"], "filter": "(department=*)", "schema": "ad",
+ *      "mappingFile": "corp-mapping.json" }]
+ * bindPWEnv names an env var holding the password (keeps secrets out of the file); bindPW is also accepted.
+ * schema and mappingFile default to LDAP_SCHEMA / LDAP_MAPPING_FILE; filter is ANDed with the mapping's user filter.
+ * groupBaseDNs (where sync reads groups, LDAP_GROUP_BASE_DN for the default source) defaults to baseDNs.
+ *
+ * Every synced document carries its source id (doc.source) and allDNs maps each DN to that id, so sync only
+ * delta-deletes users of sources it actually reached.
+ */
+import { readFileSync } from "fs";
+import { resolve } from "path";
+import { LDAP, PROJECT_ROOT } from "./config.js";
+import { loadMapping } from "./ldapMapping.js";
+import { MANUAL_SOURCE_ID } from "./userRows.js";
+
+/** Id of the source built from the LDAP_* env vars. */
+export const DEFAULT_SOURCE_ID = "default";
+
+/**
+ * Lower-cases a DN and drops whitespace around separators, for subtree comparisons.
+ * @param {string} dn
+ * @returns {string}
+ */
+export function normalizeDN(dn) {
+  return String(dn || "")
+    .trim()
+    .replace(/\s*([,=])\s*/g, "$1")
+    .toLowerCase();
+}
+
+/**
+ * Whether dn is base itself or below it.
+ * @param {string} dn
+ * @param {string} base
+ * @returns {boolean}
+ */
+export function dnWithin(dn, base) {
+  const d = normalizeDN(dn);
+  const b = normalizeDN(base);
+  return d === b || d.endsWith(`,${b}`);
+}
+
+function toList(v) {
+  if (v == null || v === "") return [];
+  return (Array.isArray(v) ? v : [v]).map((s) => String(s).trim()).filter(Boolean);
+}
+
+/** "department=*" → "(department=*)" */
+function wrapFilter(filter) {
+  return filter.startsWith("(") ? filter : `(${filter})`;
+}
+
+/**
+ * Validates one entry of LDAP_SOURCES_FILE and fills in defaults.
+ * @param {Object} raw
+ * @param {number} index - Position in the file, for error messages.
+ * @returns {Object} Source.
+ * @throws {Error} When required settings are missing.
+ */
+function toSource(raw, index) {
+  const id = String(raw?.id ?? "").trim();
+  const label = id ? `LDAP source "${id}"` : `LDAP source #${index + 1}`;
+  if (!/^[\w.-]+$/.test(id)) throw new Error(`${label}: id must be letters, digits, "_", "-" or "."`);
+  if (id === MANUAL_SOURCE_ID) throw new Error(`${label}: id "${MANUAL_SOURCE_ID}" is reserved for manual contacts`);
+  const bindPW = raw.bindPWEnv ? process.env[raw.bindPWEnv] : raw.bindPW;
+  const baseDNs = toList(raw.baseDNs ?? raw.baseDN);
+  const missing = [];
+  if (!raw.url) missing.push("url");
+  if (!raw.bindDN) missing.push("bindDN");
+  if (!bindPW) missing.push(raw.bindPWEnv ? `env ${raw.bindPWEnv}` : "bindPW or bindPWEnv");
+  if (baseDNs.length === 0) missing.push("baseDNs");
+  if (missing.length) throw new Error(`${label}: missing ${missing.join(", ")}`);
+  const schema = String(raw.schema || LDAP.schema).toLowerCase();
+  return {
+    id,
+    url: raw.url,
+    bindDN: raw.bindDN,
+    bindPW,
+    baseDNs,
+    excludeSubtrees: toList(raw.excludeSubtrees),
+    groupBaseDNs: raw.groupBaseDNs ? toList(raw.groupBaseDNs) : baseDNs,
+    filter: raw.filter ? wrapFilter(String(raw.filter).trim()) : null,
+    mapping: loadMapping(schema, raw.mappingFile ?? LDAP.mappingFile),
+  };
+}
+
+function loadSources() {
+  if (!LDAP.sourcesFile) {
+    return [
+      {
+        id: DEFAULT_SOURCE_ID,
+        url: LDAP.url,
+        bindDN: LDAP.bindDN,
+        bindPW: LDAP.bindPW,
+        baseDNs: toList(LDAP.baseDN),
+        excludeSubtrees: [],
+        groupBaseDNs: LDAP.groupBaseDN ? toList(LDAP.groupBaseDN.split(";")) : toList(LDAP.baseDN),
+        filter: null,
+        mapping: loadMapping(LDAP.schema, LDAP.mappingFile),
+      },
+    ];
+  }
+  const list = JSON.parse(readFileSync(resolve(PROJECT_ROOT, LDAP.sourcesFile), "utf8"));
+  if (!Array.isArray(list) || list.length === 0) {
+    throw new Error(`LDAP_SOURCES_FILE ${LDAP.sourcesFile} must contain a non-empty JSON array`);
+  }
+  const sources = list.map(toSource);
+  const ids = new Set();
+  for (const s of sources) {
+    if (ids.has(s.id)) throw new Error(`Duplicate LDAP source id "${s.id}"`);
+    ids.add(s.id);
+  }
+  return sources;
+}
+
+/** Configured directories, in sync and login order. */
+export const LDAP_SOURCES = loadSources();
+
+/**
+ * @param {*} id
+ * @returns {Object|null} Source with that id.
+ */
+export function sourceById(id) {
+  return LDAP_SOURCES.find((s) => s.id === id) || null;
+}
+
+/**
+ * Whether a DN lies in one of the source's excluded subtrees.
+ * @param {Object} source
+ * @param {string} dn
+ * @returns {boolean}
+ */
+export function isExcluded(source, dn) {
+  return source.excludeSubtrees.some((sub) => dnWithin(dn, sub));
+}
+
+/**
+ * Owning source of a stored DN. allDNs entries written before sources existed hold 1 instead of an id;
+ * those belong to the first source whose base DNs contain the DN.
+ * @param {string} dn
+ * @param {*} tag - allDNs value (source id).
+ * @returns {Object|null} null for manual contacts and DNs of sources that are no longer configured.
+ */
+export function sourceOfStoredDN(dn, tag) {
+  if (tag === MANUAL_SOURCE_ID) return null;
+  if (typeof tag === "string") return sourceById(tag);
+  return LDAP_SOURCES.find((s) => s.baseDNs.some((base) => dnWithin(dn, base))) || null;
+}
+
+/**
+ * ANDs the source's extra filter onto a mapping filter.
+ * @param {Object} source
+ * @param {string} filter
+ * @returns {string}
+ */
+export function withSourceFilter(source, filter) {
+  return source.filter ? `(&${filter}${source.filter})` : filter;
+}
@@ -0,0 +1,111 @@
+/**
+ * @fileoverview Org chart: contacts by id, the direct-reports index (managerDN → report DNs, kept current by
+ * saveUser() / removeUser()) and the management chain and direct reports of GET /api/users/:id/chain and
+ * /reports. Managers are resolved through the stored documents, so a manager outside the synced base DNs
+ * ends the chain. Rows use the list shape of the caller (toListRow), so public visibility rules apply.
+ * Departed users (tombstones) are left out of other contacts' chains and reports.
+ */
+import { usersByDN, usersById, directReports } from "./db.js";
+import { contactId } from "./publicUserFilter.js";
+import { toListRow } from "./userRows.js";
+import { isDeparted } from "./tombstones.js";
+import { stageAdd, stageRemove } from "./postings.js";
+
+/** Longest management chain followed (guards against manager cycles the directory may contain). */
+export const MAX_CHAIN_DEPTH = 50;
+
+/**
+ * Moves a user between the report lists of their previous and new manager, staged in a directReports
+ * posting batch (written by applyPostingBatch, see searchIndex.saveUsers).
+ * @param {Object} batch - createPostingBatch(directReports).
+ * @param {string} dn
+ * @param {string|null} [prevManagerDN]
+ * @param {string|null} [nextManagerDN]
+ */
+export function updateReportsIndex(batch, dn, prevManagerDN = null, nextManagerDN = null) {
+  const prev = prevManagerDN && prevManagerDN !== dn ? prevManagerDN : null;
+  const next = nextManagerDN && nextManagerDN !== dn ? nextManagerDN : null;
+  if (prev === next) return;
+  if (prev) stageRemove(batch, prev, dn);
+  if (next) stageAdd(batch, next, dn);
+}
+
+/**
+ * Stored document of a contact.
+ * @param {string} id - Contact id.
+ * @returns {Object|null}
+ */
+export function getUserById(id) {
+  const dn = usersById.get(id);
+  return dn ? (usersByDN.get(dn) ?? null) : null;
+}
+
+/**
+ * Direct reports of a manager that the caller may see.
+ * @param {string} managerDN
+ * @param {boolean} isAdmin
+ * @returns {{ doc: Object, row: Object }[]}
+ */
+function visibleReports(managerDN, isAdmin) {
+  const out = [];
+  for (const dn of directReports.get(managerDN) || []) {
+    const doc = usersByDN.get(dn);
+    const row = isDeparted(doc) ? null : toListRow(doc, isAdmin);
+    if (row) out.push({ doc, row });
+  }
+  return out;
+}
+
+/**
+ * List row plus managerId (null when the manager is not stored or hidden) and the number of visible direct reports, for org chart navigation.
+ * @param {Object} doc
+ * @param {Object} row - toListRow(doc, isAdmin).
+ * @param {boolean} isAdmin
+ * @returns {Object}
+ */
+function toOrgRow(doc, row, isAdmin) {
+  const manager = doc.managerDN ? usersByDN.get(doc.managerDN) : null;
+  const managerId = !isDeparted(manager) && toListRow(manager, isAdmin) ? contactId(manager) : null;
+  return { ...row, managerId, reportCount: visibleReports(doc.dn, isAdmin).length };
+}
+
+/**
+ * A contact and their managers, nearest first, up to the top of the hierarchy. Managers the caller may not
+ * see are skipped, but the chain continues above them.
+ * @param {string} id
+ * @param {boolean} isAdmin
+ * @returns {{ user: Object, chain: Object[] }|null} null when the contact is unknown or hidden.
+ */
+export function managementChain(id, isAdmin) {
+  const doc = getUserById(id);
+  const row = toListRow(doc, isAdmin);
+  if (!row) return null;
+  const chain = [];
+  const seen = new Set([doc.dn]);
+  let current = doc;
+  while (current.managerDN && chain.length < MAX_CHAIN_DEPTH && !seen.has(current.managerDN)) {
+    const manager = usersByDN.get(current.managerDN);
+    if (!manager) break;
+    seen.add(current.managerDN);
+    const managerRow = isDeparted(manager) ? null : toListRow(manager, isAdmin);
+    if (managerRow) chain.push(toOrgRow(manager, managerRow, isAdmin));
+    current = manager;
+  }
+  return { user: toOrgRow(doc, row, isAdmin), chain };
+}
+
+/**
+ * A contact and their direct reports, sorted by name.
+ * @param {string} id
+ * @param {boolean} isAdmin
+ * @returns {{ user: Object, reports: Object[] }|null} null when the contact is unknown or hidden.
+ */
+export function reportsOf(id, isAdmin) {
+  const doc = getUserById(id);
+  const row = toListRow(doc, isAdmin);
+  if (!row) return null;
+  const reports = visibleReports(doc.dn, isAdmin)
+    .map((r) => toOrgRow(r.doc, r.row, isAdmin))
+    .sort((a, b) => String(a.fullName ?? "").localeCompare(String(b.fullName ?? ""), undefined, { sensitivity: "base" }));
+  return { user: toOrgRow(doc, row, isAdmin), reports };
+}
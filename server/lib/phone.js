@@ -0,0 +1,129 @@
+/**
+ * @fileoverview Phone number normalization and the reverse-lookup index (phoneIndex) for caller ID.
+ * Each stored number gets an E.164 key ("e164:+31201234567") and digit-suffix keys for the configured
+ * extension lengths ("ext:4567"), so "+31 20 123 4567", "0201234567" and extension "4567" all resolve.
+ */
+import { phoneIndex } from "./db.js";
+import { PHONE } from "./config.js";
+import { stageAdd, stageRemove } from "./postings.js";
+
+/** Bump when phone key generation changes; sync rebuilds phoneIndex when this (or PHONE config) differs. */
+export const PHONE_INDEX_VERSION = 1;
+
+/** Phone fields of a user document that are indexed for lookup. */
+const PHONE_FIELDS = ["business", "mobile", "ipPhone"];
+
+const MAX_EXTENSION_LENGTH = Math.max(0, ...PHONE.extensionLengths);
+
+/**
+ * Fingerprint of the settings that determine phone keys; stored with the index to detect config changes.
+ * @returns {string}
+ */
+export function phoneIndexFingerprint() {
+  return JSON.stringify({ version: PHONE_INDEX_VERSION, ...PHONE });
+}
+
+/**
+ * Normalizes a dialed or stored number to E.164 using the configured default country.
+ * @param {*} raw - Number in any common format ("+31 (0)20 123 4567", "020-1234567", "0031 20 1234567").
+ * @returns {string|null} E.164 string ("+31201234567"), or null for extensions and non-numbers.
+ */
+export function toE164(raw) {
+  if (raw == null) return null;
+  // "+31 (0)20 …": the parenthesised trunk prefix is not dialed internationally
+  const s = String(raw).trim().replace(/\(0\)/g, "");
+  let digits = s.replace(/\D/g, "");
+  if (!digits) return null;
+  if (s.startsWith("+")) return `+${digits}`;
+  if (PHONE.internationalPrefix && digits.startsWith(PHONE.internationalPrefix)) {
+    return `+${digits.slice(PHONE.internationalPrefix.length)}`;
+  }
+  if (digits.length <= MAX_EXTENSION_LENGTH) return null;
+  if (PHONE.trunkPrefix && digits.startsWith(PHONE.trunkPrefix)) {
+    digits = digits.slice(PHONE.trunkPrefix.length);
+  }
+  return `+${PHONE.defaultCountryCode}${digits}`;
+}
+
+/**
+ * Lookup keys for one number: its E.164 key (when it is a full number) and its extension suffixes.
+ * @param {*} raw
+ * @returns {string[]}
+ */
+function keysForNumber(raw) {
+  if (raw == null || raw === "") return [];
+  const keys = [];
+  const e164 = toE164(raw);
+  if (e164) keys.push(`e164:${e164}`);
+  const digits = String(raw).replace(/\D/g, "");
+  for (const len of PHONE.extensionLengths) {
+    if (digits.length >= len) keys.push(`ext:${digits.slice(-len)}`);
+  }
+  return keys;
+}
+
+/**
+ * Adds normalized phone data to a user document: phonesE164 (per field) and phoneKeys (index keys).
+ * @param {Object} doc - User document with phones { business, mobile, ipPhone }.
+ * @returns {Object} Same document (mutated) for chaining.
+ */
+export function withPhoneKeys(doc) {
+  const phones = doc.phones || {};
+  const phonesE164 = {};
+  const keys = new Set();
+  for (const field of PHONE_FIELDS) {
+    phonesE164[field] = toE164(phones[field]);
+    for (const k of keysForNumber(phones[field])) keys.add(k);
+  }
+  doc.phonesE164 = phonesE164;
+  doc.phoneKeys = [...keys];
+  return doc;
+}
+
+/**
+ * Keys to look up for an incoming number. Short numbers are extensions; anything longer must match
+ * the full E.164 form (a suffix match on a full number would risk false positives).
+ * @param {string} raw
+ * @returns {{ normalized: string|null, keys: string[], matchedBy: "e164"|"extension"|null }}
+ */
+export function lookupKeysForInput(raw) {
+  const digits = String(raw || "").replace(/\D/g, "");
+  if (!digits) return { normalized: null, keys: [], matchedBy: null };
+  if (!String(raw).trim().startsWith("+") && digits.length <= MAX_EXTENSION_LENGTH) {
+    return { normalized: digits, keys: [`ext:${digits}`], matchedBy: "extension" };
+  }
+  const e164 = toE164(raw);
+  return { normalized: e164, keys: e164 ? [`e164:${e164}`] : [], matchedBy: "e164" };
+}
+
+/**
+ * Stages the difference between a user's previous and new phone keys in a phoneIndex posting batch
+ * (written by applyPostingBatch, see searchIndex.saveUsers).
+ * @param {Object} batch - createPostingBatch(phoneIndex).
+ * @param {string} dn
+ * @param {string[]} [prevKeys]
+ * @param {string[]} [nextKeys]
+ */
+export function updatePhoneIndex(batch, dn, prevKeys = [], nextKeys = []) {
+  const prevSet = new Set(prevKeys);
+  const nextSet = new Set(nextKeys);
+  for (const key of nextSet) {
+    if (!prevSet.has(key)) stageAdd(batch, key, dn);
+  }
+  for (const key of prevSet) {
+    if (!nextSet.has(key)) stageRemove(batch, key, dn);
+  }
+}
+
+/**
+ * DNs matching any of the lookup keys.
+ * @param {string[]} keys
+ * @returns {string[]}
+ */
+export function findDNsByPhoneKeys(keys) {
+  const dns = new Set();
+  for (const key of keys) {
+    for (const dn of phoneIndex.get(key) || []) dns.add(dn);
+  }
+  return [...dns];
+}
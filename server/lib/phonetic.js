@@ -0,0 +1,161 @@
+/**
+ * @fileoverview Phonetic keys and edit-distance helpers for typo-tolerant name matching.
+ * metaphone() implements the original Metaphone rules (Philips, 1990), so spelling variants like
+ * Mohammed/Muhammad or Schmidt/Schmitt share a key. Phonetic keys are stored in indexDB under
+ * PHONETIC_PREFIX so they never collide with (or show up in prefix scans of) normal word tokens.
+ */
+import { tokenize } from "./tokenize.js";
+
+/** Index key prefix for phonetic tokens (e.g. "~SKMT"). Not a character tokenize() ever emits. */
+export const PHONETIC_PREFIX = "~";
+
+const VOWELS = "AEIOU";
+const FRONT_VOWELS = "EIY";
+
+function isVowel(c) {
+  return c !== undefined && VOWELS.includes(c);
+}
+
+/**
+ * Computes the Metaphone key for a single word.
+ * @param {string} word
+ * @returns {string} Uppercase key (may be "" for words without letters).
+ */
+export function metaphone(word) {
+  let w = String(word || "")
+    .toUpperCase()
+    .replace(/[^A-Z]/g, "");
+  if (!w) return "";
+
+  // Initial letter exceptions
+  if (/^(AE|GN|KN|PN|WR)/.test(w)) w = w.slice(1);
+  if (w[0] === "X") w = "S" + w.slice(1);
+  if (w.startsWith("WH")) w = "W" + w.slice(2);
+
+  let out = "";
+  const emit = (code) => {
+    // Collapse repeated codes (Schmidt "…DT" and Schmitt "…TT" both end in a single T)
+    if (out[out.length - 1] !== code) out += code;
+  };
+
+  for (let i = 0; i < w.length; i++) {
+    const c = w[i];
+    const prev = w[i - 1];
+    const next = w[i + 1];
+    const next2 = w[i + 2];
+
+    // Skip doubled letters except C
+    if (c === prev && c !== "C") continue;
+
+    switch (c) {
+      case "A":
+      case "E":
+      case "I":
+      case "O":
+      case "U":
+        if (i === 0) emit(c);
+        break;
+      case "B":
+        // Silent in a trailing "MB" (dumb, lamb)
+        if (!(prev === "M" && i === w.length - 1)) emit("B");
+        break;
+      case "C":
+        if (next === "I" && next2 === "A") emit("X");
+        else if (next === "H") emit(prev === "S" ? "K" : "X");
+        else if (FRONT_VOWELS.includes(next ?? "")) {
+          if (prev !== "S") emit("S");
+        } else emit("K");
+        break;
+      case "D":
+        if (next === "G" && FRONT_VOWELS.includes(next2 ?? "")) emit("J");
+        else emit("T");
+        break;
+      case "G":
+        if (next === "H" && !(i + 2 >= w.length || isVowel(next2))) break;
+        if (next === "N" && (i + 2 === w.length || (next2 === "E" && w[i + 3] === "D" && i + 4 === w.length))) break;
+        if (prev === "D" && FRONT_VOWELS.includes(next ?? "")) break;
+        if (FRONT_VOWELS.includes(next ?? "") && prev !== "G") emit("J");
+        else emit("K");
+        break;
+      case "H":
+        if ("CSPTG".includes(prev ?? "")) break;
+        if (isVowel(prev) && !isVowel(next)) break;
+        emit("H");
+        break;
+      case "K":
+        if (prev !== "C") emit("K");
+        break;
+      case "P":
+        emit(next === "H" ? "F" : "P");
+        break;
+      case "Q":
+        emit("K");
+        break;
+      case "S":
+        if (next === "H") emit("X");
+        else if (next === "I" && (next2 === "O" || next2 === "A")) emit("X");
+        else emit("S");
+        break;
+      case "T":
+        if (next === "I" && (next2 === "O" || next2 === "A")) emit("X");
+        else if (next === "H") emit("0");
+        else if (!(next === "C" && next2 === "H")) emit("T");
+        break;
+      case "V":
+        emit("F");
+        break;
+      case "W":
+      case "Y":
+        if (isVowel(next)) emit(c);
+        break;
+      case "X":
+        emit("K");
+        emit("S");
+        break;
+      case "Z":
+        emit("S");
+        break;
+      default:
+        // F, J, L, M, N, R
+        emit(c);
+    }
+  }
+  return out;
+}
+
+/**
+ * Phonetic index tokens for name values (one per word, prefixed with PHONETIC_PREFIX).
+ * @param {...*} values - Name fields (first/last/display name).
+ * @returns {string[]}
+ */
+export function phoneticTokens(...values) {
+  const out = new Set();
+  for (const t of tokenize(...values)) {
+    const key = metaphone(t);
+    if (key.length >= 2) out.add(PHONETIC_PREFIX + key);
+  }
+  return [...out];
+}
+
+/**
+ * Whether a can be turned into b with at most one insertion, deletion, substitution or
+ * transposition of adjacent characters (optimal string alignment distance <= 1).
+ * @param {string} a
+ * @param {string} b
+ * @returns {boolean}
+ */
+export function withinEditDistanceOne(a, b) {
+  if (a === b) return true;
+  const la = a.length;
+  const lb = b.length;
+  if (Math.abs(la - lb) > 1) return false;
+  let i = 0;
+  while (i < la && i < lb && a[i] === b[i]) i++;
+  if (la === lb) {
+    // Substitution, or transposition of i and i+1
+    if (a.slice(i + 1) === b.slice(i + 1)) return true;
+    return a[i] === b[i + 1] && a[i + 1] === b[i] && a.slice(i + 2) === b.slice(i + 2);
+  }
+  // Insertion/deletion: skip one char in the longer string
+  return la > lb ? a.slice(i + 1) === b.slice(i) : a.slice(i) === b.slice(i + 1);
+}
@@ -0,0 +1,108 @@
+/**
+ * @fileoverview Contact photos synced from LDAP (thumbnailPhoto / jpegPhoto, see mapping.photo in ldapMapping.js).
+ * The image bytes live in the photos store, keyed by the contact id of API rows (doc.id), so list rows only
+ * carry doc.photoHash: a content hash that clients append to GET /api/photos/:id to cache images for good.
+ */
+import { createHash } from "crypto";
+import { db, photos } from "./db.js";
+import { contactId } from "./publicUserFilter.js";
+
+/** Larger images are not stored (AD limits thumbnailPhoto to 100 KB; jpegPhoto may hold full-size scans). */
+export const MAX_PHOTO_BYTES = 512 * 1024;
+
+/** Leading bytes of the image formats that are served; anything else is not stored. */
+const SIGNATURES = [
+  { type: "image/jpeg", bytes: [0xff, 0xd8, 0xff] },
+  { type: "image/png", bytes: [0x89, 0x50, 0x4e, 0x47] },
+  { type: "image/gif", bytes: [0x47, 0x49, 0x46, 0x38] },
+];
+
+/**
+ * Image type of a photo, from its first bytes.
+ * @param {Buffer} data
+ * @returns {string|null} MIME type, or null when it is not a JPEG, PNG or GIF.
+ */
+export function photoType(data) {
+  const match = SIGNATURES.find((s) => s.bytes.every((b, i) => data[i] === b));
+  return match ? match.type : null;
+}
+
+/**
+ * Content hash stored on the user document (doc.photoHash) and used as the photo's ETag.
+ * @param {Buffer} data
+ * @returns {string} 32 hex characters.
+ */
+export function photoHash(data) {
+  return createHash("sha256").update(data).digest("hex").slice(0, 32);
+}
+
+/**
+ * Photo of a directory entry that can be stored and served.
+ * @param {Buffer|null} data - Raw attribute value.
+ * @returns {{ data: Buffer, hash: string, type: string }|null} null when missing, too large or not an image.
+ */
+export function toPhoto(data) {
+  if (!Buffer.isBuffer(data) || data.length === 0 || data.length > MAX_PHOTO_BYTES) return null;
+  const type = photoType(data);
+  return type ? { data, hash: photoHash(data), type } : null;
+}
+
+/**
+ * Stores (or, with null, removes) a contact's photo. Unchanged photos are not rewritten.
+ * @param {Object} doc - Stored user document (its id keys the photo).
+ * @param {{ data: Buffer, hash: string, type: string }|null} photo - Output of toPhoto.
+ * @returns {boolean} Whether the stored photo changed.
+ */
+export function savePhoto(doc, photo) {
+  const id = contactId(doc);
+  const { dn } = doc;
+  return db.transactionSync(() => {
+    const stored = photos.get(id);
+    if (!photo) {
+      if (!stored) return false;
+      photos.removeSync(id);
+      return true;
+    }
+    if (stored?.hash === photo.hash) return false;
+    photos.putSync(id, { dn, hash: photo.hash, type: photo.type, data: photo.data, updatedAt: new Date().toISOString() });
+    return true;
+  });
+}
+
+/**
+ * Removes a contact's photo (the contact was deleted). Joins the caller's transaction.
+ * @param {string} id - Contact id.
+ */
+export function removePhoto(id) {
+  photos.removeSync(id);
+}
+
+/**
+ * Files a contact's photo under its new id (see lib/contactIds.js). Joins the caller's transaction.
+ * @param {string} oldId
+ * @param {string} newId
+ */
+export function movePhoto(oldId, newId) {
+  const stored = photos.get(oldId);
+  if (!stored) return;
+  if (!photos.get(newId)) photos.putSync(newId, stored);
+  photos.removeSync(oldId);
+}
+
+/**
+ * Points a contact's photo at its new DN (renameUser in lib/searchIndex.js). Joins the caller's transaction.
+ * @param {string} id - Contact id.
+ * @param {string} dn - New DN.
+ */
+export function renamePhoto(id, dn) {
+  const stored = photos.get(id);
+  if (stored && stored.dn !== dn) photos.putSync(id, { ...stored, dn });
+}
+
+/**
+ * @param {string} id - Contact id.
+ * @returns {{ dn: string, hash: string, type: string, data: Buffer, updatedAt: string }|null}
+ */
+export function getPhoto(id) {
+  return photos.get(id) ?? null;
+}
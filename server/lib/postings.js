@@ -0,0 +1,80 @@
+/**
+ * @fileoverview Batched updates of posting lists: stores whose value is the array of DNs filed under a key
+ * (indexDB tokens, phoneIndex keys, directReports managers). A batch collects the additions and removals of many
+ * documents in memory and writes each key once, instead of a read-modify-write per key and document. Sync saves
+ * each page of LDAP results this way (saveUsers() in lib/searchIndex.js).
+ */
+
+/**
+ * Creates an empty batch for one store.
+ * @param {Object} store - lmdb store with string keys and DN-array values.
+ * @returns {{ store: Object, changes: Map<string, { add: Set<string>, remove: Set<string> }> }}
+ */
+export function createPostingBatch(store) {
+  return { store, changes: new Map() };
+}
+
+/**
+ * @param {{ changes: Map }} batch
+ * @param {string} key
+ * @returns {{ add: Set<string>, remove: Set<string> }}
+ */
+function changesFor(batch, key) {
+  let change = batch.changes.get(key);
+  if (!change) {
+    change = { add: new Set(), remove: new Set() };
+    batch.changes.set(key, change);
+  }
+  return change;
+}
+
+/**
+ * Files a DN under a key (a later stageRemove of the same pair wins, and vice versa).
+ * @param {Object} batch - From createPostingBatch.
+ * @param {string} key
+ * @param {string} dn
+ */
+export function stageAdd(batch, key, dn) {
+  const change = changesFor(batch, key);
+  change.remove.delete(dn);
+  change.add.add(dn);
+}
+
+/**
+ * Removes a DN from a key's list.
+ * @param {Object} batch - From createPostingBatch.
+ * @param {string} key
+ * @param {string} dn
+ */
+export function stageRemove(batch, key, dn) {
+  const change = changesFor(batch, key);
+  change.add.delete(dn);
+  change.remove.add(dn);
+}
+
+/**
+ * Writes the staged changes and empties the batch. Keys whose list becomes empty are removed (keeps the
+ * store small). Writes synchronously so it can be part of a db.transactionSync().
+ * @param {Object} batch - From createPostingBatch.
+ * @returns {number} Keys written.
+ */
+export function applyPostingBatch(batch) {
+  let written = 0;
+  for (const [key, { add, remove }] of batch.changes) {
+    const current = batch.store.get(key) || [];
+    const next = remove.size > 0 ? current.filter((dn) => !remove.has(dn)) : [...current];
+    const present = new Set(next);
+    let added = 0;
+    for (const dn of add) {
+      if (present.has(dn)) continue;
+      next.push(dn);
+      added++;
+    }
+    if (added === 0 && next.length === current.length) continue;
+    if (next.length === 0) batch.store.removeSync(key);
+    else batch.store.putSync(key, next);
+    written++;
+  }
+  batch.changes.clear();
+  return written;
+}
@@ -3,15 +3,38 @@
  * - shouldIncludeInPublicList: which records are visible to normal users (extendable rules).
  * - toPublicUser: reduce full user object to table-only fields for non-admin responses.
  * - toMinimalPublicRow: non-admin list shape with opaque id only (no dn/upn/SENSITIVE_KEYS).
+ * - PUBLIC_FACET_FIELDS: which facet counts non-admins get (only fields present in the public row).
  */
 import { createHash } from "crypto";
+import { TOMBSTONES } from "./config.js";
 
-/** Stable opaque id for a user (non-reversible). Used for favorites and list row identity without exposing dn/OU path. */
+/** Opaque id of a DN (non-reversible): the contact id of documents without a GUID, and the id of groups. */
 export function hashDn(dn) {
   if (!dn || typeof dn !== "string") return "";
   return createHash("sha256").update(dn, "utf8").digest("hex");
 }
 
+/**
+ * Id that saveUser() assigns to a document (doc.id): derived from the directory GUID, so it stays the same when
+ * the user moves to another OU; from the DN for contacts without a GUID (manual contacts, mappings without guid).
+ * @param {Object} doc - User document.
+ * @returns {string} 64 hex characters.
+ */
+export function stableContactId(doc) {
+  if (!doc?.guid) return hashDn(doc?.dn);
+  return createHash("sha256").update(`guid:${doc.guid}`, "utf8").digest("hex");
+}
+
+/**
+ * Opaque id of a contact in list rows, favorites, history and photos, without exposing dn/OU path.
+ * Documents stored before they carried doc.id keep the id of their DN until sync stores them again.
+ * @param {Object} doc - User document (or a row that kept its id and dn).
+ * @returns {string}
+ */
+export function contactId(doc) {
+  return doc?.id || hashDn(doc?.dn);
+}
+
 /** Minimal fields for non-admin list + favorites: no dn, upn, userPrincipalName, firstName, lastName, displayName. */
 const MINIMAL_PUBLIC_KEYS = [
   "fullName",
@@ -22,16 +45,17 @@ const MINIMAL_PUBLIC_KEYS = [
   "title",
   "department",
   "office",
+  "photoHash",
 ];
 
 /**
  * Reduces a list row (with display fields) to minimal public shape: opaque id + display only. No dn/upn/OU path.
- * @param {Object} row - Object with dn and addListRowDisplayFields output (fullName, location, phone, mobile, email, title, department, office).
- * @returns {Object} { id, fullName, location, phone, mobile, email, title, department, office }.
+ * @param {Object} row - Object with id, dn and addListRowDisplayFields output (fullName, location, phone, mobile, email, title, department, office).
+ * @returns {Object} { id, fullName, location, phone, mobile, email, title, department, office, photoHash }.
  */
 export function toMinimalPublicRow(row) {
   if (!row || typeof row !== "object") return null;
-  const id = hashDn(row.dn);
+  const id = contactId(row);
   const out = { id };
   for (const key of MINIMAL_PUBLIC_KEYS) {
     if (key in row) out[key] = row[key];
@@ -39,6 +63,9 @@ export function toMinimalPublicRow(row) {
   return out;
 }
 
+/** Facets (GET /facets) for non-admins: only fields the minimal public row carries, so chips can filter the list. */
+export const PUBLIC_FACET_FIELDS = ["department", "office", "location"];
+
 /**
  * Whether a user record should be included in the public (non-admin) list.
  * Add more conditions here to exclude records (e.g. no department, no email).
@@ -53,6 +80,9 @@ export function shouldIncludeInPublicList(user) {
   const hasFirst = first != null && String(first).trim() !== "";
   if (!hasFirst) return false;
 
+  // Departed users (tombstones, see lib/tombstones.js) only with TOMBSTONE_PUBLIC=1
+  if (user.departedAt && !TOMBSTONES.public) return false;
+
   // Add more exclusion rules as needed, e.g.:
   // if (!user.department) return false;
   // if (!user.email && !user.upn && !user.userPrincipalName) return false;
@@ -62,6 +92,7 @@ export function shouldIncludeInPublicList(user) {
 
 /** Table-only fields for addListRowDisplayFields input; dn is used server-side only and stripped in toMinimalPublicRow. */
 const PUBLIC_FIELDS = [
+  "id",
   "dn",
   "firstName",
   "lastName",
@@ -73,13 +104,14 @@ const PUBLIC_FIELDS = [
   "email",
   "upn",
   "userPrincipalName",
+  "photoHash",
 ];
 
 /**
  * Reduces a full user document to the minimal shape needed for the table (non-admin).
  * @param {Object} user - Full user document.
  * @param {string} [id] - Optional id (e.g. manual id) to include.
- * @returns {Object} Public user object (dn, id?, firstName, lastName, displayName, title, department, office, phones: { business, mobile }, email/upn/userPrincipalName).
+ * @returns {Object} Public user object (dn, id?, firstName, lastName, displayName, title, department, office, phones: { business, mobile }, email/upn/userPrincipalName, photoHash).
  */
 export function toPublicUser(user, id) {
   if (!user || typeof user !== "object") return null;
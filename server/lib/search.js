@@ -0,0 +1,352 @@
+/**
+ * @fileoverview Ranked search and typeahead suggestions over the inverted index (indexDB) written by sync.
+ * Query terms are tokenized like the index; each term matches index tokens exactly or by prefix,
+ * postings are intersected across terms, and candidates are ranked by which fields matched.
+ * When a query has no hits, "did you mean" alternatives are built from edit-distance-1 and
+ * phonetic (Metaphone) matches against the index.
+ */
+import { indexDB, usersByDN } from "./db.js";
+import { tokenize } from "./tokenize.js";
+import { toListRow } from "./userRows.js";
+import { shouldIncludeInPublicList } from "./publicUserFilter.js";
+import { metaphone, withinEditDistanceOne, PHONETIC_PREFIX } from "./phonetic.js";
+
+export const DEFAULT_SEARCH_LIMIT = 25;
+export const MAX_SEARCH_LIMIT = 100;
+export const DEFAULT_SUGGEST_LIMIT = 5;
+export const MAX_SUGGEST_LIMIT = 20;
+
+/** Upper bound on index keys a single prefix term may expand to (keeps short prefixes cheap). */
+const MAX_PREFIX_TOKENS = 500;
+/** Upper bound on index keys scanned per term when looking for edit-distance-1 corrections. */
+const MAX_FUZZY_SCAN = 20000;
+/** Upper bound on documents inspected per term for phonetic corrections. */
+const MAX_PHONETIC_DOCS = 200;
+/** Upper bound on documents inspected per correction token to check that a non-admin can search on it. */
+const MAX_SEARCHABLE_CHECK_DOCS = 200;
+/** Corrections considered per misspelled term, and alternatives returned per query. */
+const MAX_CORRECTIONS = 3;
+
+/**
+ * Field groups used for ranking admin searches, highest weight first. A term scores the weight of the
+ * best field it matches; a prefix match scores half of an exact token match.
+ */
+const FIELD_WEIGHTS = [
+  { weight: 100, values: (d) => [d.firstName, d.lastName, d.displayName] },
+  { weight: 60, values: (d) => [d.accountName, d.upn, d.email] },
+  { weight: 40, values: (d) => [d.phones?.business, d.phones?.mobile, d.phones?.ipPhone] },
+  { weight: 30, values: (d) => [d.title] },
+  { weight: 20, values: (d) => [d.department, d.office, d.company] },
+  { weight: 10, values: (d) => [d.location?.city, d.location?.country] },
+  { weight: 5, values: (d) => d.groups?.names || [] },
+];
+
+/**
+ * Field groups for non-admin searches: only values the minimal public row shows. The index also holds
+ * account names, UPNs, IP phones and group names, so a candidate that matches a term only there scores 0.
+ */
+const PUBLIC_FIELD_WEIGHTS = [
+  { weight: 100, values: (d) => [d.firstName, d.lastName, d.displayName] },
+  { weight: 60, values: (d) => [d.email] },
+  { weight: 40, values: (d) => [d.phones?.business, d.phones?.mobile] },
+  { weight: 30, values: (d) => [d.title] },
+  { weight: 20, values: (d) => [d.department, d.office] },
+];
+
+/**
+ * @param {boolean} isAdmin
+ * @returns {{ weight: number, values: (doc: Object) => *[] }[]} Fields a caller may match on.
+ */
+function searchFields(isAdmin) {
+  return isAdmin ? FIELD_WEIGHTS : PUBLIC_FIELD_WEIGHTS;
+}
+
+/**
+ * Iterates index keys starting at term and stops at the first key outside the prefix.
+ * @param {string} term
+ * @returns {Set<string>}
+ */
+function prefixPostings(term) {
+  const dns = new Set();
+  let scanned = 0;
+  for (const { key, value } of indexDB.getRange({ start: term })) {
+    if (typeof key !== "string" || !key.startsWith(term)) break;
+    if (++scanned > MAX_PREFIX_TOKENS) break;
+    if (Array.isArray(value)) for (const dn of value) dns.add(dn);
+  }
+  return dns;
+}
+
+/**
+ * Scores a document against the query terms.
+ * @param {Object} doc - Full user document.
+ * @param {string[]} terms - Tokenized query.
+ * @param {{ weight: number, values: (doc: Object) => *[] }[]} fields - Field groups to match (see searchFields).
+ * @returns {number} 0 when some term does not match any field.
+ */
+export function scoreDocument(doc, terms, fields) {
+  const fieldTokens = fields.map((f) => ({
+    weight: f.weight,
+    tokens: tokenize(...f.values(doc)),
+  }));
+  let total = 0;
+  for (const term of terms) {
+    let best = 0;
+    for (const { weight, tokens } of fieldTokens) {
+      if (weight <= best) break;
+      for (const t of tokens) {
+        if (t === term) {
+          best = weight;
+          break;
+        }
+        if (t.startsWith(term)) best = Math.max(best, weight / 2);
+      }
+    }
+    if (best === 0) return 0;
+    total += best;
+  }
+  return total;
+}
+
+function sortName(doc) {
+  const first = doc.firstName || "";
+  const last = doc.lastName || "";
+  return String(`${first} ${last}`.trim() || doc.displayName || "").toLowerCase();
+}
+
+/**
+ * Clamps offset/limit query parameters to sane integers.
+ * @param {*} offset
+ * @param {*} limit
+ * @returns {{ offset: number, limit: number }}
+ */
+export function parsePaging(offset, limit) {
+  const o = Number.parseInt(offset, 10);
+  const l = Number.parseInt(limit, 10);
+  return {
+    offset: Number.isFinite(o) && o > 0 ? o : 0,
+    limit: Number.isFinite(l) && l > 0 ? Math.min(l, MAX_SEARCH_LIMIT) : DEFAULT_SEARCH_LIMIT,
+  };
+}
+
+/**
+ * Finds the DNs matching every query term (exact or prefix token match).
+ * @param {string[]} terms - Tokenized query.
+ * @returns {string[]}
+ */
+export function findCandidateDNs(terms) {
+  if (terms.length === 0) return [];
+  const sets = terms.map(prefixPostings).sort((a, b) => a.size - b.size);
+  const [smallest, ...rest] = sets;
+  const out = [];
+  for (const dn of smallest) {
+    if (rest.every((s) => s.has(dn))) out.push(dn);
+  }
+  return out;
+}
+
+/**
+ * Ranks all documents matching every term, filtered by the caller's visibility.
+ * @param {string[]} terms - Tokenized query.
+ * @param {boolean} isAdmin
+ * @param {{ weight: number, values: (doc: Object) => *[] }[]} fields - Field groups to match (see searchFields).
+ * @returns {{ score: number, name: string, doc: Object }[]} Best match first.
+ */
+function rankMatches(terms, isAdmin, fields) {
+  const ranked = [];
+  for (const dn of findCandidateDNs(terms)) {
+    const doc = usersByDN.get(dn);
+    if (!doc) continue;
+    if (!isAdmin && !shouldIncludeInPublicList(doc)) continue;
+    const score = scoreDocument(doc, terms, fields);
+    if (score === 0) continue;
+    ranked.push({ score, name: sortName(doc), doc });
+  }
+  return ranked.sort((a, b) => b.score - a.score || a.name.localeCompare(b.name));
+}
+
+/**
+ * All documents matching a query for this caller, best match first (unpaged). Non-admins match on the
+ * public fields only, as in searchUsers().
+ * @param {string} q - Raw query.
+ * @param {boolean} isAdmin
+ * @returns {Object[]} User documents.
+ */
+export function matchingDocuments(q, isAdmin) {
+  return rankMatches(tokenize(q), isAdmin, searchFields(isAdmin)).map((r) => r.doc);
+}
+
+/**
+ * Whether a visible document posted under an index token matches it on a field the caller can search
+ * (for non-admins the token may come from a group or account name only).
+ * @param {string} token
+ * @param {string[]} dns - Postings of the token.
+ * @param {boolean} isAdmin
+ * @returns {boolean}
+ */
+function tokenIsSearchable(token, dns, isAdmin) {
+  if (isAdmin) return true;
+  for (const dn of dns.slice(0, MAX_SEARCHABLE_CHECK_DOCS)) {
+    const doc = usersByDN.get(dn);
+    if (doc && shouldIncludeInPublicList(doc) && scoreDocument(doc, [token], PUBLIC_FIELD_WEIGHTS) > 0) return true;
+  }
+  return false;
+}
+
+/**
+ * Index tokens within edit distance 1 of term that the caller can search on, most frequent first. Only
+ * tokens sharing the first letter are scanned; typos in the first letter are left to the phonetic match.
+ * @param {string} term
+ * @param {boolean} isAdmin
+ * @returns {string[]}
+ */
+function editDistanceCorrections(term, isAdmin) {
+  const found = [];
+  let scanned = 0;
+  for (const { key, value } of indexDB.getRange({ start: term[0] })) {
+    if (typeof key !== "string" || key[0] !== term[0]) break;
+    if (++scanned > MAX_FUZZY_SCAN) break;
+    if (key !== term && withinEditDistanceOne(term, key)) {
+      const dns = Array.isArray(value) ? value : [];
+      if (tokenIsSearchable(key, dns, isAdmin)) found.push({ token: key, count: dns.length });
+    }
+  }
+  return found.sort((a, b) => b.count - a.count).map((f) => f.token);
+}
+
+/**
+ * Name tokens that sound like term (same Metaphone key), most frequent first.
+ * @param {string} term
+ * @returns {string[]}
+ */
+function phoneticCorrections(term) {
+  const key = metaphone(term);
+  if (key.length < 2) return [];
+  const dns = indexDB.get(PHONETIC_PREFIX + key) || [];
+  const counts = new Map();
+  for (const dn of dns.slice(0, MAX_PHONETIC_DOCS)) {
+    const doc = usersByDN.get(dn);
+    if (!doc) continue;
+    for (const t of tokenize(doc.firstName, doc.lastName, doc.displayName)) {
+      if (t !== term && metaphone(t) === key) counts.set(t, (counts.get(t) || 0) + 1);
+    }
+  }
+  return [...counts.entries()].sort((a, b) => b[1] - a[1]).map(([t]) => t);
+}
+
+/**
+ * Up to MAX_CORRECTIONS replacement tokens for a term that has no postings.
+ * @param {string} term
+ * @param {boolean} isAdmin
+ * @returns {string[]}
+ */
+function correctionsForTerm(term, isAdmin) {
+  const out = [];
+  for (const t of [...editDistanceCorrections(term, isAdmin), ...phoneticCorrections(term)]) {
+    if (!out.includes(t)) out.push(t);
+    if (out.length >= MAX_CORRECTIONS) break;
+  }
+  return out;
+}
+
+/**
+ * Builds "did you mean" alternatives for a query without hits: every term that matches nothing is
+ * replaced by its best correction (plus variants using the runner-up corrections). Corrections and
+ * results are limited to the fields this caller can search, so only alternatives that actually return
+ * results for this caller are kept.
+ * @param {string[]} terms - Tokenized query.
+ * @param {boolean} isAdmin
+ * @returns {{ query: string, total: number }[]} Most hits first.
+ */
+export function didYouMean(terms, isAdmin) {
+  const options = terms.map((t) => (prefixPostings(t).size > 0 ? [t] : correctionsForTerm(t, isAdmin)));
+  if (options.some((o) => o.length === 0)) return [];
+  if (options.every((o, i) => o[0] === terms[i])) return [];
+  const best = options.map((o) => o[0]);
+  const alternatives = new Set([best.join(" ")]);
+  options.forEach((o, i) => {
+    for (const alt of o.slice(1)) {
+      const variant = [...best];
+      variant[i] = alt;
+      alternatives.add(variant.join(" "));
+    }
+  });
+  return [...alternatives]
+    .map((query) => ({ query, total: rankMatches(tokenize(query), isAdmin, searchFields(isAdmin)).length }))
+    .filter((a) => a.total > 0)
+    .sort((a, b) => b.total - a.total)
+    .slice(0, MAX_CORRECTIONS);
+}
+
+/**
+ * Runs a ranked search and returns one page of list rows, shaped for the caller (admin vs public).
+ * didYouMean is only filled when the query itself has no hits.
+ * @param {{ q: string, isAdmin: boolean, offset?: number, limit?: number }} params
+ * @returns {{ query: string, total: number, offset: number, limit: number, results: Object[], didYouMean: { query: string, total: number }[] }}
+ */
+export function searchUsers({ q, isAdmin, offset = 0, limit = DEFAULT_SEARCH_LIMIT }) {
+  const terms = tokenize(q);
+  const ranked = rankMatches(terms, isAdmin, searchFields(isAdmin));
+  return {
+    query: q,
+    total: ranked.length,
+    offset,
+    limit,
+    results: ranked.slice(offset, offset + limit).map((r) => toListRow(r.doc, isAdmin)),
+    didYouMean: ranked.length === 0 ? didYouMean(terms, isAdmin) : [],
+  };
+}
+
+/**
+ * Whether every term is a prefix of some token of value (e.g. "fin" matches "Finance & Control").
+ * @param {*} value
+ * @param {string[]} terms
+ * @returns {boolean}
+ */
+function valueMatchesTerms(value, terms) {
+  if (!value) return false;
+  const tokens = tokenize(value);
+  return terms.every((term) => tokens.some((t) => t.startsWith(term)));
+}
+
+/**
+ * Counts values of one field across docs, keeping only values that match the prefix terms.
+ * @param {Object[]} docs
+ * @param {(doc: Object) => *} pick
+ * @param {string[]} terms
+ * @param {number} limit
+ * @returns {{ value: string, count: number }[]} Most frequent first.
+ */
+function topMatchingValues(docs, pick, terms, limit) {
+  const counts = new Map();
+  for (const doc of docs) {
+    const value = pick(doc);
+    if (!valueMatchesTerms(value, terms)) continue;
+    const key = String(value).trim();
+    counts.set(key, (counts.get(key) || 0) + 1);
+  }
+  return [...counts.entries()]
+    .sort((a, b) => b[1] - a[1] || a[0].localeCompare(b[0]))
+    .slice(0, limit)
+    .map(([value, count]) => ({ value, count }));
+}
+
+/**
+ * Typeahead suggestions for a (partial) query: top people, departments and offices.
+ * Every term is matched as a token prefix via an LMDB range scan over the sorted index keys; people only
+ * on the fields the caller can see, like searchUsers().
+ * @param {{ prefix: string, isAdmin: boolean, limit?: number }} params
+ * @returns {{ prefix: string, people: Object[], departments: Object[], offices: Object[] }}
+ */
+export function suggest({ prefix, isAdmin, limit = DEFAULT_SUGGEST_LIMIT }) {
+  const terms = tokenize(prefix);
+  const ranked = rankMatches(terms, isAdmin, searchFields(isAdmin));
+  const docs = ranked.map((r) => r.doc);
+  const people = ranked.slice(0, limit).map((r) => toListRow(r.doc, isAdmin));
+  return {
+    prefix,
+    people,
+    departments: topMatchingValues(docs, (d) => d.department, terms, limit),
+    offices: topMatchingValues(docs, (d) => d.office, terms, limit),
+  };
+}
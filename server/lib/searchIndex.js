@@ -0,0 +1,360 @@
+/**
+ * @fileoverview Keeps a user document and its derived index entries consistent: usersByDN (and usersByGUID,
+ * usersById), the inverted search index (indexDB + userTokensByDN), phoneIndex, directReports, allDNs and
+ * tombstones (departed users leave allDNs, see lib/tombstones.js). Used by sync for LDAP users
+ * and by the manual-contact routes, so both kinds of contact are searchable the same way.
+ *
+ * saveUser(), saveUsers() and removeUser() run in one db.transactionSync(): readers never see a document without
+ * its tokens (or stale tokens for a removed document). Nested calls join the caller's transaction. Posting lists
+ * are updated through batches (lib/postings.js), one write per key and transaction. saveUser() also
+ * records changed fields in the contact's history (lib/history.js); removeUser() also drops the contact's photo.
+ * saveUser() assigns doc.id (stableContactId) and moves id-keyed data when it changes (lib/contactIds.js);
+ * renameUser() moves a document whose DN changed, keeping its id.
+ */
+import {
+  db,
+  usersByDN,
+  usersByGUID,
+  usersById,
+  indexDB,
+  userTokensByDN,
+  allDNs,
+  phoneIndex,
+  directReports,
+  tombstones,
+} from "./db.js";
+import { tokenize, TOKENIZER_VERSION } from "./tokenize.js";
+import { phoneticTokens } from "./phonetic.js";
+import { withPhoneKeys, updatePhoneIndex, phoneIndexFingerprint } from "./phone.js";
+import { recordChange } from "./history.js";
+import { removePhoto, renamePhoto } from "./photos.js";
+import { updateReportsIndex } from "./orgChart.js";
+import { contactId, stableContactId } from "./publicUserFilter.js";
+import { createPostingBatch, stageAdd, stageRemove, applyPostingBatch } from "./postings.js";
+import { migrateContactIds } from "./contactIds.js";
+import { moveFavoritesOwner } from "./favorites.js";
+
+/**
+ * Bump when what gets indexed changes without a tokenizer change (e.g. which documents are included).
+ * Together with TOKENIZER_VERSION it forms the fingerprint stored in meta:searchIndex.
+ * 3: reindexAll() also builds usersById and directReports.
+ * 4: reindexAll() also builds tombstones; departed users are not in allDNs.
+ */
+export const SEARCH_INDEX_VERSION = 4;
+
+/** Root-store key of the fingerprint the search index was built with. */
+const SEARCH_INDEX_KEY = "meta:searchIndex";
+
+/** Root-store key of the phone index fingerprint (see phoneIndexFingerprint). */
+const PHONE_INDEX_KEY = "meta:phoneIndex";
+
+/**
+ * Fingerprint of the settings that determine search tokens; sync rebuilds the index when it differs.
+ * @returns {string}
+ */
+export function searchIndexFingerprint() {
+  return JSON.stringify({ version: SEARCH_INDEX_VERSION, tokenizer: TOKENIZER_VERSION });
+}
+
+/**
+ * Whether the stored search index was built with a different fingerprint.
+ * @returns {boolean}
+ */
+export function searchIndexOutdated() {
+  return db.get(SEARCH_INDEX_KEY) !== searchIndexFingerprint();
+}
+
+/**
+ * Whether the stored phone index was built with a different key format or PHONE_* config.
+ * @returns {boolean}
+ */
+export function phoneIndexOutdated() {
+  return db.get(PHONE_INDEX_KEY) !== phoneIndexFingerprint();
+}
+
+/**
+ * All index tokens for a user document: words from the searchable fields plus phonetic name keys.
+ * @param {Object} doc - User document.
+ * @returns {string[]}
+ */
+export function searchTokensForUser(doc) {
+  return [
+    ...tokenize(
+      doc.accountName,
+      doc.upn,
+      doc.email,
+      doc.displayName,
+      doc.firstName,
+      doc.lastName,
+      doc.title,
+      doc.department,
+      doc.company,
+      doc.office,
+      doc.location?.city,
+      doc.location?.country,
+      doc.phones?.business,
+      doc.phones?.mobile,
+      doc.phones?.ipPhone,
+      ...(doc.groups?.names || [])
+    ),
+    // Phonetic keys for typo-tolerant name matching ("did you mean")
+    ...phoneticTokens(doc.firstName, doc.lastName, doc.displayName),
+  ];
+}
+
+/**
+ * Posting-list batches of the stores a document write updates; see lib/postings.js.
+ * @returns {{ tokens: Object, phones: Object, reports: Object }}
+ */
+function createIndexBatches() {
+  return {
+    tokens: createPostingBatch(indexDB),
+    phones: createPostingBatch(phoneIndex),
+    reports: createPostingBatch(directReports),
+  };
+}
+
+/**
+ * Writes the staged posting changes. Joins the caller's transaction.
+ * @param {{ tokens: Object, phones: Object, reports: Object }} batches
+ * @returns {number} Posting keys written.
+ */
+function applyIndexBatches(batches) {
+  return applyPostingBatch(batches.tokens) + applyPostingBatch(batches.phones) + applyPostingBatch(batches.reports);
+}
+
+/**
+ * Replaces the indexed tokens of a DN with newTokens: userTokensByDN is written, the difference in
+ * indexDB is staged in the batch.
+ * @param {Object} batch - createPostingBatch(indexDB).
+ * @param {string} dn
+ * @param {string[]} newTokens
+ * @returns {{ tokensAdded: number, tokensRemoved: number }}
+ */
+function updateIndexForUser(batch, dn, newTokens) {
+  const prevSet = new Set(userTokensByDN.get(dn) || []);
+  const newSet = new Set(newTokens);
+
+  let tokensAdded = 0;
+  for (const t of newSet) {
+    if (!prevSet.has(t)) {
+      stageAdd(batch, t, dn);
+      tokensAdded++;
+    }
+  }
+
+  let tokensRemoved = 0;
+  for (const t of prevSet) {
+    if (!newSet.has(t)) {
+      stageRemove(batch, t, dn);
+      tokensRemoved++;
+    }
+  }
+
+  if (newSet.size > 0) userTokensByDN.putSync(dn, [...newSet]);
+  else userTokensByDN.removeSync(dn);
+  return { tokensAdded, tokensRemoved };
+}
+
+/**
+ * Puts a DN in allDNs, or in the tombstones store when the document is a tombstone. Joins the caller's transaction.
+ * @param {string} dn
+ * @param {Object} doc
+ */
+function trackDeparture(dn, doc) {
+  if (doc.departedAt) {
+    allDNs.removeSync(dn);
+    tombstones.putSync(dn, doc.departedAt);
+  } else {
+    allDNs.putSync(dn, doc.source ?? 1);
+    tombstones.removeSync(dn);
+  }
+}
+
+/**
+ * Stores a user document (LDAP or manual) and updates its search tokens, phone keys and allDNs entry
+ * (value: doc.source, the directory source id or "manual"; 1 for documents stored before sources existed).
+ * A tombstone (doc.departedAt) goes to the tombstones store instead of allDNs.
+ * Sets doc.id (see stableContactId) and doc.phonesE164 / doc.phoneKeys (see withPhoneKeys).
+ * @param {string} dn - Store key.
+ * @param {Object} doc - Full user document.
+ * @param {{ source: "sync"|"manual", actor?: string|null }} [change] - Recorded in the contact's history.
+ * @returns {{ tokens: number, tokensAdded: number, tokensRemoved: number, fieldsChanged: number }}
+ */
+export function saveUser(dn, doc, change = { source: "sync" }) {
+  return saveUsers([{ dn, doc }], change).results[0];
+}
+
+/**
+ * Stores several user documents in one transaction, as saveUser() does for one. The posting-list changes of
+ * all of them (search tokens, phone keys, direct reports) are collected in memory and written once per key,
+ * so sync saves a page of LDAP results with one write per token instead of one per token and user.
+ * @param {{ dn: string, doc: Object }[]} items
+ * @param {{ source: "sync"|"manual", actor?: string|null }} [change] - Recorded in the contacts' history.
+ * @returns {{ results: { tokens: number, tokensAdded: number, tokensRemoved: number, fieldsChanged: number }[],
+ *   postingKeysWritten: number, idsMoved: number }} results in the order of items; idsMoved counts documents
+ *   whose contact id changed.
+ */
+export function saveUsers(items, change = { source: "sync" }) {
+  const prepared = items.map(({ dn, doc }) => {
+    withPhoneKeys(doc);
+    doc.id = stableContactId({ ...doc, dn });
+    return { dn, doc, tokens: searchTokensForUser(doc) };
+  });
+  return db.transactionSync(() => {
+    const batches = createIndexBatches();
+    const moves = new Map();
+    const results = prepared.map(({ dn, doc, tokens }) => {
+      const prev = usersByDN.get(dn);
+      if (prev && contactId(prev) !== doc.id) moves.set(contactId(prev), doc.id);
+      const fieldsChanged = recordChange(doc.id, prev, doc, change);
+      usersByDN.putSync(dn, doc);
+      if (prev?.guid && prev.guid !== doc.guid) usersByGUID.removeSync(prev.guid);
+      if (doc.guid) usersByGUID.putSync(doc.guid, doc);
+      usersById.putSync(doc.id, dn);
+      trackDeparture(dn, doc);
+      updatePhoneIndex(batches.phones, dn, prev?.phoneKeys, doc.phoneKeys);
+      updateReportsIndex(batches.reports, dn, prev?.managerDN, doc.managerDN);
+      return { tokens: tokens.length, fieldsChanged, ...updateIndexForUser(batches.tokens, dn, tokens) };
+    });
+    if (moves.size > 0) migrateContactIds(moves);
+    return { results, postingKeysWritten: applyIndexBatches(batches), idsMoved: moves.size };
+  });
+}
+
+/**
+ * Moves a document to its new DN (the user moved to another OU or was renamed), keeping its contact id and so
+ * its favorites, history and photo. Search tokens, phone keys and allDNs follow; direct reports get the new
+ * manager DN, and the user's own favorites list moves with them. The DN change is recorded in the history.
+ * Does nothing when no document is stored under oldDn or one is already stored under newDn.
+ * @param {string} oldDn
+ * @param {string} newDn
+ * @returns {boolean} Whether the document was moved.
+ */
+export function renameUser(oldDn, newDn) {
+  return db.transactionSync(() => {
+    const doc = usersByDN.get(oldDn);
+    if (!doc || oldDn === newDn || usersByDN.get(newDn)) return false;
+    const moved = { ...doc, dn: newDn, id: contactId(doc) };
+    recordChange(moved.id, doc, moved, { source: "sync" });
+    const batches = createIndexBatches();
+    const tokens = userTokensByDN.get(oldDn) || [];
+    updateIndexForUser(batches.tokens, oldDn, []);
+    updateIndexForUser(batches.tokens, newDn, tokens);
+    updatePhoneIndex(batches.phones, oldDn, doc.phoneKeys, []);
+    updatePhoneIndex(batches.phones, newDn, [], doc.phoneKeys);
+    updateReportsIndex(batches.reports, oldDn, doc.managerDN, null);
+    updateReportsIndex(batches.reports, newDn, null, doc.managerDN);
+    usersByDN.removeSync(oldDn);
+    allDNs.removeSync(oldDn);
+    tombstones.removeSync(oldDn);
+    usersByDN.putSync(newDn, moved);
+    if (moved.guid) usersByGUID.putSync(moved.guid, moved);
+    usersById.putSync(moved.id, newDn);
+    renamePhoto(moved.id, newDn);
+    trackDeparture(newDn, moved);
+    moveFavoritesOwner(oldDn, newDn);
+    applyIndexBatches(batches);
+    // Reports point at their manager by DN
+    const reports = (directReports.get(oldDn) || [])
+      .map((dn) => usersByDN.get(dn))
+      .filter((report) => report && report.managerDN === oldDn)
+      .map((report) => ({ dn: report.dn, doc: { ...report, managerDN: newDn } }));
+    if (reports.length > 0) saveUsers(reports);
+    return true;
+  });
+}
+
+/**
+ * Removes a user document and everything derived from it. Also cleans up index entries left behind
+ * for a DN whose document is already gone.
+ * @param {string} dn
+ * @returns {boolean} Whether a document was removed.
+ */
+export function removeUser(dn) {
+  return db.transactionSync(() => {
+    const doc = usersByDN.get(dn);
+    const id = contactId(doc ?? { dn });
+    if (doc?.guid) usersByGUID.removeSync(doc.guid);
+    const batches = createIndexBatches();
+    updateIndexForUser(batches.tokens, dn, []);
+    updatePhoneIndex(batches.phones, dn, doc?.phoneKeys, []);
+    updateReportsIndex(batches.reports, dn, doc?.managerDN, null);
+    applyIndexBatches(batches);
+    usersById.removeSync(id);
+    usersByDN.removeSync(dn);
+    allDNs.removeSync(dn);
+    tombstones.removeSync(dn);
+    removePhoto(id);
+    return !!doc;
+  });
+}
+
+/**
+ * Rebuilds indexDB and userTokensByDN, as well as usersById, directReports and tombstones, from all stored documents
+ * (LDAP and manual). Postings are collected in memory and written in one transaction.
+ * @returns {{ users: number, tokens: number }}
+ */
+export function reindexAll() {
+  const postings = new Map();
+  const reports = new Map();
+  let users = 0;
+  db.transactionSync(() => {
+    indexDB.clearSync();
+    userTokensByDN.clearSync();
+    usersById.clearSync();
+    directReports.clearSync();
+    tombstones.clearSync();
+    for (const { key: dn, value: doc } of usersByDN.getRange({})) {
+      if (!dn || !doc) continue;
+      const tokens = [...new Set(searchTokensForUser(doc))];
+      for (const t of tokens) {
+        if (!postings.has(t)) postings.set(t, []);
+        postings.get(t).push(dn);
+      }
+      userTokensByDN.putSync(dn, tokens);
+      usersById.putSync(contactId(doc), dn);
+      trackDeparture(dn, doc);
+      if (doc.managerDN && doc.managerDN !== dn) {
+        if (!reports.has(doc.managerDN)) reports.set(doc.managerDN, []);
+        reports.get(doc.managerDN).push(dn);
+      }
+      users++;
+    }
+    for (const [token, dns] of postings) {
+      indexDB.putSync(token, dns);
+    }
+    for (const [managerDN, dns] of reports) {
+      directReports.putSync(managerDN, dns);
+    }
+    db.putSync(SEARCH_INDEX_KEY, searchIndexFingerprint());
+  });
+  return { users, tokens: postings.size };
+}
+
+/**
+ * Recomputes phone keys for every stored document (LDAP and manual) and rebuilds phoneIndex.
+ * @returns {{ users: number, keys: number }}
+ */
+export function rebuildPhoneIndex() {
+  const postings = new Map();
+  let users = 0;
+  db.transactionSync(() => {
+    phoneIndex.clearSync();
+    for (const { key: dn, value: doc } of usersByDN.getRange({})) {
+      if (!dn || !doc) continue;
+      withPhoneKeys(doc);
+      for (const k of doc.phoneKeys) {
+        if (!postings.has(k)) postings.set(k, []);
+        postings.get(k).push(dn);
+      }
+      usersByDN.putSync(dn, doc);
+      users++;
+    }
+    for (const [key, dns] of postings) {
+      phoneIndex.putSync(key, dns);
+    }
+    db.putSync(PHONE_INDEX_KEY, phoneIndexFingerprint());
+  });
+  return { users, keys: postings.size };
+}
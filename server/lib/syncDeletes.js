@@ -0,0 +1,144 @@
+/**
+ * @fileoverview Delta-delete rules shared by sync and the admin routes, including the mass-deletion guard.
+ * When a sync would delete more users of a source than SYNC_DELETE_THRESHOLD allows (a misconfigured base DN
+ * or a truncated search looks exactly like everyone leaving), it deletes none of them and stores them in
+ * meta:pendingDeletes instead; an admin then approves or rejects them (POST /api/admin/pending-deletes/…).
+ * A deleted user is kept as a tombstone until TOMBSTONE_RETENTION_DAYS have passed (lib/tombstones.js).
+ */
+import { db, usersByDN } from "./db.js";
+import { SYNC, TOMBSTONES } from "./config.js";
+import { saveUser, removeUser } from "./searchIndex.js";
+import { bumpManualChanges } from "./etag.js";
+import { isDeparted, expiredTombstones } from "./tombstones.js";
+
+/** Root-store key of the held-back deletes: { [sourceId]: { heldAt, knownCount, limit, threshold, users } }. */
+const PENDING_DELETES_KEY = "meta:pendingDeletes";
+
+/**
+ * Stored document that sync may remove for a source. Manually added contacts are never deleted by sync,
+ * and neither are users that another source stored under the same DN. Tombstones are already deleted.
+ * @param {string} dn
+ * @param {string} sourceId - Source that no longer lists the user.
+ * @returns {Object|null}
+ */
+export function deletableDoc(dn, sourceId) {
+  if (!dn) return null;
+  const doc = usersByDN.get(dn);
+  if (!doc || doc.isManual || isDeparted(doc)) return null;
+  if (doc.source && doc.source !== sourceId) return null;
+  return doc;
+}
+
+/**
+ * Deletes a user that left LDAP: keeps a tombstone with the departure date, or removes the document right away
+ * when TOMBSTONE_RETENTION_DAYS is 0.
+ * @param {string} dn
+ * @returns {boolean} Whether a user was deleted.
+ */
+export function retireUser(dn) {
+  const doc = usersByDN.get(dn);
+  if (!doc) return false;
+  if (TOMBSTONES.retentionDays === 0) return removeUser(dn);
+  saveUser(dn, { ...doc, departedAt: new Date().toISOString() });
+  return true;
+}
+
+/**
+ * Removes the tombstones whose retention has passed.
+ * @returns {number} Tombstones purged.
+ */
+export function purgeExpiredTombstones() {
+  let purged = 0;
+  for (const dn of expiredTombstones()) {
+    if (removeUser(dn)) purged++;
+  }
+  return purged;
+}
+
+/**
+ * Most delta deletes a sync may apply without approval for a source that stored knownCount users.
+ * @param {number} knownCount
+ * @returns {number|null} null when the guard is off.
+ */
+export function deleteLimit(knownCount) {
+  const t = SYNC.deleteThreshold;
+  if (!t) return null;
+  if (t.count != null) return t.count;
+  return Math.floor((knownCount * t.percent) / 100);
+}
+
+/**
+ * Held-back deletes per source.
+ * @returns {Object<string, { heldAt: string, knownCount: number, limit: number, threshold: string,
+ *   users: { dn: string, displayName: string|null }[] }>}
+ */
+export function getPendingDeletes() {
+  return db.get(PENDING_DELETES_KEY) || {};
+}
+
+/**
+ * Replaces the held-back deletes of a source (each run that trips the guard recomputes them).
+ * @param {string} sourceId
+ * @param {{ users: { dn: string, displayName: string|null }[], knownCount: number, limit: number }} held
+ * @returns {Promise<void>}
+ */
+export async function holdPendingDeletes(sourceId, { users, knownCount, limit }) {
+  await db.put(PENDING_DELETES_KEY, {
+    ...getPendingDeletes(),
+    [sourceId]: { heldAt: new Date().toISOString(), knownCount, limit, threshold: SYNC.deleteThreshold.raw, users },
+  });
+}
+
+/**
+ * Drops the held-back deletes of a source (rejected, approved, or no longer above the threshold).
+ * @param {string} sourceId
+ * @returns {Promise<boolean>} Whether the source had pending deletes.
+ */
+export async function clearPendingDeletes(sourceId) {
+  const pending = getPendingDeletes();
+  if (!pending[sourceId]) return false;
+  const { [sourceId]: _removed, ...rest } = pending;
+  await db.put(PENDING_DELETES_KEY, rest);
+  return true;
+}
+
+/**
+ * Takes users a sync listed again (re-enabled, moved back into scope) off the held-back deletes of a source.
+ * Incremental runs fetch only changed entries, so this is the one chance to notice they are back.
+ * @param {string} sourceId
+ * @param {Set<string>} listedDNs - DNs the run saw as current users.
+ * @returns {Promise<number>} Users released.
+ */
+export async function releasePendingDeletes(sourceId, listedDNs) {
+  const pending = getPendingDeletes();
+  const entry = pending[sourceId];
+  if (!entry) return 0;
+  const users = entry.users.filter((u) => !listedDNs.has(u.dn));
+  const released = entry.users.length - users.length;
+  if (released === 0) return 0;
+  if (users.length === 0) {
+    await clearPendingDeletes(sourceId);
+  } else {
+    await db.put(PENDING_DELETES_KEY, { ...pending, [sourceId]: { ...entry, users } });
+  }
+  return released;
+}
+
+/**
+ * Applies the held-back deletes of a source. Users that were re-added manually or taken over by another
+ * source since are skipped; users a later sync listed again were already taken off the list by that sync
+ * (releasePendingDeletes).
+ * @param {string} sourceId
+ * @returns {Promise<number|null>} Users deleted, or null when the source has no pending deletes.
+ */
+export async function approvePendingDeletes(sourceId) {
+  const entry = getPendingDeletes()[sourceId];
+  if (!entry) return null;
+  let deleted = 0;
+  for (const { dn } of entry.users) {
+    if (deletableDoc(dn, sourceId) && retireUser(dn)) deleted++;
+  }
+  await clearPendingDeletes(sourceId);
+  if (deleted > 0) await bumpManualChanges();
+  return deleted;
+}
@@ -0,0 +1,151 @@
+/**
+ * @fileoverview Exclusive sync lock and the state of the latest run, both in the LMDB root store, so syncs
+ * started by cron, `npm run deploy:sync`, `npm run sync` and the API server (lib/syncRunner.js) never write the
+ * same environment at the same time. The holder refreshes a heartbeat while it runs; a lock whose holder is gone
+ * (its process no longer exists on this host, or the heartbeat is older than SYNC_LOCK_STALE_MINUTES) is taken
+ * over. meta:syncRun records each run as running, then succeeded, failed or aborted: a run still marked running
+ * without a live lock crashed, and is reported as aborted by the next run and by GET /api/admin/sync.
+ */
+import { hostname } from "os";
+import { randomUUID } from "crypto";
+import { db } from "./db.js";
+import { SYNC } from "./config.js";
+
+/** Root-store key of the lock: { owner, pid, hostname, args, startedAt, heartbeatAt }. */
+const LOCK_KEY = "meta:syncLock";
+
+/** Root-store key of the latest run: { id, status, pid, hostname, args, startedAt, finishedAt, error }. */
+const RUN_KEY = "meta:syncRun";
+
+/** Root-store key of the last run that did not finish (crashed or stopped by a signal). */
+const ABORTED_KEY = "meta:syncAborted";
+
+/** How often the holder refreshes its heartbeat (milliseconds). */
+export const HEARTBEAT_MS = 15_000;
+
+/**
+ * @param {number} pid
+ * @returns {boolean} Whether a process with this id exists on this host.
+ */
+function processAlive(pid) {
+  try {
+    process.kill(pid, 0);
+    return true;
+  } catch (err) {
+    return err.code === "EPERM";
+  }
+}
+
+/**
+ * Whether a stored lock no longer protects a running sync.
+ * @param {Object|null|undefined} lock
+ * @param {number} [now] - Epoch milliseconds.
+ * @returns {boolean}
+ */
+export function isStaleLock(lock, now = Date.now()) {
+  if (!lock) return true;
+  if (lock.hostname === hostname() && !processAlive(lock.pid)) return true;
+  const heartbeat = Date.parse(lock.heartbeatAt);
+  return !Number.isFinite(heartbeat) || now - heartbeat > SYNC.lockStaleMinutes * 60_000;
+}
+
+/**
+ * @returns {Object|null} The lock of a running sync, or null when no sync runs.
+ */
+export function activeSyncLock() {
+  const lock = db.get(LOCK_KEY);
+  return lock && !isStaleLock(lock) ? lock : null;
+}
+
+/**
+ * Takes the lock and records a new running run, in one write transaction (LMDB serializes those across
+ * processes, so two runs cannot both get the lock). A run still marked running is stored as aborted.
+ * @param {{ args: string[] }} options - Command-line flags of this run.
+ * @returns {{ acquired: true, lock: Object, aborted: Object|null } | { acquired: false, holder: Object }}
+ *   aborted is the crashed run found, if any; holder is the lock of the run that is still going.
+ */
+export function acquireSyncLock({ args }) {
+  const now = new Date().toISOString();
+  return db.transactionSync(() => {
+    const held = db.get(LOCK_KEY);
+    if (held && !isStaleLock(held)) return { acquired: false, holder: held };
+    const lock = { owner: randomUUID(), pid: process.pid, hostname: hostname(), args, startedAt: now, heartbeatAt: now };
+    const previous = db.get(RUN_KEY);
+    let aborted = null;
+    if (previous?.status === "running") {
+      aborted = { ...previous, status: "aborted", lastHeartbeatAt: held?.heartbeatAt ?? null, detectedAt: now };
+      db.putSync(RUN_KEY, aborted);
+      db.putSync(ABORTED_KEY, aborted);
+    }
+    db.putSync(LOCK_KEY, lock);
+    db.putSync(RUN_KEY, {
+      id: lock.owner,
+      status: "running",
+      pid: lock.pid,
+      hostname: lock.hostname,
+      args,
+      startedAt: now,
+      finishedAt: null,
+      error: null,
+    });
+    return { acquired: true, lock, aborted };
+  });
+}
+
+/**
+ * Refreshes the heartbeat of a held lock every HEARTBEAT_MS.
+ * @param {Object} lock - From acquireSyncLock().
+ * @param {() => void} onLost - Called (once) when another run took the lock over.
+ * @returns {() => void} Stops the heartbeat.
+ */
+export function startHeartbeat(lock, onLost) {
+  const timer = setInterval(() => {
+    const held = db.transactionSync(() => {
+      const current = db.get(LOCK_KEY);
+      if (current?.owner !== lock.owner) return false;
+      db.putSync(LOCK_KEY, { ...current, heartbeatAt: new Date().toISOString() });
+      return true;
+    });
+    if (!held) {
+      clearInterval(timer);
+      onLost();
+    }
+  }, HEARTBEAT_MS);
+  timer.unref();
+  return () => clearInterval(timer);
+}
+
+/**
+ * Records how the run ended and releases the lock, unless another run has taken it over meanwhile.
+ * @param {Object} lock - From acquireSyncLock().
+ * @param {"succeeded"|"failed"|"aborted"} status
+ * @param {string|null} [error]
+ */
+export function releaseSyncLock(lock, status, error = null) {
+  const finishedAt = new Date().toISOString();
+  db.transactionSync(() => {
+    const run = db.get(RUN_KEY);
+    if (run?.id === lock.owner) {
+      const finished = { ...run, status, finishedAt, error };
+      db.putSync(RUN_KEY, finished);
+      if (status === "aborted") db.putSync(ABORTED_KEY, finished);
+    }
+    if (db.get(LOCK_KEY)?.owner === lock.owner) db.removeSync(LOCK_KEY);
+  });
+}
+
+/**
+ * Run state for GET /api/admin/sync. A run still marked running without a live lock is reported as aborted
+ * before the next run records it so.
+ * @returns {{ lock: Object|null, latest: Object|null, lastAborted: Object|null }}
+ */
+export function getSyncRunState() {
+  const lock = activeSyncLock();
+  let latest = db.get(RUN_KEY) ?? null;
+  let lastAborted = db.get(ABORTED_KEY) ?? null;
+  if (latest?.status === "running" && !lock) {
+    latest = { ...latest, status: "aborted" };
+    lastAborted = latest;
+  }
+  return { lock, latest, lastAborted };
+}
@@ -0,0 +1,113 @@
+/**
+ * @fileoverview Change reports of `sync.js --dry-run`: what a sync would insert, update (per changed field) and
+ * delete, written to SYNC_LOGS_DIR as dry-run-<time>.json plus a standalone dry-run-<time>.html.
+ */
+import { writeFileSync } from "fs";
+import { join } from "path";
+import { SYNC_LOGS_DIR } from "./config.js";
+
+/** Report file names: dry-run-<ISO time with ":" and "." replaced>.json / .html */
+export const REPORT_FILE_PATTERN = /^dry-run-[0-9TZ-]+\.(json|html)$/;
+
+/** Rows per section in the HTML report; the JSON report always has all of them. */
+const MAX_HTML_ROWS = 2000;
+
+function escapeHtml(value) {
+  return String(value ?? "").replace(
+    /[&<>"']/g,
+    (c) => ({ "&": "&amp;", "<": "&lt;", ">": "&gt;", '"': "&quot;", "'": "&#39;" })[c]
+  );
+}
+
+function formatValue(value) {
+  if (value == null || value === "") return "<em>empty</em>";
+  return escapeHtml(Array.isArray(value) ? value.join(", ") : value);
+}
+
+function renderRows(items, renderRow) {
+  const rows = items.slice(0, MAX_HTML_ROWS).map(renderRow).join("\n");
+  const more =
+    items.length > MAX_HTML_ROWS
+      ? `<tr><td colspan="3">… and ${items.length - MAX_HTML_ROWS} more (see the JSON report)</td></tr>`
+      : "";
+  return rows + more;
+}
+
+function renderSource(s) {
+  if (s.status === "failed") {
+    return `<section><h2>${escapeHtml(s.source)}</h2><p class="error">Failed: ${escapeHtml(s.error)}</p></section>`;
+  }
+  const { inserts, updates, deletes } = s.changes;
+  const updateRows = renderRows(updates, (u) =>
+    u.changes
+      .map(
+        (c, i) =>
+          `<tr>${i === 0 ? `<td rowspan="${u.changes.length}">${escapeHtml(u.displayName || u.dn)}<br><small>${escapeHtml(u.dn)}</small></td>` : ""}` +
+          `<td>${escapeHtml(c.field)}</td><td>${formatValue(c.old)} → ${formatValue(c.new)}</td></tr>`
+      )
+      .join("\n")
+  );
+  return `<section>
+<h2>${escapeHtml(s.source)} <small>${escapeHtml(s.mode)} (${escapeHtml(s.reason)})</small></h2>
+<p>Base DNs: ${escapeHtml(s.baseDNs.join("; "))}${s.excludeSubtrees.length ? ` · excluded: ${escapeHtml(s.excludeSubtrees.join("; "))}` : ""}</p>
+<p>Filter: <code>${escapeHtml(s.filter)}</code> · LDAP results: ${s.ldapCount} · unchanged: ${s.unchanged}</p>
+<h3>Inserts (${inserts.length})</h3>
+<table><tr><th>Name</th><th colspan="2">DN</th></tr>
+${renderRows(inserts, (u) => `<tr><td>${escapeHtml(u.displayName)}</td><td colspan="2">${escapeHtml(u.dn)}</td></tr>`)}
+</table>
+<h3>Updates (${updates.length})</h3>
+<table><tr><th>User</th><th>Field</th><th>Change</th></tr>
+${updateRows}
+</table>
+<h3>Deletes (${deletes.length})</h3>
+<table><tr><th>Name</th><th>DN</th><th>Reason</th></tr>
+${renderRows(deletes, (u) => `<tr><td>${escapeHtml(u.displayName)}</td><td>${escapeHtml(u.dn)}</td><td>${escapeHtml(u.reason)}</td></tr>`)}
+</table>
+</section>`;
+}
+
+/**
+ * Standalone HTML page for a dry-run report.
+ * @param {Object} report
+ * @returns {string}
+ */
+export function renderReportHtml(report) {
+  const t = report.totals;
+  return `<!doctype html>
+<html lang="en">
+<head>
+<meta charset="utf-8">
+<title>Sync dry run ${escapeHtml(report.generatedAt)}</title>
+<style>
+body { font-family: sans-serif; margin: 2rem; color: #222; }
+table { border-collapse: collapse; width: 100%; margin-bottom: 1rem; font-size: 13px; }
+th, td { border: 1px solid #ddd; padding: 4px 8px; text-align: left; vertical-align: top; }
+th { background: #f5f5f5; }
+small { color: #666; font-weight: normal; }
+em { color: #999; }
+.error { color: #c00; }
+</style>
+</head>
+<body>
+<h1>Sync dry run</h1>
+<p>${escapeHtml(report.generatedAt)} · nothing was written to the phonebook.</p>
+<p><strong>${t.inserts}</strong> inserts · <strong>${t.updates}</strong> updates · <strong>${t.deletes}</strong> deletes · ${t.unchanged} unchanged</p>
+${report.sources.map(renderSource).join("\n")}
+</body>
+</html>
+`;
+}
+
+/**
+ * Writes the JSON and HTML report files.
+ * @param {Object} report - { generatedAt, totals, sources }.
+ * @returns {{ json: string, html: string }} File names in SYNC_LOGS_DIR.
+ */
+export function writeDryRunReport(report) {
+  const base = `dry-run-${report.generatedAt.replace(/[:.]/g, "-")}`;
+  const json = `${base}.json`;
+  const html = `${base}.html`;
+  writeFileSync(join(SYNC_LOGS_DIR, json), JSON.stringify(report, null, 2));
+  writeFileSync(join(SYNC_LOGS_DIR, html), renderReportHtml(report));
+  return { json, html };
+}
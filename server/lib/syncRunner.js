@@ -0,0 +1,215 @@
+/**
+ * @fileoverview Runs server/sync.js as a child process of the API server, on the SYNC_SCHEDULE cron schedule
+ * and on demand (POST /api/admin/sync). The child's pino log lines become progress events (phase,
+ * percentage milestones, summary) that admin clients receive over Server-Sent Events. Syncs started elsewhere
+ * (cron, CLI) are seen through the sync lock (lib/syncLock.js): no run starts here while one holds it.
+ */
+import { spawn } from "child_process";
+import { EventEmitter } from "events";
+import { createInterface } from "readline";
+import { join } from "path";
+import { randomUUID } from "crypto";
+import { PROJECT_ROOT, SYNC } from "./config.js";
+import { parseCron, nextCronRun } from "./cron.js";
+import { activeSyncLock, getSyncRunState } from "./syncLock.js";
+
+const SYNC_SCRIPT = join(PROJECT_ROOT, "server", "sync.js");
+
+/** Log events kept per run, so clients that connect mid-run can show recent progress. */
+const MAX_RECENT_EVENTS = 50;
+
+/** setTimeout() cannot wait longer than ~24.8 days; longer waits are re-armed in steps. */
+const MAX_TIMER_MS = 2 ** 31 - 1;
+
+/** pino numeric levels to names. */
+const LEVELS = { 10: "trace", 20: "debug", 30: "info", 40: "warn", 50: "error", 60: "fatal" };
+
+/**
+ * Progress events for admin clients. Listen with syncEvents.on("event", fn); each event is
+ * { type: "start" | "log" | "end", run, ... } where run is the run snapshot after the event.
+ */
+export const syncEvents = new EventEmitter();
+syncEvents.setMaxListeners(0);
+
+let current = null;
+let lastRun = null;
+let nextRunAt = null;
+
+/**
+ * Client-facing copy of a run.
+ * @param {Object|null} run
+ * @param {boolean} [withRecent] - Include the recent log events.
+ * @returns {Object|null}
+ */
+function snapshot(run, withRecent = false) {
+  if (!run) return null;
+  const { recent, ...rest } = run;
+  return withRecent ? { ...rest, recent: [...recent] } : rest;
+}
+
+function emit(event) {
+  syncEvents.emit("event", event);
+}
+
+/**
+ * Turns one stdout line of sync.js (pino JSON) into a log event, or null for non-JSON output.
+ * @param {string} line
+ * @returns {Object|null}
+ */
+function toLogEvent(line) {
+  let o;
+  try {
+    o = JSON.parse(line);
+  } catch {
+    return null;
+  }
+  if (!o || typeof o !== "object") return null;
+  const { pid: _pid, hostname: _hostname, level, time, msg, ...fields } = o;
+  const phase = /^Phase (\d)/.exec(msg || "");
+  const progress = typeof fields.progress === "string" ? Number.parseInt(fields.progress, 10) : NaN;
+  return {
+    type: "log",
+    time: time != null ? new Date(time).toISOString() : new Date().toISOString(),
+    level: LEVELS[level] || String(level),
+    msg: msg || "",
+    phase: phase ? Number(phase[1]) : null,
+    progress: Number.isFinite(progress) ? progress : null,
+    fields,
+  };
+}
+
+/**
+ * Starts a sync run unless one is already running.
+ * @param {{ trigger: "manual"|"schedule", full?: boolean, dryRun?: boolean, requestedBy?: string|null }} options
+ *   dryRun runs sync.js --dry-run: a change report instead of writes (summary.report names the file).
+ * @returns {Object|null} Snapshot of the new run, or null when a run is already in progress (started here, or
+ *   holding the sync lock in another process).
+ */
+export function startSync({ trigger, full = false, dryRun = false, requestedBy = null }) {
+  if (current || activeSyncLock()) return null;
+  const args = [SYNC_SCRIPT];
+  if (full) args.push("--full");
+  if (dryRun) args.push("--dry-run");
+  const run = {
+    id: randomUUID(),
+    trigger,
+    full,
+    dryRun,
+    requestedBy,
+    status: "running",
+    startedAt: new Date().toISOString(),
+    finishedAt: null,
+    exitCode: null,
+    phase: null,
+    progress: null,
+    lastMessage: null,
+    error: null,
+    summary: null,
+    recent: [],
+  };
+  current = run;
+
+  // Progress events come from info-level lines, so the child logs at info even when the API runs quieter
+  const childLevel = ["trace", "debug"].includes(process.env.LOG_LEVEL) ? process.env.LOG_LEVEL : "info";
+  const child = spawn(process.execPath, args, {
+    cwd: PROJECT_ROOT,
+    env: { ...process.env, LOG_LEVEL: childLevel },
+    stdio: ["ignore", "pipe", "pipe"],
+  });
+  emit({ type: "start", run: snapshot(run) });
+
+  createInterface({ input: child.stdout }).on("line", (line) => {
+    const event = toLogEvent(line);
+    if (!event) return;
+    if (event.phase != null) run.phase = event.phase;
+    if (event.progress != null) run.progress = event.progress;
+    if (event.level === "error" || event.level === "fatal") run.error = event.msg;
+    if (event.msg.startsWith("Sync complete")) run.summary = event.fields;
+    run.lastMessage = event.msg;
+    run.recent.push(event);
+    if (run.recent.length > MAX_RECENT_EVENTS) run.recent.shift();
+    emit({ ...event, run: snapshot(run) });
+  });
+
+  let stderrTail = "";
+  child.stderr.on("data", (chunk) => {
+    stderrTail = (stderrTail + chunk).slice(-2000);
+  });
+
+  let finished = false;
+  const finish = (exitCode, err) => {
+    if (finished) return;
+    finished = true;
+    run.exitCode = exitCode;
+    // Deletes held back by SYNC_DELETE_THRESHOLD wait for an admin (GET /api/admin/pending-deletes)
+    if (exitCode !== 0) run.status = "failed";
+    else run.status = run.summary?.needsApproval ? "needs-approval" : "succeeded";
+    if (run.status === "failed" && !run.error) {
+      run.error = err?.message || stderrTail.trim().split("\n").pop() || `Exited with code ${exitCode}`;
+    }
+    run.finishedAt = new Date().toISOString();
+    lastRun = run;
+    current = null;
+    emit({ type: "end", run: snapshot(run) });
+  };
+  child.on("error", (err) => finish(null, err));
+  child.on("close", (code) => finish(code));
+
+  return snapshot(run);
+}
+
+/**
+ * Current state for GET /api/admin/sync and new SSE clients. runState is what sync.js records in LMDB, also
+ * for runs started outside the API server: the lock holder, the latest run and the last aborted run.
+ * @returns {{ running: boolean, current: Object|null, lastRun: Object|null, runState: Object, schedule: string|null,
+ *   nextRunAt: string|null }}
+ */
+export function getSyncStatus() {
+  const runState = getSyncRunState();
+  return {
+    running: current !== null || runState.lock !== null,
+    current: snapshot(current, true),
+    lastRun: snapshot(lastRun),
+    runState,
+    schedule: SYNC.schedule || null,
+    nextRunAt,
+  };
+}
+
+/**
+ * Starts the SYNC_SCHEDULE timer. A scheduled run is skipped when a sync is still running.
+ * @param {import("pino").Logger} log - Server logger.
+ */
+export function startSyncScheduler(log) {
+  if (!SYNC.schedule) return;
+  let schedule;
+  try {
+    schedule = parseCron(SYNC.schedule);
+  } catch (err) {
+    log.error({ err, schedule: SYNC.schedule }, "Invalid SYNC_SCHEDULE; scheduled sync disabled");
+    return;
+  }
+
+  const arm = () => {
+    const next = nextCronRun(schedule);
+    nextRunAt = next ? next.toISOString() : null;
+    if (!next) {
+      log.warn({ schedule: schedule.expr }, "SYNC_SCHEDULE never matches; scheduled sync disabled");
+      return;
+    }
+    const timer = setTimeout(() => {
+      if (Date.now() < next.getTime()) {
+        arm();
+        return;
+      }
+      const run = startSync({ trigger: "schedule" });
+      if (run) log.info({ runId: run.id }, "Scheduled sync started");
+      else log.info("Scheduled sync skipped: a sync is already running");
+      arm();
+    }, Math.min(next.getTime() - Date.now(), MAX_TIMER_MS));
+    timer.unref();
+  };
+
+  arm();
+  log.info({ schedule: schedule.expr, nextRunAt }, "Sync schedule active");
+}
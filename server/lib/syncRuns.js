@@ -0,0 +1,45 @@
+/**
+ * @fileoverview History of sync runs. sync.js stores the structured summary of every run (counts, skips, phase
+ * timings, errors, headcount per source) in the syncRuns store when it finishes, so GET /api/admin/sync-runs
+ * can chart durations and headcount over time instead of parsing the pino log files. meta:lastSync still holds
+ * the last successful run (ETags, see lib/etag.js). Runs older than SYNC_RUN_HISTORY_DAYS are pruned by the
+ * run that records a new one.
+ */
+import { syncRuns } from "./db.js";
+import { SYNC } from "./config.js";
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+/** Most runs GET /api/admin/sync-runs returns. */
+export const MAX_SYNC_RUNS_LISTED = 1000;
+
+/**
+ * Stores one run and removes runs older than the retention.
+ * @param {Object} run - Summary with id and startedAt (ISO time); see runRecord() in sync.js.
+ * @returns {number} Runs pruned.
+ */
+export function recordSyncRun(run) {
+  const cutoff = new Date(Date.now() - SYNC.runHistoryDays * DAY_MS).toISOString();
+  return syncRuns.transactionSync(() => {
+    syncRuns.putSync([run.startedAt, run.id], run);
+    let pruned = 0;
+    for (const { key } of syncRuns.getRange({ end: [cutoff] })) {
+      syncRuns.removeSync(key);
+      pruned++;
+    }
+    return pruned;
+  });
+}
+
+/**
+ * @param {number} [limit]
+ * @returns {Object[]} Recorded runs, newest first.
+ */
+export function listSyncRuns(limit = 200) {
+  const runs = [];
+  for (const { value } of syncRuns.getRange({ reverse: true })) {
+    runs.push(value);
+    if (runs.length >= limit) break;
+  }
+  return runs;
+}
@@ -0,0 +1,80 @@
+/**
+ * @fileoverview Search tokenizer shared by sync (building the inverted index) and the search API (parsing queries).
+ * Both sides must use the same function so query terms line up with index keys.
+ *
+ * Text is Unicode-normalized (NFKD) and diacritics are folded, so "Müller", "Zoë" and "Ólafsdóttir"
+ * are found by typing "muller", "zoe" or "olafsdottir". Apostrophes are dropped inside words
+ * ("O'Brien" → "obrien", plus the part "brien") and hyphenated names are indexed whole and per part.
+ */
+
+/** Tokens shorter than this are not indexed (and ignored in queries). */
+export const MIN_TOKEN_LENGTH = 2;
+
+/**
+ * Bump whenever tokenize() output changes. It is part of the search index fingerprint (searchIndex.js);
+ * sync rebuilds the index from the stored documents when the fingerprint differs (one-off reindex).
+ */
+export const TOKENIZER_VERSION = 2;
+
+/** Letters NFKD does not decompose into base letter + combining mark. */
+const SPECIAL_FOLDS = {
+  ß: "ss",
+  æ: "ae",
+  œ: "oe",
+  ø: "o",
+  ł: "l",
+  đ: "d",
+  ð: "d",
+  þ: "th",
+  ı: "i",
+};
+
+/** Apostrophe variants (ASCII, typographic, modifier letter, backtick). */
+const APOSTROPHES = /['’‘ʼ`´]/g;
+const HAS_APOSTROPHE = /['’‘ʼ`´]/;
+
+/**
+ * Lowercases and folds a value to plain letters: NFKD, combining marks removed, special letters mapped.
+ * @param {*} value
+ * @returns {string}
+ */
+export function normalizeText(value) {
+  if (value == null) return "";
+  return String(value)
+    .normalize("NFKD")
+    .replace(/\p{M}+/gu, "")
+    .toLowerCase()
+    .replace(/[ßæœøłđðþı]/g, (c) => SPECIAL_FOLDS[c]);
+}
+
+/**
+ * Splits values into normalized, de-duplicated search tokens.
+ * Word characters are letters and digits in any script plus @ . + - (emails, phone numbers) and apostrophes.
+ * @param {...*} values - Strings (or values coerced to string); null/empty values are skipped.
+ * @returns {string[]}
+ */
+export function tokenize(...values) {
+  const out = new Set();
+  const add = (t) => {
+    // Trim punctuation that only separates words ("Jr.", "-Smith"); keep a leading "+" for phone numbers
+    const trimmed = t.replace(/^[.\-]+|[.\-+]+$/g, "");
+    if (trimmed.length >= MIN_TOKEN_LENGTH) out.add(trimmed);
+  };
+  for (const v of values) {
+    if (!v) continue;
+    const s = normalizeText(v);
+    for (const raw of s.split(/[^\p{L}\p{N}@.+'’‘ʼ`´-]+/u)) {
+      if (!raw) continue;
+      add(raw.replace(APOSTROPHES, ""));
+      // Hyphenated names: each part on its own; names with apostrophes also by their parts
+      for (const part of raw.split("-")) {
+        if (part === raw) break;
+        add(part.replace(APOSTROPHES, ""));
+      }
+      if (HAS_APOSTROPHE.test(raw)) {
+        for (const part of raw.split(/[-'’‘ʼ`´]+/)) add(part);
+      }
+    }
+  }
+  return [...out];
+}
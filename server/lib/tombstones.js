@@ -0,0 +1,102 @@
+/**
+ * @fileoverview Tombstones of departed users. When sync no longer finds a user in LDAP (or finds the account
+ * disabled), the document is kept with doc.departedAt instead of being removed (retireUser in lib/syncDeletes.js),
+ * so favorites still resolve and reception can tell callers that the person left. Tombstones leave allDNs (delta
+ * sync no longer tracks them) and are listed in the tombstones store until sync purges them
+ * TOMBSTONE_RETENTION_DAYS after departure; a user that comes back in LDAP is simply stored again.
+ * Admins always see tombstones; with TOMBSTONE_PUBLIC=1 everyone does, together with the contact to ask instead:
+ * doc.successorId (chosen by an admin) or else the departed user's manager.
+ */
+import { usersByDN, usersById, tombstones } from "./db.js";
+import { TOMBSTONES } from "./config.js";
+import { contactId, shouldIncludeInPublicList } from "./publicUserFilter.js";
+import { addListRowDisplayFields } from "./displayUser.js";
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+/**
+ * @param {Object|null|undefined} doc - User document.
+ * @returns {boolean} Whether the document is a tombstone.
+ */
+export function isDeparted(doc) {
+  return !!doc?.departedAt;
+}
+
+/**
+ * When sync purges a tombstone.
+ * @param {string} departedAt - ISO time.
+ * @returns {string|null} ISO time, or null for an unreadable departure date.
+ */
+export function purgeAt(departedAt) {
+  const t = Date.parse(departedAt);
+  return Number.isFinite(t) ? new Date(t + TOMBSTONES.retentionDays * DAY_MS).toISOString() : null;
+}
+
+/**
+ * Contact that callers of a departed user are referred to: the successor an admin chose, else the manager.
+ * Contacts that left as well, or that the caller may not see, are not offered.
+ * @param {Object} doc - Tombstone.
+ * @param {boolean} isAdmin
+ * @returns {{ id: string, fullName: string, phone: string, email: string }|null}
+ */
+export function successorOf(doc, isAdmin) {
+  const candidates = [doc.successorId ? usersById.get(doc.successorId) : null, doc.managerDN];
+  for (const dn of candidates) {
+    if (!dn || dn === doc.dn) continue;
+    const successor = usersByDN.get(dn);
+    if (!successor || isDeparted(successor)) continue;
+    if (!isAdmin && !shouldIncludeInPublicList(successor)) continue;
+    const { fullName, phone, email } = addListRowDisplayFields(successor);
+    return { id: contactId(successor), fullName, phone, email };
+  }
+  return null;
+}
+
+/**
+ * Fields added to the list row of a tombstone: departure date, the contact to ask instead and, for admins,
+ * when the tombstone is purged.
+ * @param {Object} doc - Tombstone.
+ * @param {boolean} isAdmin
+ * @returns {{ departedAt: string, successor: Object|null, purgeAt?: string|null }}
+ */
+export function departureFields(doc, isAdmin) {
+  const fields = { departedAt: doc.departedAt, successor: successorOf(doc, isAdmin) };
+  if (isAdmin) fields.purgeAt = purgeAt(doc.departedAt);
+  return fields;
+}
+
+/**
+ * DNs of the tombstones whose retention has passed.
+ * @param {number} [now] - Epoch milliseconds.
+ * @returns {string[]}
+ */
+export function expiredTombstones(now = Date.now()) {
+  const out = [];
+  for (const { key: dn, value: departedAt } of tombstones.getRange({})) {
+    const at = purgeAt(departedAt);
+    if (at && Date.parse(at) <= now) out.push(dn);
+  }
+  return out;
+}
+
+/**
+ * All tombstones for the admin page, most recent departure first.
+ * @returns {Object[]}
+ */
+export function listTombstones() {
+  const rows = [];
+  for (const { key: dn } of tombstones.getRange({})) {
+    const doc = usersByDN.get(dn);
+    if (!isDeparted(doc)) continue;
+    rows.push({
+      id: contactId(doc),
+      fullName: addListRowDisplayFields(doc).fullName,
+      title: doc.title ?? null,
+      department: doc.department ?? null,
+      source: doc.source ?? null,
+      successorId: doc.successorId ?? null,
+      ...departureFields(doc, true),
+    });
+  }
+  return rows.sort((a, b) => String(b.departedAt).localeCompare(String(a.departedAt)));
+}
@@ -0,0 +1,157 @@
+/**
+ * @fileoverview Shapes stored user documents into list rows for API responses (admin vs public),
+ * list query helpers (fields projection, filters, cursors), and the DN convention for manual contacts.
+ */
+import { createHash, createCipheriv, createDecipheriv, randomBytes } from "crypto";
+import { JWT_SECRET } from "./config.js";
+import { normalizeText } from "./tokenize.js";
+import { shouldIncludeInPublicList, toPublicUser, toMinimalPublicRow, contactId } from "./publicUserFilter.js";
+import { addListRowDisplayFields } from "./displayUser.js";
+import { departureFields } from "./tombstones.js";
+
+/** DN prefix for manually added contacts (not from LDAP). */
+const MANUAL_DN_PREFIX = "MANUAL:";
+
+/** doc.source of manually added contacts (LDAP users carry their directory source id). */
+export const MANUAL_SOURCE_ID = "manual";
+
+/**
+ * Builds the store key (pseudo-DN) for a manual contact.
+ * @param {string} id - Manual contact UUID.
+ * @returns {string}
+ */
+export function buildManualDn(id) {
+  return `${MANUAL_DN_PREFIX}${id}`;
+}
+
+/**
+ * Returns the manual contact UUID from a pseudo-DN, or null for LDAP users.
+ * @param {string} [dn]
+ * @returns {string|null}
+ */
+export function extractManualIdFromDn(dn) {
+  if (!dn || !dn.startsWith(MANUAL_DN_PREFIX)) return null;
+  return dn.slice(MANUAL_DN_PREFIX.length);
+}
+
+/**
+ * Converts a stored user document to the row shape returned by list endpoints (/users, /search).
+ * Admin gets the full document plus id (and manualId for manual contacts); everyone else gets the
+ * minimal public row, or null when the record is hidden by the public visibility rules. Rows of departed
+ * users (tombstones) also carry departedAt and the successor to contact instead (see departureFields).
+ * @param {Object} doc - Full user document from usersByDN.
+ * @param {boolean} isAdmin
+ * @returns {Object|null}
+ */
+export function toListRow(doc, isAdmin) {
+  if (!doc) return null;
+  if (isAdmin) {
+    const row = {
+      ...doc,
+      id: contactId(doc),
+    };
+    if (doc.isManual) row.manualId = extractManualIdFromDn(doc.dn);
+    // location becomes the OU display string below; keep the city addressable for facets/filters
+    row.city = doc.location?.city ?? null;
+    if (doc.departedAt) Object.assign(row, departureFields(doc, true));
+    return addListRowDisplayFields(row);
+  }
+  if (!shouldIncludeInPublicList(doc)) return null;
+  const publicRow = toPublicUser(doc);
+  const withDisplay = addListRowDisplayFields(publicRow);
+  const row = toMinimalPublicRow(withDisplay);
+  return doc.departedAt ? { ...row, ...departureFields(doc, false) } : row;
+}
+
+/** Row fields usable as filter[field]=value on list endpoints (values match case/diacritic-insensitively). */
+export const LIST_FILTER_FIELDS = ["department", "office", "location", "title", "company", "city"];
+
+/**
+ * Reads filter[field]=value query parameters. Unknown fields are ignored.
+ * @param {Object} query - Parsed querystring (keys like "filter[department]").
+ * @returns {Object<string, string>} Field → normalized value.
+ */
+export function parseListFilters(query) {
+  const filters = {};
+  for (const field of LIST_FILTER_FIELDS) {
+    const value = query?.[`filter[${field}]`];
+    if (typeof value === "string" && value.trim() !== "") filters[field] = normalizeText(value.trim());
+  }
+  return filters;
+}
+
+/**
+ * Whether a list row satisfies every filter (exact match after normalization).
+ * @param {Object} row - Output of toListRow.
+ * @param {Object<string, string>} filters - Output of parseListFilters.
+ * @returns {boolean}
+ */
+export function rowMatchesFilters(row, filters) {
+  for (const [field, value] of Object.entries(filters)) {
+    if (normalizeText(row[field] ?? "").trim() !== value) return false;
+  }
+  return true;
+}
+
+/**
+ * Parses a fields=a,b,c projection parameter.
+ * @param {*} fields
+ * @returns {string[]|null} Field names, or null for "all fields".
+ */
+export function parseFields(fields) {
+  if (typeof fields !== "string" || !fields.trim()) return null;
+  const list = fields
+    .split(",")
+    .map((f) => f.trim())
+    .filter(Boolean);
+  return list.length ? list : null;
+}
+
+/**
+ * Keeps only the requested fields of a row; id is always kept so rows stay addressable.
+ * @param {Object} row
+ * @param {string[]|null} fields
+ * @returns {Object}
+ */
+export function projectRow(row, fields) {
+  if (!fields) return row;
+  const out = { id: row.id };
+  for (const f of fields) {
+    if (f in row) out[f] = row[f];
+  }
+  return out;
+}
+
+/** Key for sealing cursors; derived from JWT_SECRET so cursors survive restarts. */
+function cursorKey() {
+  return createHash("sha256").update(`cursor:${JWT_SECRET}`, "utf8").digest();
+}
+
+/**
+ * Opaque pagination cursor for a store key. The key (a DN) is encrypted, so it is not readable by
+ * non-admin clients, and tampered cursors are rejected by decodeCursor.
+ * @param {string} key
+ * @returns {string} base64url string.
+ */
+export function encodeCursor(key) {
+  const iv = randomBytes(12);
+  const cipher = createCipheriv("aes-256-gcm", cursorKey(), iv);
+  const data = Buffer.concat([cipher.update(key, "utf8"), cipher.final()]);
+  return Buffer.concat([iv, cipher.getAuthTag(), data]).toString("base64url");
+}
+
+/**
+ * @param {*} cursor - Value from encodeCursor.
+ * @returns {string|null} Store key, or null when missing/invalid.
+ */
+export function decodeCursor(cursor) {
+  if (typeof cursor !== "string" || !cursor) return null;
+  try {
+    const raw = Buffer.from(cursor, "base64url");
+    const decipher = createDecipheriv("aes-256-gcm", cursorKey(), raw.subarray(0, 12));
+    decipher.setAuthTag(raw.subarray(12, 28));
+    return Buffer.concat([decipher.update(raw.subarray(28)), decipher.final()]).toString("utf8") || null;
+  } catch {
+    return null;
+  }
+}
@@ -1,10 +1,23 @@
 import { requireAdmin } from "../lib/auth.js";
 import { readdir, readFile, stat } from "fs/promises";
 import { join, resolve } from "path";
-import { SYNC_LOGS_DIR, ENV_PATH } from "../lib/config.js";
+import { SYNC_LOGS_DIR, ENV_PATH, SYNC, TOMBSTONES } from "../lib/config.js";
+import { startSync, getSyncStatus, syncEvents } from "../lib/syncRunner.js";
+import { getHistory, MAX_HISTORY_ENTRIES } from "../lib/history.js";
+import { REPORT_FILE_PATTERN } from "../lib/syncReport.js";
+import { listSyncRuns, MAX_SYNC_RUNS_LISTED } from "../lib/syncRuns.js";
+import { getPendingDeletes, approvePendingDeletes, clearPendingDeletes } from "../lib/syncDeletes.js";
+import { listGroups, getGroupMembers } from "../lib/groups.js";
+import { listTombstones, isDeparted } from "../lib/tombstones.js";
+import { getUserById } from "../lib/orgChart.js";
+import { saveUser, removeUser } from "../lib/searchIndex.js";
+import { bumpManualChanges } from "../lib/etag.js";
 
 const SENSITIVE_KEYS = /PASSWORD|SECRET|TOKEN|KEY|PW|BIND_PW/i;
 
+/** Interval of SSE comment lines that keep idle proxies from closing the progress stream. */
+const SSE_HEARTBEAT_MS = 15_000;
+
 /** Parse .env file and return the set of variable names defined in it. */
 async function getEnvKeysFromFile(envPath) {
   try {
@@ -88,6 +101,238 @@ export async function adminRoutes(fastify) {
     }
   );
 
+  // Dry-run change reports (sync.js --dry-run), newest first, with their totals
+  fastify.get("/admin/sync-reports", { preHandler: requireAdmin }, async (request, reply) => {
+    let entries;
+    try {
+      entries = await readdir(SYNC_LOGS_DIR, { withFileTypes: true });
+    } catch (err) {
+      if (err.code === "ENOENT") {
+        return { reports: [] };
+      }
+      request.log.warn({ err }, "admin sync-reports list failed");
+      reply.code(500);
+      return { error: "Failed to list dry-run reports" };
+    }
+    // Report names embed their creation time, so name order is time order
+    const names = entries
+      .filter((e) => e.isFile() && REPORT_FILE_PATTERN.test(e.name) && e.name.endsWith(".json"))
+      .map((e) => e.name)
+      .sort()
+      .reverse()
+      .slice(0, 10);
+    const reports = await Promise.all(
+      names.map(async (name) => {
+        try {
+          const report = JSON.parse(await readFile(join(SYNC_LOGS_DIR, name), "utf8"));
+          return { name, html: name.replace(/\.json$/, ".html"), generatedAt: report.generatedAt, totals: report.totals };
+        } catch {
+          return { name, html: name.replace(/\.json$/, ".html"), generatedAt: null, totals: null };
+        }
+      })
+    );
+    return { reports };
+  });
+
+  // One dry-run report: the .json file as JSON, the .html file as a page
+  fastify.get("/admin/sync-reports/:filename", { preHandler: requireAdmin }, async (request, reply) => {
+    const { filename } = request.params;
+    if (!REPORT_FILE_PATTERN.test(filename)) {
+      reply.code(400);
+      return { error: "Invalid filename" };
+    }
+    let content;
+    try {
+      content = await readFile(join(SYNC_LOGS_DIR, filename), "utf8");
+    } catch (err) {
+      if (err.code === "ENOENT") {
+        reply.code(404);
+        return { error: "Report not found" };
+      }
+      request.log.warn({ err }, "admin sync-report read failed");
+      reply.code(500);
+      return { error: "Failed to read report" };
+    }
+    if (filename.endsWith(".html")) {
+      reply.type("text/html; charset=utf-8");
+      return content;
+    }
+    reply.type("application/json; charset=utf-8");
+    return content;
+  });
+
+  // Sync status: running run (with recent log events), last finished run, schedule and next scheduled run
+  fastify.get("/admin/sync", { preHandler: requireAdmin }, async () => getSyncStatus());
+
+  // Start a sync now; body { full: true } forces a full sync, { dryRun: true } only writes a change report.
+  // 409 while a sync is running.
+  fastify.post("/admin/sync", { preHandler: requireAdmin }, async (request, reply) => {
+    const full = request.body?.full === true;
+    const dryRun = request.body?.dryRun === true;
+    const run = startSync({ trigger: "manual", full, dryRun, requestedBy: request.user?.login ?? null });
+    if (!run) {
+      reply.code(409);
+      return { error: "A sync is already running", ...getSyncStatus() };
+    }
+    request.log.info({ runId: run.id, full, dryRun, by: run.requestedBy }, "Manual sync started");
+    reply.code(202);
+    return { run };
+  });
+
+  // Summaries of past sync runs (not dry runs), newest first; ?limit= (default 200)
+  fastify.get("/admin/sync-runs", { preHandler: requireAdmin }, async (request, reply) => {
+    const limit = Number.parseInt(request.query?.limit ?? "200", 10);
+    if (!Number.isFinite(limit) || limit < 1) {
+      reply.code(400);
+      return { error: "limit must be a positive integer" };
+    }
+    return { retentionDays: SYNC.runHistoryDays, runs: listSyncRuns(Math.min(limit, MAX_SYNC_RUNS_LISTED)) };
+  });
+
+  // Deletes held back by SYNC_DELETE_THRESHOLD, per source
+  fastify.get("/admin/pending-deletes", { preHandler: requireAdmin }, async () => ({
+    threshold: SYNC.deleteThreshold?.raw ?? null,
+    sources: getPendingDeletes(),
+  }));
+
+  // Apply the held-back deletes of a source. 409 while a sync is running (it may be recomputing them).
+  fastify.post("/admin/pending-deletes/:source/approve", { preHandler: requireAdmin }, async (request, reply) => {
+    if (getSyncStatus().running) {
+      reply.code(409);
+      return { error: "A sync is running; try again when it has finished" };
+    }
+    const deleted = await approvePendingDeletes(request.params.source);
+    if (deleted === null) {
+      reply.code(404);
+      return { error: "No pending deletes for this source" };
+    }
+    request.log.info({ source: request.params.source, deleted, by: request.user?.login }, "Pending deletes approved");
+    return { deleted };
+  });
+
+  // Discard the held-back deletes of a source; the users stay. A later run holds them again if still missing.
+  fastify.post("/admin/pending-deletes/:source/reject", { preHandler: requireAdmin }, async (request, reply) => {
+    if (!(await clearPendingDeletes(request.params.source))) {
+      reply.code(404);
+      return { error: "No pending deletes for this source" };
+    }
+    request.log.info({ source: request.params.source, by: request.user?.login }, "Pending deletes rejected");
+    return { rejected: true };
+  });
+
+  // Live sync progress as Server-Sent Events: "status" on connect, then "start", "log" and "end" events
+  fastify.get("/admin/sync/events", { preHandler: requireAdmin }, async (request, reply) => {
+    reply.hijack();
+    const res = reply.raw;
+    // Hijacked replies skip fastify's header handling; keep headers set by hooks (CORS)
+    res.writeHead(200, {
+      ...reply.getHeaders(),
+      "Content-Type": "text/event-stream; charset=utf-8",
+      "Cache-Control": "no-cache, no-transform",
+      Connection: "keep-alive",
+      "X-Accel-Buffering": "no",
+    });
+    const send = (event, data) => {
+      res.write(`event: ${event}\ndata: ${JSON.stringify(data)}\n\n`);
+    };
+    send("status", getSyncStatus());
+
+    const onEvent = (event) => send(event.type, event);
+    syncEvents.on("event", onEvent);
+    const heartbeat = setInterval(() => res.write(": heartbeat\n\n"), SSE_HEARTBEAT_MS);
+    request.raw.on("close", () => {
+      clearInterval(heartbeat);
+      syncEvents.off("event", onEvent);
+    });
+  });
+
+  // Change history of one contact (id as in list rows), newest first; ?limit= (default 100)
+  fastify.get("/admin/users/:id/history", { preHandler: requireAdmin }, async (request, reply) => {
+    const { id } = request.params;
+    if (!/^[0-9a-f]{64}$/.test(id)) {
+      reply.code(400);
+      return { error: "Invalid id" };
+    }
+    const limit = Number.parseInt(request.query?.limit ?? "100", 10);
+    if (!Number.isFinite(limit) || limit < 1) {
+      reply.code(400);
+      return { error: "limit must be a positive integer" };
+    }
+    return { id, entries: getHistory(id, Math.min(limit, MAX_HISTORY_ENTRIES)) };
+  });
+
+  // Group directory from the last sync, sorted by name; ?q= filters by name, description or mail
+  fastify.get("/admin/groups", { preHandler: requireAdmin }, async (request) => {
+    const q = typeof request.query?.q === "string" ? request.query.q : "";
+    return listGroups(q);
+  });
+
+  // A group's parent and child groups and its users, direct or through nested groups
+  fastify.get("/admin/groups/:id/members", { preHandler: requireAdmin }, async (request, reply) => {
+    const { id } = request.params;
+    if (!/^[0-9a-f]{64}$/.test(id)) {
+      reply.code(400);
+      return { error: "Invalid id" };
+    }
+    const result = getGroupMembers(id);
+    if (!result) {
+      reply.code(404);
+      return { error: "Group not found" };
+    }
+    return result;
+  });
+
+  // Departed users kept as tombstones, most recent departure first
+  fastify.get("/admin/tombstones", { preHandler: requireAdmin }, async () => ({
+    retentionDays: TOMBSTONES.retentionDays,
+    public: TOMBSTONES.public,
+    tombstones: listTombstones(),
+  }));
+
+  // Contact that callers of a departed user are referred to; body { successorId } (null: the user's manager)
+  fastify.put("/admin/tombstones/:id/successor", { preHandler: requireAdmin }, async (request, reply) => {
+    const { id } = request.params;
+    const successorId = request.body?.successorId ?? null;
+    if (!/^[0-9a-f]{64}$/.test(id) || (successorId !== null && !/^[0-9a-f]{64}$/.test(String(successorId)))) {
+      reply.code(400);
+      return { error: "Invalid id" };
+    }
+    const doc = getUserById(id);
+    if (!isDeparted(doc)) {
+      reply.code(404);
+      return { error: "Tombstone not found" };
+    }
+    if (successorId !== null) {
+      const successor = getUserById(successorId);
+      if (!successor || isDeparted(successor) || successorId === id) {
+        reply.code(400);
+        return { error: "The successor must be a current contact" };
+      }
+    }
+    saveUser(doc.dn, { ...doc, successorId }, { source: "manual", actor: request.user?.login ?? null });
+    await bumpManualChanges();
+    return { tombstone: listTombstones().find((t) => t.id === id) };
+  });
+
+  // Purge a tombstone before its retention has passed
+  fastify.delete("/admin/tombstones/:id", { preHandler: requireAdmin }, async (request, reply) => {
+    const { id } = request.params;
+    if (!/^[0-9a-f]{64}$/.test(id)) {
+      reply.code(400);
+      return { error: "Invalid id" };
+    }
+    const doc = getUserById(id);
+    if (!isDeparted(doc)) {
+      reply.code(404);
+      return { error: "Tombstone not found" };
+    }
+    removeUser(doc.dn);
+    await bumpManualChanges();
+    request.log.info({ dn: doc.dn, by: request.user?.login }, "Tombstone purged");
+    reply.code(204);
+    return null;
+  });
+
   fastify.get("/admin/settings", { preHandler: requireAdmin }, async (request, reply) => {
     const envKeys = await getEnvKeysFromFile(ENV_PATH);
     const settings = {};
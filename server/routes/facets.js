@@ -0,0 +1,19 @@
+import { getOptionalUser } from "../lib/auth.js";
+import { computeFacets, DEFAULT_FACET_LIMIT } from "../lib/facets.js";
+
+/** Upper bound for limit (values per facet) on GET /facets. */
+const MAX_FACET_LIMIT = 500;
+
+export async function facetsRoutes(fastify) {
+  // Facet counts for filter chips. Non-admins only see public records and public row fields.
+  fastify.get("/facets", async (request) => {
+    const { q, limit } = request.query || {};
+    const n = Number.parseInt(limit, 10);
+    const { isAdmin } = await getOptionalUser(request);
+    return computeFacets({
+      q: typeof q === "string" && q.trim() ? q.trim() : null,
+      isAdmin,
+      limit: Number.isFinite(n) && n > 0 ? Math.min(n, MAX_FACET_LIMIT) : DEFAULT_FACET_LIMIT,
+    });
+  });
+}
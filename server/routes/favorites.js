@@ -1,37 +1,22 @@
 import { requireAuth } from "../lib/auth.js";
-import { userFavorites } from "../lib/db.js";
-import { hashDn } from "../lib/publicUserFilter.js";
+import { getFavoritesForUser, setFavoritesForUser } from "../lib/favorites.js";
+import { getUserById } from "../lib/orgChart.js";
+import { isDeparted, departureFields } from "../lib/tombstones.js";
 
-function parseFavoritesRaw(raw) {
-  if (raw == null) return [];
-  if (Array.isArray(raw)) return raw;
-  if (typeof raw === "string") {
-    try {
-      const arr = JSON.parse(raw);
-      return Array.isArray(arr) ? arr : [];
-    } catch {
-      return [];
-    }
-  }
-  return [];
-}
-
-function getFavoritesForUser(userDn) {
-  const raw = userFavorites.get(userDn);
-  const list = parseFavoritesRaw(raw);
-  // Migrate old entries: if stored with dn, normalize to id (opaque hash)
+/**
+ * Marks favorites of colleagues who left (tombstones) with the departure date and whom to contact instead,
+ * also where tombstones are not listed for non-admins.
+ * @param {{ id: string, displayName: string }[]} list
+ * @param {boolean} isAdmin
+ * @returns {Object[]}
+ */
+function withDepartures(list, isAdmin) {
   return list.map((f) => {
-    if (f.id) return f;
-    if (f.dn) return { id: hashDn(f.dn), displayName: f.displayName || "" };
-    return f;
+    const doc = getUserById(f.id);
+    return isDeparted(doc) ? { ...f, ...departureFields(doc, !!isAdmin) } : f;
   });
 }
 
-function setFavoritesForUser(userDn, list) {
-  const value = JSON.stringify(list);
-  userFavorites.put(userDn, value);
-}
-
 function isValidOpaqueId(id) {
   return typeof id === "string" && /^[a-f0-9]{64}$/i.test(id);
 }
@@ -39,7 +24,7 @@ function isValidOpaqueId(id) {
 export async function favoritesRoutes(fastify) {
   fastify.get("/favorites", { preHandler: requireAuth }, async (request) => {
     const userDn = request.user.dn;
-    const favorites = getFavoritesForUser(userDn);
+    const favorites = withDepartures(getFavoritesForUser(userDn), request.user.isAdmin);
     return { favorites };
   });
 
@@ -57,12 +42,12 @@ export async function favoritesRoutes(fastify) {
     }
     const list = getFavoritesForUser(userDn);
     if (list.some((f) => f.id === id)) {
-      return { favorites: list };
+      return { favorites: withDepartures(list, request.user.isAdmin) };
     }
     list.push({ id, displayName: displayName || "" });
     setFavoritesForUser(userDn, list);
     reply.code(201);
-    return { favorites: list };
+    return { favorites: withDepartures(list, request.user.isAdmin) };
   });
 
   fastify.delete("/favorites/:id", { preHandler: requireAuth }, async (request, reply) => {
@@ -0,0 +1,26 @@
+import { usersByDN } from "../lib/db.js";
+import { lookupKeysForInput, findDNsByPhoneKeys } from "../lib/phone.js";
+import { toListRow } from "../lib/userRows.js";
+
+export async function lookupRoutes(fastify) {
+  // Caller-ID: resolve an incoming number (any format, or an extension) to contacts.
+  // Always returns the public row shape, whoever asks (PBX integrations are not admins).
+  fastify.get("/lookup/phone/:number", async (request, reply) => {
+    const { number } = request.params;
+    const { normalized, keys, matchedBy } = lookupKeysForInput(number);
+    if (keys.length === 0) {
+      reply.code(400);
+      return { error: "Invalid phone number" };
+    }
+    const matches = [];
+    for (const dn of findDNsByPhoneKeys(keys)) {
+      const row = toListRow(await usersByDN.get(dn), false);
+      if (row) matches.push(row);
+    }
+    if (matches.length === 0) {
+      reply.code(404);
+      return { error: "No contact found", number, normalized };
+    }
+    return { number, normalized, matchedBy, matches };
+  });
+}
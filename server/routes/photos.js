@@ -0,0 +1,42 @@
+import { getOptionalUser } from "../lib/auth.js";
+import { shouldIncludeInPublicList } from "../lib/publicUserFilter.js";
+import { getPhoto } from "../lib/photos.js";
+import { getUserById } from "../lib/orgChart.js";
+import { etagMatches } from "../lib/etag.js";
+
+/** Cache lifetime of a photo requested with its current hash (?v=photoHash): the URL changes with the image. */
+const VERSIONED_MAX_AGE = 365 * 24 * 3600;
+
+export async function photosRoutes(fastify) {
+  // Contact photo (id as in list rows). Photos of contacts in the public list are served to everyone, as
+  // <img> requests carry no Authorization header; admins sending a token also get the others. Without a
+  // photo the answer is 404 and clients show an initials avatar.
+  fastify.get("/photos/:id", async (request, reply) => {
+    const { id } = request.params;
+    if (!/^[0-9a-f]{64}$/.test(id)) {
+      reply.code(400);
+      return { error: "Invalid id" };
+    }
+    const photo = getPhoto(id);
+    // By contact id, not photo.dn: the id survives OU moves, the DN stored with the photo may not
+    const doc = photo ? getUserById(id) : null;
+    const visible = doc && (shouldIncludeInPublicList(doc) || (await getOptionalUser(request)).isAdmin);
+    if (!visible) {
+      reply.code(404);
+      return { error: "No photo" };
+    }
+
+    const etag = `"${photo.hash}"`;
+    const versioned = request.query?.v === photo.hash;
+    reply.header("ETag", etag);
+    reply.header("Vary", "Authorization");
+    reply.header("Cache-Control", versioned ? `private, max-age=${VERSIONED_MAX_AGE}, immutable` : "private, no-cache");
+    reply.header("X-Content-Type-Options", "nosniff");
+    if (etagMatches(request.headers["if-none-match"], etag)) {
+      reply.code(304);
+      return null;
+    }
+    reply.type(photo.type);
+    return photo.data;
+  });
+}
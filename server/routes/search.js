@@ -0,0 +1,37 @@
+import { getOptionalUser } from "../lib/auth.js";
+import {
+  searchUsers,
+  suggest,
+  parsePaging,
+  DEFAULT_SUGGEST_LIMIT,
+  MAX_SUGGEST_LIMIT,
+} from "../lib/search.js";
+
+export async function searchRoutes(fastify) {
+  // Ranked search over the sync index. Same admin/public row shaping as GET /users.
+  fastify.get("/search", async (request, reply) => {
+    const { q, offset, limit } = request.query || {};
+    if (!q || typeof q !== "string" || !q.trim()) {
+      reply.code(400);
+      return { error: "q is required" };
+    }
+    const { isAdmin } = await getOptionalUser(request);
+    return searchUsers({ q: q.trim(), isAdmin, ...parsePaging(offset, limit) });
+  });
+
+  // Typeahead: top people, departments and offices whose index tokens start with the prefix.
+  fastify.get("/suggest", async (request, reply) => {
+    const { prefix, limit } = request.query || {};
+    if (!prefix || typeof prefix !== "string" || !prefix.trim()) {
+      reply.code(400);
+      return { error: "prefix is required" };
+    }
+    const n = Number.parseInt(limit, 10);
+    const { isAdmin } = await getOptionalUser(request);
+    return suggest({
+      prefix: prefix.trim(),
+      isAdmin,
+      limit: Number.isFinite(n) && n > 0 ? Math.min(n, MAX_SUGGEST_LIMIT) : DEFAULT_SUGGEST_LIMIT,
+    });
+  });
+}
@@ -1,40 +1,104 @@
 import { randomUUID } from "crypto";
 import { usersByDN } from "../lib/db.js";
 import { requireAdmin, getOptionalUser } from "../lib/auth.js";
-import { shouldIncludeInPublicList, toPublicUser, toMinimalPublicRow, hashDn } from "../lib/publicUserFilter.js";
-import { addListRowDisplayFields } from "../lib/displayUser.js";
+import {
+  buildManualDn,
+  MANUAL_SOURCE_ID,
+  toListRow,
+  parseListFilters,
+  rowMatchesFilters,
+  parseFields,
+  projectRow,
+  encodeCursor,
+  decodeCursor,
+} from "../lib/userRows.js";
+import { usersEtag, etagMatches, bumpManualChanges } from "../lib/etag.js";
+import { saveUser, removeUser } from "../lib/searchIndex.js";
+import { managementChain, reportsOf } from "../lib/orgChart.js";
 
-function buildManualDn(id) {
-  return `MANUAL:${id}`;
-}
-
-function extractManualIdFromDn(dn) {
-  if (!dn || !dn.startsWith("MANUAL:")) return null;
-  return dn.slice("MANUAL:".length);
-}
+/** Upper bound for limit on GET /users. */
+const MAX_PAGE_SIZE = 1000;
 
 export async function usersRoutes(fastify) {
   // Fetch users: admin gets full objects; non-admin/unauthenticated get filtered list with table-only fields.
-  fastify.get("/users", async (request) => {
+  // Optional: fields=a,b (projection), filter[department]=… / filter[office]=… (see LIST_FILTER_FIELDS),
+  // limit + cursor (pagination; the response becomes { users, nextCursor }). Without limit the full
+  // array is returned. Responses carry a strong ETag and answer If-None-Match with 304.
+  fastify.get("/users", async (request, reply) => {
     const { isAdmin } = await getOptionalUser(request);
+    const query = request.query || {};
+    const queryString = request.url.includes("?") ? request.url.slice(request.url.indexOf("?") + 1) : "";
+    const etag = usersEtag(isAdmin ? "admin" : "public", queryString);
+    reply.header("ETag", etag);
+    reply.header("Cache-Control", "private, no-cache");
+    reply.header("Vary", "Authorization");
+    if (etagMatches(request.headers["if-none-match"], etag)) {
+      reply.code(304);
+      return null;
+    }
+
+    const fields = parseFields(query.fields);
+    const filters = parseListFilters(query);
+    const n = Number.parseInt(query.limit, 10);
+    const limit = Number.isFinite(n) && n > 0 ? Math.min(n, MAX_PAGE_SIZE) : null;
+    const after = decodeCursor(query.cursor);
+    if (query.cursor && !after) {
+      reply.code(400);
+      return { error: "Invalid cursor" };
+    }
+
     const users = [];
-    for await (const { value } of usersByDN.getRange({})) {
-      if (!value) continue;
-      if (isAdmin) {
-        const row = {
-          ...value,
-          id: hashDn(value.dn),
-        };
-        if (value.isManual) row.manualId = extractManualIdFromDn(value.dn);
-        users.push(addListRowDisplayFields(row));
-        continue;
+    let lastKey = null;
+    let nextCursor = null;
+    for (const { key, value } of usersByDN.getRange(after ? { start: after } : {})) {
+      if (key === after) continue;
+      const row = toListRow(value, isAdmin);
+      if (!row || !rowMatchesFilters(row, filters)) continue;
+      if (limit && users.length === limit) {
+        // One more match exists: the next page starts after the last returned row
+        nextCursor = encodeCursor(lastKey);
+        break;
       }
-      if (!shouldIncludeInPublicList(value)) continue;
-      const publicRow = toPublicUser(value);
-      const withDisplay = addListRowDisplayFields(publicRow);
-      users.push(toMinimalPublicRow(withDisplay));
+      users.push(projectRow(row, fields));
+      lastKey = key;
+    }
+    if (!limit && !after) return users;
+    return { users, nextCursor };
+  });
+
+  // Org chart: the contact (id as in list rows) and their managers, nearest first, up to the top.
+  // Rows have the caller's list shape plus managerId and reportCount; hidden managers are skipped.
+  fastify.get("/users/:id/chain", async (request, reply) => {
+    const { id } = request.params;
+    if (!/^[0-9a-f]{64}$/.test(id)) {
+      reply.code(400);
+      return { error: "Invalid id" };
+    }
+    const { isAdmin } = await getOptionalUser(request);
+    const result = managementChain(id, isAdmin);
+    if (!result) {
+      reply.code(404);
+      return { error: "User not found" };
+    }
+    reply.header("Vary", "Authorization");
+    return result;
+  });
+
+  // Org chart: the contact and their direct reports (sorted by name), same row shape as /chain
+  fastify.get("/users/:id/reports", async (request, reply) => {
+    const { id } = request.params;
+    if (!/^[0-9a-f]{64}$/.test(id)) {
+      reply.code(400);
+      return { error: "Invalid id" };
+    }
+    const { isAdmin } = await getOptionalUser(request);
+    const result = reportsOf(id, isAdmin);
+    if (!result) {
+      reply.code(404);
+      return { error: "User not found" };
     }
-    return users;
+    reply.header("Vary", "Authorization");
+    return result;
   });
 
   // Create a new manually managed contact (admin only)
@@ -101,10 +165,12 @@ export async function usersRoutes(fastify) {
       uac: null,
       uacDescription: null,
       isManual: true,
+      source: MANUAL_SOURCE_ID,
       syncedAt: now,
     };
 
-    await usersByDN.put(dn, doc);
+    saveUser(dn, doc, { source: "manual", actor: request.user?.login ?? null });
+    await bumpManualChanges();
 
     reply.code(201);
     return { ...doc, id };
@@ -169,10 +235,12 @@ export async function usersRoutes(fastify) {
             ? phones.ipPhone
             : existing.phones?.ipPhone ?? null,
       },
+      source: MANUAL_SOURCE_ID,
       syncedAt: new Date().toISOString(),
     };
 
-    await usersByDN.put(dn, updated);
+    saveUser(dn, updated, { source: "manual", actor: request.user?.login ?? null });
+    await bumpManualChanges();
 
     return { ...updated, id };
   });
@@ -191,7 +259,8 @@ export async function usersRoutes(fastify) {
         return { error: "Manual contact not found" };
       }
 
-      await usersByDN.remove(dn);
+      removeUser(dn);
+      await bumpManualChanges();
 
       reply.code(204);
       return null;
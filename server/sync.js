@@ -1,471 +1,1129 @@
 /**
  * Sync LDAP/AD users into a local LMDB store with DELTA SYNC (detect deletes + update index cleanly).
- * Env: LDAP_URL, LDAP_BIND_DN, LDAP_BIND_PW, LDAP_BASE_DN
+ * Syncs every configured directory (LDAP_SOURCES_FILE) one after another, then imports the HR file and purges
+ * expired tombstones. Runs from cron, by hand, or as a child of the API server (lib/syncRunner.js).
+ * Env: LDAP_URL, LDAP_BIND_DN, LDAP_BIND_PW, LDAP_BASE_DN, LDAP_GROUP_BASE_DN, LDAP_SCHEMA, LDAP_MAPPING_FILE, LDAP_SOURCES_FILE
+ * Flags: --reindex (only rebuild the search and phone indexes from stored docs, no LDAP)
+ *        --full (fetch and rewrite all users, ignoring the stored high-water mark)
+ *        --dry-run (search LDAP and report would-be inserts, updates and deletes to data/sync-logs; no writes)
  */
 import "dotenv/config";
 import { mkdirSync } from "fs";
 import { Client } from "ldapts";
-import { createHash } from "crypto";
 import pino from "pino";
 import { join } from "path";
-import { validateLdapConfig, LDAP, HAS_LDAP_CONFIG, TEST_MODE, SYNC_LOGS_DIR } from "./lib/config.js";
+import { validateLdapConfig, HAS_LDAP_CONFIG, TEST_MODE, SYNC_LOGS_DIR, SYNC, TOMBSTONES, HR } from "./lib/config.js";
+import { db, usersByDN, usersByGUID, allDNs } from "./lib/db.js";
 import {
-  db,
-  usersByDN,
-  usersByGUID,
-  indexDB,
-  userTokensByDN,
-  allDNs,
-} from "./lib/db.js";
+  saveUsers,
+  renameUser,
+  reindexAll,
+  rebuildPhoneIndex,
+  searchIndexOutdated,
+  phoneIndexOutdated,
+  searchIndexFingerprint,
+} from "./lib/searchIndex.js";
+import {
+  mappingAttributes,
+  allUsersFilter,
+  enabledUsersFilter,
+  entryDN,
+  parseRangedAttribute,
+  entryToDocument,
+  entryPhoto,
+  photoAttributes,
+  guidAttributes,
+  GUID_FORMAT,
+  isEntryDisabled,
+  entryToGroup,
+  groupAttributes,
+  ldapEscape,
+  IN_CHAIN_OID,
+} from "./lib/ldapMapping.js";
+import {
+  LDAP_SOURCES,
+  DEFAULT_SOURCE_ID,
+  normalizeDN,
+  isExcluded,
+  sourceOfStoredDN,
+  withSourceFilter,
+} from "./lib/ldapSources.js";
+import { diffDocuments } from "./lib/history.js";
+import { writeDryRunReport } from "./lib/syncReport.js";
+import { toPhoto, savePhoto } from "./lib/photos.js";
+import { expandNestedMembers, childGroups, groupNamesByUser, saveGroups } from "./lib/groups.js";
+import {
+  deletableDoc,
+  deleteLimit,
+  getPendingDeletes,
+  holdPendingDeletes,
+  clearPendingDeletes,
+  releasePendingDeletes,
+  retireUser,
+  purgeExpiredTombstones,
+} from "./lib/syncDeletes.js";
+import { expiredTombstones } from "./lib/tombstones.js";
+import { bumpManualChanges } from "./lib/etag.js";
+import { acquireSyncLock, startHeartbeat, releaseSyncLock } from "./lib/syncLock.js";
+import { recordSyncRun } from "./lib/syncRuns.js";
+import { importHrFile } from "./lib/hrImport.js";
 
 validateLdapConfig();
 
 let log = pino({ level: process.env.LOG_LEVEL || "info" });
 
-const UAC_DESCRIPTIONS = {
-  1: "SCRIPT",
-  2: "ACCOUNTDISABLE",
-  8: "HOMEDIR_REQUIRED",
-  16: "LOCKOUT",
-  32: "PASSWD_NOTREQD",
-  64: "PASSWD_CANT_CHANGE",
-  128: "ENCRYPTED_TEXT_PWD_ALLOWED",
-  256: "TEMP_DUPLICATE_ACCOUNT",
-  512: "NORMAL_ACCOUNT",
-  514: "Disabled Account",
-  544: "Enabled, Password Not Required",
-  546: "Disabled, Password Not Required",
-  2048: "INTERDOMAIN_TRUST_ACCOUNT",
-  4096: "WORKSTATION_TRUST_ACCOUNT",
-  8192: "SERVER_TRUST_ACCOUNT",
-  65536: "DONT_EXPIRE_PASSWORD",
-  66048: "Enabled, Password Doesn't Expire",
-  66050: "Disabled, Password Doesn't Expire",
-  66082: "Disabled, Password Doesn't Expire & Not Required",
-  131072: "MNS_LOGON_ACCOUNT",
-  262144: "SMARTCARD_REQUIRED",
-  262656: "Enabled, Smartcard Required",
-  262658: "Disabled, Smartcard Required",
-  262690: "Disabled, Smartcard Required, Password Not Required",
-  328194: "Disabled, Smartcard Required, Password Doesn't Expire",
-  328226: "Disabled, Smartcard Required, Password Doesn't Expire & Not Required",
-  524288: "TRUSTED_FOR_DELEGATION",
-  532480: "Domain controller",
-  1048576: "NOT_DELEGATED",
-  2097152: "USE_DES_KEY_ONLY",
-  4194304: "DONT_REQ_PREAUTH",
-  8388608: "PASSWORD_EXPIRED",
-  16777216: "TRUSTED_TO_AUTH_FOR_DELEGATION",
-  67108864: "PARTIAL_SECRETS_ACCOUNT",
-};
-
-function toArray(v) {
-  if (v == null) return [];
-  return Array.isArray(v) ? v : [v];
-}
+/** A page write slower than this is logged as a warning (milliseconds). */
+const SLOW_PAGE_WRITE_MS = 2000;
 
-function normalizeGUID(guid) {
-  if (!guid) return null;
-  if (Buffer.isBuffer(guid)) return createHash("sha1").update(guid).digest("hex");
-  if (typeof guid === "string") {
-    if (/^[0-9a-fA-F-]{36}$/.test(guid)) return guid.toLowerCase();
-    return createHash("sha1").update(guid, "utf8").digest("hex");
-  }
-  return createHash("sha1").update(JSON.stringify(guid)).digest("hex");
-}
+/** Change-tracking attributes requested in addition to the mapped ones. */
+const TRACKING_ATTRIBUTES = ["uSNChanged", "modifyTimestamp"];
 
-function tokenize(...values) {
-  const out = new Set();
-  for (const v of values) {
-    if (!v) continue;
-    const s = String(v).toLowerCase();
-    for (const t of s.split(/[^a-z0-9@.+-]+/i)) {
-      if (!t) continue;
-      if (t.length < 2) continue;
-      out.add(t);
-    }
-  }
-  return [...out];
+/** Most HR rows without a matching user that are logged one by one. */
+const MAX_UNMATCHED_HR_ROWS_LOGGED = 200;
+
+/**
+ * Root-store key of a source's incremental sync state (directory identity, high-water marks, last
+ * reconciliation). The default source keeps the key used before multiple sources existed.
+ * @param {Object} source
+ * @returns {string}
+ */
+function syncStateKey(source) {
+  return source.id === DEFAULT_SOURCE_ID ? "meta:syncState" : `meta:syncState:${source.id}`;
 }
 
-function extractCN(dn) {
-  if (!dn) return null;
-  const m = /^CN=([^,]+),/i.exec(dn);
-  return m ? m[1] : dn;
+/**
+ * What a source syncs; when it changes, stored high-water marks no longer apply. Includes the mapped and photo
+ * attributes, so mapping another field (such as employeeID, the HR import's join key) or turning photos on runs
+ * one full sync that fetches them for unchanged users too, and the GUID format, so a new format reaches every
+ * stored user (and their contact id) in one full sync.
+ * @param {Object} source
+ * @returns {string}
+ */
+function sourceScope(source) {
+  return JSON.stringify({
+    url: source.url,
+    baseDNs: source.baseDNs,
+    excludeSubtrees: source.excludeSubtrees,
+    filter: source.filter,
+    schema: source.mapping.name,
+    attributes: mappingAttributes(source.mapping),
+    photo: photoAttributes(source.mapping),
+    guidFormat: GUID_FORMAT,
+  });
 }
 
-/** Convert Windows FILETIME (100-nanosecond intervals since 1601-01-01) to ISO string or null. */
-function filetimeToIso(value) {
-  if (value == null || value === 0 || value === "0") return null;
-  const n = Number(value);
-  if (!Number.isFinite(n) || n <= 0) return null;
-  const ms = n / 10000 - 11644473600000;
-  return new Date(ms).toISOString();
+/**
+ * Deletes a user that is no longer in LDAP (see deletableDoc), keeping a tombstone (see retireUser).
+ * @param {string} dn
+ * @param {Object} source
+ * @returns {boolean} Whether a user was deleted.
+ */
+function deleteUser(dn, source) {
+  if (!deletableDoc(dn, source.id)) return false;
+  return retireUser(dn);
 }
 
-async function addDNToToken(token, dn) {
-  const current = (await indexDB.get(token)) || [];
-  if (!current.includes(dn)) {
-    current.push(dn);
-    await indexDB.put(token, current);
+/**
+ * Reads the change-tracking capabilities of the directory from its rootDSE. Active Directory exposes
+ * highestCommittedUSN and, on the DC's NTDS Settings object, an invocationId that changes when the DC
+ * is restored (its USNs are then no longer comparable). Other servers are tracked by modifyTimestamp.
+ * @param {Client} client - Bound ldapts client.
+ * @returns {Promise<{ mode: "usn"|"timestamp", invocationId: string|null, highestUSN: number|null }>}
+ */
+async function readDirectoryState(client) {
+  const { searchEntries } = await client.search("", {
+    scope: "base",
+    filter: "(objectClass=*)",
+    attributes: ["highestCommittedUSN", "dsServiceName"],
+  });
+  const rootDSE = searchEntries[0] || {};
+  const highestUSN = Number(rootDSE.highestCommittedUSN);
+  if (!Number.isFinite(highestUSN)) {
+    return { mode: "timestamp", invocationId: null, highestUSN: null };
+  }
+  let invocationId = null;
+  if (rootDSE.dsServiceName) {
+    const { searchEntries: ntds } = await client.search(String(rootDSE.dsServiceName), {
+      scope: "base",
+      filter: "(objectClass=*)",
+      attributes: ["invocationId"],
+      explicitBufferAttributes: ["invocationId"],
+    });
+    const raw = ntds[0]?.invocationId;
+    if (Buffer.isBuffer(raw)) invocationId = raw.toString("hex");
+    else if (raw) invocationId = String(raw);
   }
+  return { mode: "usn", invocationId, highestUSN };
 }
 
-async function removeDNFromToken(token, dn) {
-  const current = (await indexDB.get(token)) || [];
-  const next = current.filter((x) => x !== dn);
-  if (next.length === 0) {
-    // keep DB smaller
-    await indexDB.remove(token);
-  } else if (next.length !== current.length) {
-    await indexDB.put(token, next);
+/**
+ * Decides whether this run can be incremental, given the stored state and the current directory.
+ * @param {Object|undefined} state - The source's stored sync state.
+ * @param {{ mode: string, invocationId: string|null, highestUSN: number|null }} directory
+ * @param {string} scope - sourceScope() of the source.
+ * @param {boolean} forceFull - --full given.
+ * @returns {{ incremental: boolean, reason: string }}
+ */
+function planSync(state, directory, scope, forceFull) {
+  if (forceFull) return { incremental: false, reason: "--full requested" };
+  if (!state) return { incremental: false, reason: "no previous sync state" };
+  if (state.scope !== scope) return { incremental: false, reason: "source URL, base DNs, exclusions, filter, mapped attributes, photo attributes or GUID format changed" };
+  if (state.mode !== directory.mode) return { incremental: false, reason: "directory change tracking changed" };
+  if (directory.mode === "usn") {
+    if (state.invocationId !== directory.invocationId) {
+      return { incremental: false, reason: "directory invocationId changed (other DC or restore)" };
+    }
+    if (state.highestUSN == null || directory.highestUSN < state.highestUSN) {
+      return { incremental: false, reason: "no usable USN high-water mark" };
+    }
+  } else if (!state.highestTimestamp) {
+    return { incremental: false, reason: "no modifyTimestamp high-water mark" };
   }
+  return { incremental: true, reason: "changes since last sync" };
 }
 
-async function updateIndexForUser(dn, newTokens) {
-  const indexUpdateStart = Date.now();
-  // Read previous tokens (if any)
-  const prevTokens = (await userTokensByDN.get(dn)) || [];
+/**
+ * LDAP generalized time ("20240131120000.0Z") truncated to whole seconds ("20240131120000Z"), or null.
+ * @param {*} value
+ * @returns {string|null}
+ */
+function toGeneralizedTime(value) {
+  const m = /^(\d{14})/.exec(String(value ?? ""));
+  return m ? `${m[1]}Z` : null;
+}
 
-  const prevSet = new Set(prevTokens);
-  const newSet = new Set(newTokens);
+/**
+ * Whether the periodic DN reconciliation is due for an incremental run.
+ * @param {Object} state - The source's stored sync state.
+ * @returns {boolean}
+ */
+function reconcileDue(state) {
+  if (!state.lastReconcileAt) return true;
+  const ageHours = (Date.now() - Date.parse(state.lastReconcileAt)) / 3_600_000;
+  return !(ageHours < SYNC.fullReconcileHours);
+}
 
-  // tokens to add
-  let tokensAdded = 0;
-  for (const t of newSet) {
-    if (!prevSet.has(t)) {
-      await addDNToToken(t, dn);
-      tokensAdded++;
+/**
+ * Fetches the remaining values of ranged attributes (parseRangedAttribute): AD truncates large member / memberOf
+ * lists to the first range, and the rest is read range by range with base searches of the entry. The complete
+ * list replaces the ranged key, so the mapping reads it like any other attribute.
+ * @param {Client} client - Bound ldapts client.
+ * @param {Object} entry - ldapts search entry; changed in place.
+ * @returns {Promise<boolean>} Whether the entry had ranged attributes.
+ */
+async function completeRangedAttributes(client, entry) {
+  const ranged = Object.keys(entry)
+    .map((key) => ({ key, range: parseRangedAttribute(key) }))
+    .filter((r) => r.range);
+  if (ranged.length === 0) return false;
+  const dn = entryDN(entry);
+  for (const { key, range } of ranged) {
+    const values = [].concat(entry[key] ?? []);
+    delete entry[key];
+    let end = range.end;
+    while (dn && end != null) {
+      const { searchEntries } = await client.search(dn, {
+        scope: "base",
+        filter: "(objectClass=*)",
+        attributes: [`${range.attribute};range=${end + 1}-*`],
+      });
+      const next = Object.entries(searchEntries[0] || {})
+        .map(([k, v]) => ({ range: parseRangedAttribute(k), v }))
+        .find((r) => r.range && r.range.attribute.toLowerCase() === range.attribute.toLowerCase());
+      // No further range (e.g. values removed meanwhile): keep what was read
+      if (!next || next.range.start !== end + 1) break;
+      values.push(...[].concat(next.v ?? []));
+      end = next.range.end;
     }
+    entry[range.attribute] = values;
   }
+  return true;
+}
 
-  // tokens to remove
-  let tokensRemoved = 0;
-  for (const t of prevSet) {
-    if (!newSet.has(t)) {
-      await removeDNFromToken(t, dn);
-      tokensRemoved++;
+/**
+ * Searches every base DN of a source page by page (paged results control, SYNC_PAGE_SIZE entries), so a large
+ * directory is processed as a stream instead of being held in memory; the next page is requested when the caller
+ * asks for it. Entries in an excluded subtree are left out (their DNs are returned separately), as are entries
+ * that an overlapping base DN returns a second time.
+ * @param {Client} client - Bound ldapts client.
+ * @param {Object} source
+ * @param {string} filter
+ * @param {string[]} attributes
+ * @returns {AsyncGenerator<{ entries: Object[], excludedDNs: string[] }>} One item per page.
+ */
+async function* searchPages(client, source, filter, attributes) {
+  const seen = new Set();
+  for (const baseDN of source.baseDNs) {
+    const pages = client.searchPaginated(baseDN, {
+      scope: "sub",
+      filter,
+      attributes,
+      explicitBufferAttributes: [...photoAttributes(source.mapping), ...guidAttributes(source.mapping)],
+      paged: { pageSize: SYNC.pageSize },
+    });
+    for await (const { searchEntries } of pages) {
+      const entries = [];
+      const excludedDNs = [];
+      for (const e of searchEntries) {
+        const dn = entryDN(e);
+        if (dn) {
+          const key = normalizeDN(dn);
+          if (seen.has(key)) continue;
+          seen.add(key);
+          if (isExcluded(source, dn)) {
+            excludedDNs.push(dn);
+            continue;
+          }
+        }
+        entries.push(e);
+      }
+      yield { entries, excludedDNs };
     }
   }
-
-  await userTokensByDN.put(dn, [...newSet]);
-  const indexUpdateMs = Date.now() - indexUpdateStart;
-  if (indexUpdateMs > 50) {
-    log.debug(
-      { dn, indexUpdateMs, tokensAdded, tokensRemoved, totalTokens: newTokens.length },
-      "Index update timing"
-    );
-  }
 }
 
-async function deleteUser(dn) {
-  if (!dn) {
-    return;
+/**
+ * All results of searchPages() at once, for the small searches (DN lists, group members).
+ * @param {Client} client - Bound ldapts client.
+ * @param {Object} source
+ * @param {string} filter
+ * @param {string[]} attributes
+ * @returns {Promise<{ entries: Object[], excludedDNs: string[] }>}
+ */
+async function searchSource(client, source, filter, attributes) {
+  const entries = [];
+  const excludedDNs = [];
+  for await (const page of searchPages(client, source, filter, attributes)) {
+    entries.push(...page.entries);
+    excludedDNs.push(...page.excludedDNs);
   }
+  return { entries, excludedDNs };
+}
 
-  const doc = await usersByDN.get(dn);
-  if (!doc) return;
-
-  // Never delete manually added contacts as part of LDAP delta sync
-  if (doc.isManual) {
-    return;
+/**
+ * Reads the groups of a source (groupBaseDNs) and resolves the users of each, including those of nested
+ * groups. With LDAP_MATCHING_RULE_IN_CHAIN (AD) the directory resolves groups that contain other groups;
+ * otherwise member lists are expanded locally.
+ * @param {Client} client - Bound ldapts client.
+ * @param {Object} source
+ * @returns {Promise<{ groups: Object[], inChainSearches: number, rangedGroups: number }>} Groups as in saveGroups();
+ *   rangedGroups counts groups whose member list was read in ranges.
+ */
+async function resolveGroups(client, source) {
+  const { mapping } = source;
+  const list = [];
+  const seen = new Set();
+  let rangedGroups = 0;
+  for (const baseDN of source.groupBaseDNs) {
+    const { searchEntries } = await client.search(baseDN, {
+      scope: "sub",
+      filter: mapping.groups.filter,
+      attributes: groupAttributes(mapping),
+      paged: { pageSize: 1000, pagePause: false },
+    });
+    for (const e of searchEntries) {
+      if (await completeRangedAttributes(client, e)) rangedGroups++;
+      const group = entryToGroup(e, mapping);
+      if (!group.dn || seen.has(normalizeDN(group.dn))) continue;
+      seen.add(normalizeDN(group.dn));
+      list.push(group);
+    }
   }
-
-  // remove from usersByGUID if guid known
-  if (doc.guid) await usersByGUID.remove(doc.guid);
-
-  // remove tokens from inverted index
-  const tokens = (await userTokensByDN.get(dn)) || [];
-  for (const t of tokens) {
-    await removeDNFromToken(t, dn);
+  const children = childGroups(list);
+  const expanded = mapping.groups.inChain ? null : expandNestedMembers(list);
+  let inChainSearches = 0;
+  for (const group of list) {
+    group.childGroupDNs = children.get(group.dn);
+    if (expanded) {
+      group.userDNs = expanded.get(group.dn);
+    } else if (group.childGroupDNs.length === 0) {
+      group.userDNs = group.memberDNs;
+    } else {
+      const filter = `(&${enabledUsersFilter(mapping)}(memberOf:${IN_CHAIN_OID}:=${ldapEscape(group.dn)}))`;
+      const { entries } = await searchSource(client, source, filter, ["distinguishedName"]);
+      group.userDNs = entries.map(entryDN).filter(Boolean);
+      inChainSearches++;
+    }
   }
-  await userTokensByDN.remove(dn);
-
-  await usersByDN.remove(dn);
-  await allDNs.remove(dn);
+  return { groups: list, inChainSearches, rangedGroups };
 }
 
-async function main() {
-  if (!HAS_LDAP_CONFIG && TEST_MODE) {
-    log.info("PHONEBOOK_TEST_MODE=1 and LDAP env missing; skipping LDAP sync.");
-    await db.close();
-    return;
-  }
+/**
+ * Syncs one directory source: upserts its users and delta-deletes the DNs it stored earlier that it no
+ * longer lists. Throws when the directory cannot be read; nothing of this source is deleted then.
+ * After the first full run only entries changed since the source's high-water mark (uSNChanged on AD,
+ * modifyTimestamp elsewhere) are fetched, and deleted users are found by a periodic DN-only reconciliation
+ * search (SYNC_FULL_RECONCILE_HOURS). Groups are read first to resolve nested membership (lib/groups.js).
+ * Users are streamed page by page (SYNC_PAGE_SIZE), mapped with lib/ldapMapping.js and written one page per
+ * transaction (saveUsers). A user found under a new DN with a stored GUID moved to another OU and keeps its
+ * contact id (renameUser); deleted users are kept as tombstones (lib/tombstones.js).
+ * With dryRun nothing is written; the summary lists the would-be inserts, updates and deletes instead.
+ * @param {Object} source - Entry of LDAP_SOURCES.
+ * @param {Set<string>} knownDNs - DNs this source stored before the run.
+ * @param {{ forceFull: boolean, dryRun: boolean }} options - --full / --dry-run given.
+ * @returns {Promise<Object>} Per-source summary.
+ */
+async function syncSource(source, knownDNs, { forceFull, dryRun }) {
+  const { mapping } = source;
+  const changes = dryRun ? { inserts: [], updates: [], deletes: [] } : null;
+  let unchanged = 0;
 
+  // Deletes (or, in a dry run, records) a user this source no longer lists
+  const removeStale = (dn, reason) => {
+    if (!dryRun) return deleteUser(dn, source);
+    const doc = deletableDoc(dn, source.id);
+    if (!doc) return false;
+    changes.deletes.push({ dn, displayName: doc.displayName ?? null, reason });
+    return true;
+  };
   const client = new Client({
-    url: LDAP.url,
+    url: source.url,
     timeout: 60_000,
     connectTimeout: 15_000,
   });
 
-  // Build a set of known DNs BEFORE this run (for delta deletes)
-  log.info("Phase 1: Loading known DNs from database…");
-  const knownDNs = new Set();
-  let emptyDNKeysInAllDNs = 0;
-  for await (const { key } of allDNs.getKeys({})) {
-    if (!key) {
-      emptyDNKeysInAllDNs++;
-      continue;
-    }
-    knownDNs.add(key);
-  }
-  log.info({ knownDNsCount: knownDNs.size, emptyDNKeysIgnored: emptyDNKeysInAllDNs }, "Known DNs loaded");
+  try {
+    log.info({ source: source.id, url: source.url }, "Phase 2: Binding to LDAP");
+    await client.bind(source.bindDN, source.bindPW);
 
-  const seenDNs = new Set();
-  const syncStartTime = Date.now();
+    const stateKey = syncStateKey(source);
+    const scope = sourceScope(source);
+    const syncState = db.get(stateKey);
+    const directory = await readDirectoryState(client);
+    const { incremental, reason } = planSync(syncState, directory, scope, forceFull);
 
-  mkdirSync(SYNC_LOGS_DIR, { recursive: true });
-  const logFileName = `sync-${new Date().toISOString().replace(/[:.]/g, "-")}.log`;
-  const logFilePath = join(SYNC_LOGS_DIR, logFileName);
-  const fileStream = pino.destination(logFilePath);
-  log = pino(
-    { level: process.env.LOG_LEVEL || "info" },
-    pino.multistream([{ stream: process.stdout }, { stream: fileStream }])
-  );
+    // Incremental searches include disabled accounts so that disabling a user removes them
+    let filter = enabledUsersFilter(mapping);
+    if (incremental && directory.mode === "usn") {
+      filter = `(&${allUsersFilter(mapping)}(uSNChanged>=${syncState.highestUSN + 1}))`;
+    } else if (incremental) {
+      filter = `(&${allUsersFilter(mapping)}(modifyTimestamp>=${syncState.highestTimestamp}))`;
+    }
+    filter = withSourceFilter(source, filter);
+    log.info(
+      {
+        source: source.id,
+        mode: incremental ? "incremental" : "full",
+        reason,
+        changeTracking: directory.mode,
+        highestUSN: directory.highestUSN,
+      },
+      "Phase 2: Sync mode"
+    );
 
-  try {
-    log.info({ url: LDAP.url }, "Phase 2: Binding to LDAP");
-    await client.bind(LDAP.bindDN, LDAP.bindPW);
-
-    const filter =
-      "(&" +
-      "(objectCategory=person)" +
-      "(objectClass=user)" +
-      "(!(objectClass=computer))" +
-      "(!(userAccountControl:1.2.840.113556.1.4.803:=2))" +
-      ")";
-
-    const attributes = [
-      "distinguishedName",
-      "objectGUID",
-      "sAMAccountName",
-      "userPrincipalName",
-      "mail",
-      "displayName",
-      "givenName",
-      "sn",
-      "title",
-      "department",
-      "company",
-      "physicalDeliveryOfficeName",
-      "l",
-      "st",
-      "co",
-      "telephoneNumber",
-      "mobile",
-      "ipPhone",
-      "streetAddress",
-      "postalCode",
-      "memberOf",
-      "manager",
-      "lastLogon",
-      "lastLogonTimestamp",
-      "pwdLastSet",
-      "whenChanged",
-      "whenCreated",
-      "userAccountControl",
-    ];
-
-    log.info({ baseDN: LDAP.baseDN }, "Phase 2: Searching LDAP");
-    const beforeSearch = Date.now();
-    const { searchEntries } = await client.search(LDAP.baseDN, {
-      scope: "sub",
-      filter,
-      attributes,
-      paged: { pageSize: 1000, pagePause: false },
-    });
-    const searchMs = Date.now() - beforeSearch;
-    log.info({ count: searchEntries.length, searchMs }, "Phase 2: LDAP search completed");
+    // Groups: nested membership for doc.groups.allNames, and the group directory
+    let resolvedGroups = null;
+    let groupNames = null;
+    let groupMs = 0;
+    let rangedGroups = 0;
+    if (mapping.groups) {
+      const groupStart = Date.now();
+      try {
+        log.info({ source: source.id, groupBaseDNs: source.groupBaseDNs }, "Phase 2: Resolving groups");
+        const resolved = await resolveGroups(client, source);
+        resolvedGroups = resolved.groups;
+        rangedGroups = resolved.rangedGroups;
+        groupNames = groupNamesByUser(resolvedGroups);
+        groupMs = Date.now() - groupStart;
+        log.info(
+          {
+            source: source.id,
+            groups: resolvedGroups.length,
+            inChainSearches: resolved.inChainSearches,
+            rangedGroups,
+            groupMs,
+          },
+          "Phase 2: Groups resolved"
+        );
+      } catch (err) {
+        log.warn({ err, source: source.id }, "Phase 2: Group resolution failed; nested group names are kept from the last sync");
+      }
+    }
+    // Direct and nested group names; without resolved groups the names stored last time are kept
+    const allGroupNames = (dn, direct, previous) => {
+      const nested = groupNames ? groupNames.get(normalizeDN(dn)) || [] : previous || [];
+      return [...new Set([...direct, ...nested])].sort((a, b) => a.localeCompare(b));
+    };
 
     let upserts = 0;
+    let changed = 0;
+    let renames = 0;
+    let idsMoved = 0;
+    let photosChanged = 0;
+    let deletes = 0;
+    let ldapCount = 0;
+    let excluded = 0;
+    let rangedEntries = 0;
+    let pages = 0;
+    let searchMs = 0;
+    let processingMs = 0;
+    let writeMs = 0;
+    let postingKeysWritten = 0;
+    let peakRssMB = 0;
+    let highestTimestamp = syncState?.highestTimestamp ?? null;
     let entriesSkippedNoDN = 0;
     let entriesSkippedManual = 0;
-    const processingStart = Date.now();
+    const seenDNs = new Set();
+    // DN → reason for users an incremental search returned disabled or outside the scope; phase 4 deletes
+    // them under the same SYNC_DELETE_THRESHOLD guard as the reconciliation
+    const removals = new Map();
 
-    log.info({ totalEntries: searchEntries.length }, "Phase 3: Processing LDAP entries");
+    // Stored DN of a user that is now listed under dn: same GUID, same source
+    const renamedFrom = (dn, guid) => {
+      if (!guid) return null;
+      const previous = usersByGUID.get(guid);
+      if (!previous?.dn || previous.dn === dn || previous.source !== source.id) return null;
+      const stored = usersByDN.get(previous.dn);
+      return stored && !stored.isManual && stored.guid === guid ? previous.dn : null;
+    };
 
-    for (const [index, e] of searchEntries.entries()) {
-      const entryStart = Date.now();
-      const dn = e.distinguishedName || e.dn;
-      if (!dn) {
-        entriesSkippedNoDN++;
-        continue;
+    /**
+     * Maps one page of entries to documents and stores them in one transaction (documents, posting lists,
+     * photos); in a dry run only the would-be changes are recorded.
+     * @param {{ entries: Object[], excludedDNs: string[] }} page
+     */
+    const processPage = ({ entries, excludedDNs }) => {
+      excluded += excludedDNs.length;
+      // Moved into an excluded subtree since the last sync (a full run deletes these in phase 4)
+      if (incremental) {
+        for (const dn of excludedDNs) {
+          if (knownDNs.has(dn)) removals.set(dn, "moved into an excluded subtree");
+        }
       }
 
-      seenDNs.add(dn);
-
-      // Progress at 0%, 10%, 20%, … 100%
-      const total = searchEntries.length;
-      const pct = total > 0 ? Math.floor((index / total) * 100) : 0;
-      const prevPct = index > 0 && total > 0 ? Math.floor(((index - 1) / total) * 100) : -1;
-      const atStart = index === 0;
-      const atEnd = index === total - 1;
-      const atPctMilestone = pct % 10 === 0 && (atStart || prevPct < pct);
-      if (atPctMilestone || atEnd) {
-        const elapsed = Date.now() - processingStart;
-        const rate = index > 0 ? elapsed / index : 0;
-        const remaining = total - index - 1;
-        const etaMs = remaining > 0 ? Math.round(remaining * rate) : 0;
-        log.info(
-          { progress: `${pct}%`, index: index + 1, total, elapsedMs: elapsed, etaMs, upserts },
-          "Phase 3: Processing entries"
-        );
-      }
+      const batch = [];
+      for (const e of entries) {
+        ldapCount++;
+        const dn = entryDN(e);
+        if (!dn) {
+          entriesSkippedNoDN++;
+          continue;
+        }
 
-      const guid = normalizeGUID(e.objectGUID);
-      const memberOfDNs = toArray(e.memberOf);
-      const memberOfCNs = memberOfDNs.map(extractCN);
+        const modified = toGeneralizedTime(e.modifyTimestamp);
+        if (modified && (!highestTimestamp || modified > highestTimestamp)) highestTimestamp = modified;
 
-      const uacRaw = e.userAccountControl;
-      const uac = uacRaw != null ? Number(uacRaw) : null;
-      const uacDescription = uac != null && UAC_DESCRIPTIONS[uac] ? UAC_DESCRIPTIONS[uac] : null;
+        // Disabled since the last sync (only returned by incremental searches)
+        if (incremental && isEntryDisabled(e, mapping)) {
+          removals.set(dn, "disabled");
+          continue;
+        }
 
-      // If there is already a manually added contact under this key, do not overwrite it
-      const checkStart = Date.now();
-      const existingDoc = await usersByDN.get(dn);
-      const checkMs = Date.now() - checkStart;
-      if (checkMs > 10) {
-        log.warn({ dn, checkMs }, "Slow database read detected");
-      }
-      if (existingDoc && existingDoc.isManual) {
-        entriesSkippedManual++;
-        continue;
+        seenDNs.add(dn);
+
+        // If there is already a manually added contact under this key, do not overwrite it
+        let existingDoc = usersByDN.get(dn);
+        if (existingDoc && existingDoc.isManual) {
+          entriesSkippedManual++;
+          continue;
+        }
+        const mapped = entryToDocument(e, mapping);
+
+        // Moved to another OU (or renamed) since the last sync: move the stored user, so its id stays the same
+        const oldDn = existingDoc ? null : renamedFrom(dn, mapped.guid);
+        if (oldDn) {
+          renames++;
+          // The old DN is accounted for; phase 4 must not delete it (in a dry run it is still stored)
+          seenDNs.add(oldDn);
+          log.info({ source: source.id, oldDn, dn }, "Phase 3: User moved to a new DN");
+          if (!dryRun) renameUser(oldDn, dn);
+          existingDoc = usersByDN.get(dn) ?? usersByDN.get(oldDn);
+        }
+
+        // The image goes to the photos store; the document only carries its hash
+        const photo = toPhoto(entryPhoto(e, mapping));
+        const doc = {
+          ...mapped,
+          photoHash: photo?.hash ?? null,
+          source: source.id,
+          syncedAt: new Date().toISOString(),
+          // Written by the HR import, not by LDAP
+          ...(existingDoc?.hr && { hr: existingDoc.hr }),
+        };
+        doc.groups.allNames = allGroupNames(dn, doc.groups.names, existingDoc?.groups?.allNames);
+        upserts++;
+
+        if (dryRun) {
+          if (!existingDoc) {
+            changes.inserts.push({ dn, displayName: doc.displayName });
+          } else {
+            const fieldChanges = diffDocuments(existingDoc, doc);
+            if (fieldChanges.length > 0) {
+              changes.updates.push({ dn, displayName: doc.displayName, changes: fieldChanges });
+              changed++;
+            } else {
+              unchanged++;
+            }
+          }
+          continue;
+        }
+        batch.push({ dn, doc, photo });
       }
+      if (batch.length === 0) return;
 
-      const doc = {
-        dn,
-        guid,
-        accountName: e.sAMAccountName || null,
-        upn: e.userPrincipalName || null,
-        email: e.mail || null,
-        displayName: e.displayName || null,
-        firstName: e.givenName || null,
-        lastName: e.sn || null,
-        title: e.title || null,
-        department: e.department || null,
-        company: e.company || null,
-        office: e.physicalDeliveryOfficeName || null,
-        location: {
-          city: e.l || null,
-          state: e.st || null,
-          country: e.co || null,
-          street: e.streetAddress || null,
-          postalCode: e.postalCode || null,
-        },
-        phones: {
-          business: e.telephoneNumber || null,
-          mobile: e.mobile || null,
-          ipPhone: e.ipPhone || null,
-        },
-        groups: { dns: memberOfDNs, names: memberOfCNs },
-        managerDN: e.manager || null,
-        lastLogon: filetimeToIso(e.lastLogon),
-        lastLogonTimestamp: filetimeToIso(e.lastLogonTimestamp),
-        passwordLastSet: filetimeToIso(e.pwdLastSet),
-        whenChanged: e.whenChanged || null,
-        whenCreated: e.whenCreated || null,
-        uac,
-        uacDescription,
-        syncedAt: new Date().toISOString(),
-      };
-
-      // Upsert docs - batch writes together for better performance
+      // Documents, search tokens, phone keys, allDNs and photos of the page in one transaction
       const writeStart = Date.now();
-      // Use Promise.all to parallelize the three writes
-      await Promise.all([
-        usersByDN.put(dn, doc),
-        guid ? usersByGUID.put(guid, doc) : Promise.resolve(),
-        allDNs.put(dn, 1),
-      ]);
-      const writeMs = Date.now() - writeStart;
-      // With noSync: true, writes should be very fast (< 5ms typically)
-      // Only warn if significantly slower than expected
-      if (writeMs > 10) {
-        log.debug({ dn, writeMs }, "Database write timing");
+      db.transactionSync(() => {
+        const saved = saveUsers(batch);
+        for (const r of saved.results) {
+          if (r.fieldsChanged > 0) changed++;
+        }
+        for (const { doc, photo } of batch) {
+          if (savePhoto(doc, photo)) photosChanged++;
+        }
+        postingKeysWritten += saved.postingKeysWritten;
+        idsMoved += saved.idsMoved;
+      });
+      const pageWriteMs = Date.now() - writeStart;
+      writeMs += pageWriteMs;
+      if (pageWriteMs > SLOW_PAGE_WRITE_MS) {
+        log.warn({ source: source.id, page: pages, users: batch.length, pageWriteMs }, "Slow page write detected");
       }
+    };
 
-      // Incremental index update
-      const indexStart = Date.now();
-      const tokens = tokenize(
-        doc.accountName,
-        doc.upn,
-        doc.email,
-        doc.displayName,
-        doc.firstName,
-        doc.lastName,
-        doc.title,
-        doc.department,
-        doc.company,
-        doc.office,
-        doc.location.city,
-        doc.location.country,
-        doc.phones.business,
-        doc.phones.mobile,
-        doc.phones.ipPhone,
-        ...doc.groups.names
-      );
-
-      await updateIndexForUser(dn, tokens);
-      const indexMs = Date.now() - indexStart;
-      if (indexMs > 100) {
-        log.warn({ dn, indexMs, tokenCount: tokens.length }, "Slow index update detected");
+    log.info(
+      {
+        source: source.id,
+        baseDNs: source.baseDNs,
+        excludeSubtrees: source.excludeSubtrees,
+        schema: mapping.name,
+        filter,
+        pageSize: SYNC.pageSize,
+      },
+      "Phase 3: Streaming LDAP results"
+    );
+    // A full run should return about as many users as the source stored last time, which gives a progress estimate
+    const expected = incremental ? 0 : knownDNs.size;
+    const streamStart = Date.now();
+    let waitStart = streamStart;
+    for await (const page of searchPages(client, source, filter, [
+      ...mappingAttributes(mapping),
+      ...photoAttributes(mapping),
+      ...TRACKING_ATTRIBUTES,
+    ])) {
+      // Large memberOf lists arrive in ranges; read the rest before mapping the entries
+      for (const e of page.entries) {
+        if (await completeRangedAttributes(client, e)) rangedEntries++;
       }
+      searchMs += Date.now() - waitStart;
+      const pageStart = Date.now();
+      processPage(page);
+      processingMs += Date.now() - pageStart;
+      pages++;
+      peakRssMB = Math.max(peakRssMB, Math.round(process.memoryUsage().rss / 1048576));
+      const elapsedMs = Date.now() - streamStart;
+      log.info(
+        {
+          source: source.id,
+          page: pages,
+          entries: ldapCount,
+          upserts,
+          elapsedMs,
+          entriesPerSecond: elapsedMs > 0 ? Math.round((ldapCount * 1000) / elapsedMs) : null,
+          ...(expected > 0 ? { progress: `${Math.min(99, Math.floor((ldapCount / expected) * 100))}%` } : {}),
+        },
+        "Phase 3: Processing entries"
+      );
+      waitStart = Date.now();
+    }
+    const streamMs = Date.now() - streamStart;
+    const entriesPerSecond = streamMs > 0 ? Math.round((ldapCount * 1000) / streamMs) : null;
 
-      const entryMs = Date.now() - entryStart;
-      if (entryMs > 200) {
-        log.warn({ dn, entryMs, index }, "Slow entry processing detected");
+    // Nested membership changes without the user entry changing, so users an incremental run did not
+    // fetch get their group names refreshed here
+    let nestedGroupUpdates = 0;
+    const nestedBatch = [];
+    const flushNested = () => {
+      const writeStart = Date.now();
+      const saved = saveUsers(nestedBatch.splice(0));
+      postingKeysWritten += saved.postingKeysWritten;
+      idsMoved += saved.idsMoved;
+      writeMs += Date.now() - writeStart;
+    };
+    if (groupNames && incremental) {
+      for (const dn of knownDNs) {
+        if (seenDNs.has(dn)) continue;
+        const doc = deletableDoc(dn, source.id);
+        if (!doc?.groups) continue;
+        const allNames = allGroupNames(dn, doc.groups.names || [], null);
+        const previous = doc.groups.allNames ?? null;
+        if (JSON.stringify(allNames) === JSON.stringify(previous)) continue;
+        nestedGroupUpdates++;
+        changed++;
+        if (dryRun) {
+          changes.updates.push({
+            dn,
+            displayName: doc.displayName,
+            changes: [{ field: "groups.allNames", old: previous, new: allNames }],
+          });
+        } else {
+          nestedBatch.push({ dn, doc: { ...doc, groups: { ...doc.groups, allNames } } });
+          if (nestedBatch.length >= SYNC.pageSize) flushNested();
+        }
       }
-
-      upserts++;
+      if (nestedBatch.length > 0) flushNested();
+    }
+    if (resolvedGroups && !dryRun) {
+      const { saved, removed } = saveGroups(source.id, resolvedGroups);
+      log.info({ source: source.id, saved, removed, nestedGroupUpdates }, "Phase 3: Groups stored");
     }
 
-    const processingMs = Date.now() - processingStart;
     log.info(
-      { upserts, processingMs, entriesSkippedNoDN, entriesSkippedManual },
+      {
+        source: source.id,
+        ldapCount,
+        pages,
+        upserts,
+        changed,
+        renames,
+        idsMoved,
+        photosChanged,
+        searchMs,
+        processingMs,
+        writeMs,
+        entriesPerSecond,
+        entriesSkippedNoDN,
+        entriesSkippedManual,
+        rangedEntries,
+      },
       "Phase 3: Entry processing completed"
     );
 
-    log.info({ knownDNsCount: knownDNs.size, seenDNsCount: seenDNs.size }, "Phase 4: Delta delete (removing users no longer in LDAP)");
-    let deletes = 0;
+    // A full run saw every current user; an incremental run only saw changed ones, so it lists all
+    // current DNs (DN attribute only) when the periodic reconciliation is due
+    const reconcile = !incremental || reconcileDue(syncState);
     let emptyDNDeleteSkips = 0;
+    let needsApproval = false;
+    let pendingDeletes = 0;
     const deleteStart = Date.now();
-    for (const dn of knownDNs) {
-      if (!dn) {
-        emptyDNDeleteSkips++;
-        continue;
+    // Collect first: above SYNC_DELETE_THRESHOLD none of them is deleted
+    const stale = new Map();
+    const addStale = (dn, reason) => {
+      if (stale.has(dn)) return;
+      const doc = deletableDoc(dn, source.id);
+      if (doc) stale.set(dn, { dn, displayName: doc.displayName ?? null, reason });
+    };
+    for (const [dn, reason] of removals) addStale(dn, reason);
+    if (reconcile) {
+      let presentDNs = seenDNs;
+      if (incremental) {
+        log.info({ source: source.id }, "Phase 4: Listing current DNs for reconciliation");
+        const { entries: dnEntries } = await searchSource(
+          client,
+          source,
+          withSourceFilter(source, enabledUsersFilter(mapping)),
+          ["distinguishedName"]
+        );
+        presentDNs = new Set(seenDNs);
+        for (const e of dnEntries) {
+          const dn = entryDN(e);
+          if (dn) presentDNs.add(dn);
+        }
+      }
+      log.info(
+        { source: source.id, knownDNsCount: knownDNs.size, presentDNsCount: presentDNs.size },
+        "Phase 4: Delta delete (removing users no longer in LDAP)"
+      );
+      for (const dn of knownDNs) {
+        if (!dn) {
+          emptyDNDeleteSkips++;
+          continue;
+        }
+        if (!presentDNs.has(dn)) addStale(dn, "no longer in LDAP");
       }
-      if (!seenDNs.has(dn)) {
-        await deleteUser(dn);
+    } else {
+      log.info(
+        {
+          source: source.id,
+          lastReconcileAt: syncState.lastReconcileAt,
+          fullReconcileHours: SYNC.fullReconcileHours,
+          removals: stale.size,
+        },
+        "Phase 4: Reconciliation not due; only disabled and out-of-scope users are removed"
+      );
+    }
+    // Users held back by an earlier run that this run listed again are no longer to be deleted
+    if (!dryRun) {
+      const released = await releasePendingDeletes(source.id, seenDNs);
+      if (released > 0) {
+        log.info({ source: source.id, released }, "Phase 4: Listed users taken off the held-back deletes");
+      }
+    }
+    const limit = deleteLimit(knownDNs.size);
+    if (limit !== null && stale.size > limit) {
+      needsApproval = true;
+      pendingDeletes = stale.size;
+      log.warn(
+        { source: source.id, pendingDeletes, limit, knownDNsCount: knownDNs.size, threshold: SYNC.deleteThreshold.raw },
+        "Phase 4: Deletes exceed SYNC_DELETE_THRESHOLD; held back for admin approval"
+      );
+      if (dryRun) {
+        for (const u of stale.values()) {
+          changes.deletes.push({ ...u, reason: "held back for approval (SYNC_DELETE_THRESHOLD)" });
+        }
+      } else {
+        // Without a reconciliation this run saw only part of the stale users: keep the ones held earlier
+        const users = new Map(reconcile ? [] : (getPendingDeletes()[source.id]?.users ?? []).map((u) => [u.dn, u]));
+        for (const { dn, displayName } of stale.values()) users.set(dn, { dn, displayName });
+        await holdPendingDeletes(source.id, { users: [...users.values()], knownCount: knownDNs.size, limit });
+      }
+    } else {
+      // Deletes held back by an earlier run are superseded by this reconciliation
+      if (reconcile && !dryRun && (await clearPendingDeletes(source.id))) {
+        log.info({ source: source.id }, "Phase 4: Earlier held-back deletes cleared");
+      }
+      for (const { dn, reason } of stale.values()) {
+        if (!removeStale(dn, reason)) continue;
         deletes++;
-        if (deletes % 25 === 0 && deletes > 0) {
-          log.info({ progress: `${deletes} deleted`, deletes }, "Phase 4: Delta delete");
+        if (deletes % 25 === 0) {
+          log.info({ source: source.id, progress: `${deletes} deleted`, deletes }, "Phase 4: Delta delete");
         }
       }
     }
     const deleteMs = Date.now() - deleteStart;
-    log.info({ deletes, deleteMs }, "Phase 4: Delta delete completed");
+    log.info({ source: source.id, deletes, deleteMs }, "Phase 4: Delta delete completed");
 
-    await db.put("meta:lastSync", {
-      at: new Date().toISOString(),
-      baseDN: LDAP.baseDN,
+    const summary = {
+      source: source.id,
+      status: "ok",
+      mode: incremental ? "incremental" : "full",
+      reconciled: reconcile,
+      ldapCount,
+      excluded,
       upserts,
+      changed,
+      renames,
+      idsMoved,
+      photosChanged,
+      groups: resolvedGroups ? resolvedGroups.length : null,
+      nestedGroupUpdates,
+      // User and group entries whose memberOf / member values were read in ranges (AD MaxValRange)
+      rangedEntries,
+      rangedGroups,
       deletes,
-      ldapCount: searchEntries.length,
+      needsApproval,
+      pendingDeletes,
+      emptyDNDeleteSkips,
+      entriesSkippedNoDN,
+      entriesSkippedManual,
+      searchMs,
+      groupMs,
+      processingMs,
+      deleteMs,
+      // Throughput of the streamed search and processing (phase 3)
+      pages,
+      pageSize: SYNC.pageSize,
+      streamMs,
+      writeMs,
+      entriesPerSecond,
+      postingKeysWritten,
+      peakRssMB,
+    };
+    if (dryRun) {
+      const { baseDNs, excludeSubtrees } = source;
+      return { ...summary, reason, baseDNs, excludeSubtrees, filter, unchanged, changes };
+    }
+
+    const finishedAt = new Date().toISOString();
+    await db.put(stateKey, {
+      mode: directory.mode,
+      invocationId: directory.invocationId,
+      // Read before the search, so changes made during this run are fetched again next time
+      highestUSN: directory.highestUSN,
+      highestTimestamp,
+      scope,
+      lastFullAt: incremental ? syncState.lastFullAt : finishedAt,
+      // Held-back deletes keep the reconciliation due, so the next run checks again
+      lastReconcileAt: reconcile && !needsApproval ? finishedAt : syncState?.lastReconcileAt ?? null,
     });
 
+    return summary;
+  } finally {
+    try {
+      await client.unbind();
+    } catch {
+      // ignore
+    }
+  }
+}
+
+/**
+ * Joins the HR file (HR_CSV_FILE) to the stored users and logs the rows that match no user. The mapped columns
+ * go to doc.hr, which LDAP updates keep. A failed import keeps the HR fields stored before and does not fail the sync.
+ * @param {boolean} dryRun - Only count what would change.
+ * @returns {Object} Counts, or { error } when the import failed.
+ */
+function importHr(dryRun) {
+  const hrStart = Date.now();
+  try {
+    const { unmatched, missingColumns, ...counts } = importHrFile({ dryRun });
+    if (missingColumns.length > 0) log.warn({ missingColumns }, "HR import: mapped columns missing from the file");
+    for (const row of unmatched.slice(0, MAX_UNMATCHED_HR_ROWS_LOGGED)) {
+      const keys = Object.entries(row.keys).map(([field, value]) => `${field} ${value}`).join(", ");
+      log.warn(row, `HR import: row ${row.line} (${keys || "no employee ID or email"}) matches ${row.reason === "several users" ? "several users" : "no user"}`);
+    }
+    if (unmatched.length > MAX_UNMATCHED_HR_ROWS_LOGGED) {
+      log.warn({ notListed: unmatched.length - MAX_UNMATCHED_HR_ROWS_LOGGED }, "HR import: more unmatched rows not listed");
+    }
+    const summary = { ...counts, unmatched: unmatched.length, missingColumns, hrMs: Date.now() - hrStart };
+    log.info(summary, dryRun ? "HR import: dry run; nothing was written" : "HR import completed");
+    return summary;
+  } catch (err) {
+    log.error({ err, file: HR.file }, "HR import failed; stored HR fields are kept");
+    return { error: err.message };
+  }
+}
+
+/**
+ * Users each configured source has in the phonebook now (tombstones and manual contacts not counted).
+ * @returns {Object<string, number>} Source id → users.
+ */
+function headcountBySource() {
+  const counts = Object.fromEntries(LDAP_SOURCES.map((s) => [s.id, 0]));
+  for (const { key, value } of allDNs.getRange({})) {
+    const owner = key ? sourceOfStoredDN(key, value) : null;
+    if (owner) counts[owner.id]++;
+  }
+  return counts;
+}
+
+/**
+ * Entry of the sync history (lib/syncRuns.js) for a finished run: counts, skips, phase timings, errors and the
+ * headcount per source, charted on the Admin page.
+ * @param {Object} run
+ * @param {string} run.id - Run id (the owner of the sync lock).
+ * @param {string[]} run.args - Command-line flags.
+ * @param {number} run.startedAt - Epoch milliseconds, before phase 1.
+ * @param {number} run.loadMs - Phase 1 (loading known DNs).
+ * @param {Object[]} run.results - Per-source summaries of syncSource(), or { source, status: "failed", error }.
+ * @param {number} run.tombstonesPurged
+ * @param {Object|null} run.hr - HR import counts (importHr), null without HR_CSV_FILE.
+ * @param {string|null} run.error - Why the run failed.
+ * @returns {Object}
+ */
+function runRecord({ id, args, startedAt, loadMs, results, tombstonesPurged, hr, error }) {
+  const succeeded = results.filter((r) => r.status === "ok");
+  const total = (field) => succeeded.reduce((sum, r) => sum + (r[field] ?? 0), 0);
+  const modes = [...new Set(succeeded.map((r) => r.mode))];
+  const needsApproval = succeeded.some((r) => r.needsApproval);
+  const headcount = headcountBySource();
+  return {
+    id,
+    args,
+    startedAt: new Date(startedAt).toISOString(),
+    finishedAt: new Date().toISOString(),
+    status: error ? "failed" : needsApproval ? "needs-approval" : "succeeded",
+    mode: modes.length === 1 ? modes[0] : modes.length > 1 ? "mixed" : null,
+    ldapResults: total("ldapCount"),
+    upserts: total("upserts"),
+    changed: total("changed"),
+    renames: total("renames"),
+    deletes: total("deletes"),
+    pendingDeletes: total("pendingDeletes"),
+    tombstonesPurged,
+    hr,
+    skips: {
+      excluded: total("excluded"),
+      noDN: total("entriesSkippedNoDN"),
+      manual: total("entriesSkippedManual"),
+      emptyDN: total("emptyDNDeleteSkips"),
+    },
+    timings: {
+      loadMs,
+      searchMs: total("searchMs"),
+      groupMs: total("groupMs"),
+      processingMs: total("processingMs"),
+      deleteMs: total("deleteMs"),
+      totalMs: Date.now() - startedAt,
+    },
+    headcount: Object.values(headcount).reduce((sum, n) => sum + n, 0),
+    error,
+    errors: [
+      ...results.filter((r) => r.status === "failed").map((r) => ({ source: r.source, error: r.error })),
+      ...(hr?.error ? [{ source: "hr", error: hr.error }] : []),
+    ],
+    sources: results.map((r) => ({
+      source: r.source,
+      status: r.status,
+      mode: r.mode ?? null,
+      ldapCount: r.ldapCount ?? null,
+      upserts: r.upserts ?? null,
+      deletes: r.deletes ?? null,
+      headcount: headcount[r.source] ?? null,
+      error: r.error ?? null,
+    })),
+  };
+}
+
+/**
+ * One sync run: index rebuilds, then every source, HR import, purge of tombstones past TOMBSTONE_RETENTION_DAYS
+ * and the summary. Runs that sync (not dry runs) are recorded in the sync history.
+ * @param {{ forceFull: boolean, dryRun: boolean, reindexOnly: boolean, runId: string, args: string[] }} options
+ * @returns {Promise<string|null>} Why the run failed (also sets process.exitCode), or null.
+ */
+async function runSync({ forceFull, dryRun, reindexOnly, runId, args }) {
+  let error = null;
+  // Tokenizer or index layout changed since the index was built (or --reindex given): rebuild it from stored docs
+  if (!dryRun && (reindexOnly || searchIndexOutdated())) {
+    log.info(
+      { stored: db.get("meta:searchIndex") ?? null, current: searchIndexFingerprint() },
+      "Rebuilding search index"
+    );
+    const reindexStart = Date.now();
+    const stats = reindexAll();
+    log.info({ ...stats, reindexMs: Date.now() - reindexStart }, "Search index rebuilt");
+  }
+
+  // Phone key format or PHONE_* settings changed: recompute keys for all stored docs
+  if (!dryRun && (reindexOnly || phoneIndexOutdated())) {
+    log.info("Rebuilding phone lookup index");
+    const rebuildStart = Date.now();
+    const stats = rebuildPhoneIndex();
+    log.info({ ...stats, rebuildMs: Date.now() - rebuildStart }, "Phone index rebuilt");
+  }
+
+  if (reindexOnly) return null;
+
+  if (!HAS_LDAP_CONFIG && TEST_MODE) {
+    log.info("PHONEBOOK_TEST_MODE=1 and LDAP env missing; skipping LDAP sync.");
+    return null;
+  }
+
+  const runStartTime = Date.now();
+  // Known DNs BEFORE this run, grouped by owning source (for delta deletes scoped per source)
+  log.info("Phase 1: Loading known DNs from database…");
+  const knownBySource = new Map(LDAP_SOURCES.map((s) => [s.id, new Set()]));
+  let emptyDNKeysInAllDNs = 0;
+  let knownDNsWithoutSource = 0;
+  for (const { key, value } of allDNs.getRange({})) {
+    if (!key) {
+      emptyDNKeysInAllDNs++;
+      continue;
+    }
+    const owner = sourceOfStoredDN(key, value);
+    if (owner) knownBySource.get(owner.id).add(key);
+    else knownDNsWithoutSource++;
+  }
+  log.info(
+    {
+      knownDNsBySource: Object.fromEntries([...knownBySource].map(([id, dns]) => [id, dns.size])),
+      knownDNsWithoutSource,
+      emptyDNKeysIgnored: emptyDNKeysInAllDNs,
+    },
+    "Known DNs loaded"
+  );
+
+  const syncStartTime = Date.now();
+
+  mkdirSync(SYNC_LOGS_DIR, { recursive: true });
+  const logFileName = `sync-${new Date().toISOString().replace(/[:.]/g, "-")}.log`;
+  const logFilePath = join(SYNC_LOGS_DIR, logFileName);
+  const fileStream = pino.destination(logFilePath);
+  log = pino(
+    { level: process.env.LOG_LEVEL || "info" },
+    pino.multistream([{ stream: process.stdout }, { stream: fileStream }])
+  );
+
+  let results = [];
+  let tombstonesPurged = 0;
+  let hr = null;
+  try {
+    // One source failing (unreachable, bad credentials) must not stop the others or delete their users
+    for (const source of LDAP_SOURCES) {
+      try {
+        results.push(await syncSource(source, knownBySource.get(source.id), { forceFull, dryRun }));
+      } catch (err) {
+        if (err.message && err.message.includes("end of buffer not reached")) throw err;
+        log.error({ err, source: source.id }, "Source sync failed; its users are kept until it syncs again");
+        results.push({ source: source.id, status: "failed", error: err.message });
+      }
+    }
+
+    const succeeded = results.filter((r) => r.status === "ok");
+    const failed = results.filter((r) => r.status === "failed");
+    const total = (field) => succeeded.reduce((sum, r) => sum + r[field], 0);
+    const modes = [...new Set(succeeded.map((r) => r.mode))];
+    const mode = modes.length === 1 ? modes[0] : modes.length > 1 ? "mixed" : null;
+    const upserts = total("upserts");
+    const changed = total("changed");
+    const deletes = total("deletes");
+    const needsApproval = succeeded.some((r) => r.needsApproval);
+
+    // After the sources, so users they just stored (new hires) get their HR fields in the same run
+    if (HR.file) hr = importHr(dryRun);
+    // Like the purge below, the import writes users even when no source synced and meta:lastSync stays as it was
+    if (!dryRun && (hr?.updated > 0 || hr?.cleared > 0)) await bumpManualChanges();
+
+    // Retention only depends on time, so tombstones are purged even when a source failed
+    if (dryRun) {
+      log.info({ tombstonesExpired: expiredTombstones().length }, "Phase 5: Dry run; expired tombstones are kept");
+    } else {
+      tombstonesPurged = purgeExpiredTombstones();
+      // meta:lastSync is only written when a source synced; cached user lists must drop the purged users anyway
+      if (tombstonesPurged > 0) await bumpManualChanges();
+      log.info({ tombstonesPurged, retentionDays: TOMBSTONES.retentionDays }, "Phase 5: Expired tombstones purged");
+    }
+    // Per-source summaries without the dry-run change lists
+    const sourceSummaries = results.map(({ changes: _changes, ...summary }) => summary);
+
+    let report = null;
+    if (dryRun) {
+      report = writeDryRunReport({
+        generatedAt: new Date().toISOString(),
+        totals: {
+          inserts: succeeded.reduce((sum, r) => sum + r.changes.inserts.length, 0),
+          updates: changed,
+          deletes,
+          unchanged: total("unchanged"),
+        },
+        sources: results,
+      });
+      log.info({ report: report.json, html: report.html }, "Dry run: report written; nothing was changed");
+    } else if (succeeded.length > 0) {
+      await db.put("meta:lastSync", {
+        at: new Date().toISOString(),
+        mode,
+        reconciled: succeeded.every((r) => r.reconciled),
+        upserts,
+        deletes,
+        needsApproval,
+        tombstonesPurged,
+        ldapCount: total("ldapCount"),
+        sources: sourceSummaries,
+      });
+    }
+    if (failed.length > 0) {
+      process.exitCode = 1;
+      error = `Sources failed: ${failed.map((r) => r.source).join(", ")}`;
+    }
+
     const totalMs = Date.now() - syncStartTime;
     log.info(
       {
-        ldapResults: searchEntries.length,
+        mode,
+        dryRun,
+        report: report?.json ?? null,
+        sourcesSynced: succeeded.length,
+        sourcesFailed: failed.map((r) => r.source),
+        ldapResults: total("ldapCount"),
+        pages: total("pages"),
+        entriesPerSecond: totalMs > 0 ? Math.round((total("ldapCount") * 1000) / totalMs) : null,
         upserts,
+        changed,
+        renames: total("renames"),
+        idsMoved: total("idsMoved"),
+        photosChanged: total("photosChanged"),
+        rangedEntries: total("rangedEntries"),
+        rangedGroups: total("rangedGroups"),
         deletes,
+        needsApproval,
+        pendingDeletes: total("pendingDeletes"),
+        tombstonesPurged,
+        hr,
         emptyDNKeysInAllDNs,
-        emptyDNDeleteSkips,
-        entriesSkippedNoDN,
-        entriesSkippedManual,
-        processingMs,
-        deleteMs,
+        knownDNsWithoutSource,
         totalMs,
+        sources: sourceSummaries,
       },
       "Sync complete – summary"
     );
@@ -483,20 +1141,90 @@ async function main() {
       log.error({ err }, "Sync failed");
     }
     process.exitCode = 1;
+    error = err.message || "Sync failed";
   } finally {
+    if (!dryRun) {
+      try {
+        recordSyncRun(
+          runRecord({
+            id: runId,
+            args,
+            startedAt: runStartTime,
+            loadMs: syncStartTime - runStartTime,
+            results,
+            tombstonesPurged,
+            hr,
+            error,
+          })
+        );
+      } catch (err) {
+        log.warn({ err }, "Run not recorded in the sync history");
+      }
+    }
     try {
       if (typeof fileStream.end === "function") fileStream.end();
     } catch {
       // ignore
     }
-    try {
-      await client.unbind();
-    } catch {
-      // ignore
+  }
+  return error;
+}
+
+/**
+ * Runs one sync under the exclusive lock in LMDB (lib/syncLock.js): a second run exits while one is going, and a
+ * run that crashed is recorded as aborted by the next one.
+ */
+async function main() {
+  const args = process.argv.slice(2);
+  const options = {
+    forceFull: args.includes("--full"),
+    dryRun: args.includes("--dry-run"),
+    reindexOnly: args.includes("--reindex"),
+  };
+
+  // Only one run writes at a time; a dry run only reads, so it needs no lock and may run next to a sync
+  let lock = null;
+  let stopHeartbeat = () => {};
+  if (!options.dryRun) {
+    const result = acquireSyncLock({ args });
+    if (!result.acquired) {
+      log.error(
+        { holder: result.holder, staleAfterMinutes: SYNC.lockStaleMinutes },
+        "Another sync is running; this run did not start"
+      );
+      process.exitCode = 1;
+      await db.close();
+      return;
+    }
+    lock = result.lock;
+    if (result.aborted) {
+      log.warn({ aborted: result.aborted }, "The previous sync did not finish (crashed or killed); recorded as aborted");
+    }
+    stopHeartbeat = startHeartbeat(lock, () => {
+      log.error({ pid: process.pid }, "Sync lock was taken over by another run; stopping");
+      process.exit(1);
+    });
+    // Stopped by a signal (deploy, Ctrl+C): record the run as aborted and free the lock right away
+    for (const signal of ["SIGINT", "SIGTERM"]) {
+      process.once(signal, () => {
+        releaseSyncLock(lock, "aborted", `Stopped by ${signal}`);
+        process.exit(signal === "SIGINT" ? 130 : 143);
+      });
     }
+  }
+
+  let error = null;
+  try {
+    error = await runSync({ ...options, runId: lock?.owner ?? null, args });
+  } catch (err) {
+    log.error({ err }, "Sync failed");
+    process.exitCode = 1;
+    error = err.message || "Sync failed";
+  } finally {
+    stopHeartbeat();
+    if (lock) releaseSyncLock(lock, error ? "failed" : "succeeded", error);
     await db.close();
   }
 }
 
 main();
-
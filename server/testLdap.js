@@ -12,7 +12,7 @@
  *   PHONEBOOK_TEST_MODE=0 node server/testLdap.js
  *
  * Optional env for extra checks:
- *   LDAP_TEST_USER=some.login       # sAMAccountName or userPrincipalName
+ *   LDAP_TEST_USER=some.login       # any login attribute of the LDAP_SCHEMA mapping (AD: sAMAccountName or userPrincipalName)
  *   LDAP_TEST_PASS=SomePassword     # password for that user (to test user bind)
  *   LDAP_DUMP_BASE_DN=DC=...       # base DN for full dump (default: LDAP_BASE_DN); use a broader DN to include more of the directory
  */
@@ -21,6 +21,15 @@ import "dotenv/config";
 import { mkdirSync, writeFileSync } from "fs";
 import { join } from "path";
 import { Client } from "ldapts";
+import {
+  LDAP_MAPPING,
+  mappingAttributes,
+  guidAttributes,
+  allUsersFilter,
+  loginFilter,
+  entryDN,
+  entryToDocument,
+} from "./lib/ldapMapping.js";
 
 const CFG = {
   url: process.env.LDAP_URL,
@@ -69,36 +78,26 @@ async function testBindAsServiceAccount(client) {
 }
 
 async function testBasicUserSearch(client) {
-  console.log("\n=== STEP 2: Basic user search under base DN ===");
-  const filter =
-    "(&" +
-    "(objectCategory=person)" +
-    "(objectClass=user)" +
-    "(!(objectClass=computer))" +
-    ")";
+  console.log(`\n=== STEP 2: Basic user search under base DN (LDAP_SCHEMA=${LDAP_MAPPING.name}) ===`);
+  const filter = allUsersFilter();
 
   try {
     const { searchEntries } = await client.search(CFG.baseDN, {
       scope: "sub",
       filter,
-      attributes: [
-        "distinguishedName",
-        "sAMAccountName",
-        "userPrincipalName",
-        "displayName",
-        "memberOf",
-        "userAccountControl",
-      ],
+      attributes: mappingAttributes(),
+      explicitBufferAttributes: guidAttributes(),
       paged: { pageSize: 5, pagePause: false },
     });
 
     console.log(`OK: Search returned ${searchEntries.length} entries (showing up to 5).`);
     searchEntries.slice(0, 5).forEach((e, idx) => {
-      console.log(`  [${idx}] DN        :`, e.distinguishedName || e.dn);
-      console.log(`      sAMAccountName :`, e.sAMAccountName || "(none)");
-      console.log(`      userPrincipal  :`, e.userPrincipalName || "(none)");
-      console.log(`      displayName    :`, e.displayName || "(none)");
-      console.log(`      userAccountCtrl:`, e.userAccountControl || "(none)");
+      const doc = entryToDocument(e);
+      console.log(`  [${idx}] DN        :`, entryDN(e));
+      console.log(`      accountName    :`, doc.accountName || "(none)");
+      console.log(`      upn            :`, doc.upn || "(none)");
+      console.log(`      displayName    :`, doc.displayName || "(none)");
+      console.log(`      guid           :`, doc.guid || "(none)");
       console.log("");
     });
   } catch (err) {
@@ -121,46 +120,12 @@ function toJsonSafe(value) {
   return value;
 }
 
-/** Full list of attributes used by sync (and a few extra) for a complete dump. */
-const DUMP_ATTRIBUTES = [
-  "distinguishedName",
-  "objectGUID",
-  "sAMAccountName",
-  "userPrincipalName",
-  "mail",
-  "displayName",
-  "givenName",
-  "sn",
-  "title",
-  "department",
-  "company",
-  "physicalDeliveryOfficeName",
-  "l",
-  "st",
-  "co",
-  "telephoneNumber",
-  "mobile",
-  "ipPhone",
-  "streetAddress",
-  "postalCode",
-  "memberOf",
-  "manager",
-  "lastLogon",
-  "lastLogonTimestamp",
-  "pwdLastSet",
-  "whenChanged",
-  "whenCreated",
-  "userAccountControl",
-];
+/** Attributes used by sync (from the LDAP_SCHEMA mapping) plus change tracking, for a complete dump. */
+const DUMP_ATTRIBUTES = [...mappingAttributes(), "uSNChanged", "modifyTimestamp"];
 
 async function dumpLdapToJson(client) {
   console.log("\n=== STEP 2b: Full LDAP dump to data/ldap-dump.json ===");
-  const filter =
-    "(&" +
-    "(objectCategory=person)" +
-    "(objectClass=user)" +
-    "(!(objectClass=computer))" +
-    ")";
+  const filter = allUsersFilter();
   try {
     const { searchEntries } = await client.search(CFG.dumpBaseDN, {
       scope: "sub",
@@ -189,10 +154,6 @@ async function dumpLdapToJson(client) {
   }
 }
 
-function ldapEscape(value) {
-  return value.replace(/[*()\\]/g, (c) => `\\${c}`);
-}
-
 async function testAdminGroupAndUserBind() {
   if (!CFG.testUser) {
     console.log(
@@ -213,18 +174,12 @@ async function testAdminGroupAndUserBind() {
   try {
     await client.bind(CFG.bindDN, CFG.bindPW);
 
-    const safeLogin = ldapEscape(CFG.testUser);
-    const filter =
-      "(&" +
-      "(objectCategory=person)" +
-      "(objectClass=user)" +
-      `(|(sAMAccountName=${safeLogin})(userPrincipalName=${safeLogin}))` +
-      ")";
+    const filter = loginFilter(CFG.testUser);
 
     const { searchEntries } = await client.search(CFG.baseDN, {
       scope: "sub",
       filter,
-      attributes: ["distinguishedName", "sAMAccountName", "userPrincipalName", "memberOf"],
+      attributes: mappingAttributes(),
       paged: { pageSize: 1, pagePause: false },
     });
 
@@ -233,14 +188,13 @@ async function testAdminGroupAndUserBind() {
       return;
     }
 
-    const entry = searchEntries[0];
-    const dn = entry.distinguishedName || entry.dn;
+    const doc = entryToDocument(searchEntries[0]);
+    const dn = doc.dn;
     console.log("OK: Found test user DN:", dn);
-    console.log("    sAMAccountName   :", entry.sAMAccountName || "(none)");
-    console.log("    userPrincipalName:", entry.userPrincipalName || "(none)");
+    console.log("    accountName      :", doc.accountName || "(none)");
+    console.log("    upn              :", doc.upn || "(none)");
 
-    const memberOf = entry.memberOf;
-    const groups = Array.isArray(memberOf) ? memberOf : memberOf ? [memberOf] : [];
+    const groups = doc.groups.dns;
     console.log("    Member of groups:");
     groups.forEach((g) => console.log("      -", g));
 